@@ -0,0 +1,67 @@
+// public/sw.js
+//
+// Keeps the app shell available offline. Navigations are network-first
+// (falling back to the cached index.html); same-origin static assets are
+// cache-first since Vite fingerprints their file names. Backend responses
+// are cached in IndexedDB by the app itself, not here.
+
+const CACHE_NAME = "fraud-dashboard-shell-v1";
+const SHELL_URLS = ["/", "/index.html", "/vite.svg"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(SHELL_URLS))
+  );
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((k) => k !== CACHE_NAME).map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((res) => {
+          // never replace the offline shell with an error page
+          if (res.ok) {
+            const copy = res.clone();
+            caches
+              .open(CACHE_NAME)
+              .then((cache) => cache.put("/index.html", copy));
+          }
+          return res;
+        })
+        .catch(() => caches.match("/index.html"))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then(
+      (cached) =>
+        cached ||
+        fetch(request).then((res) => {
+          if (res.ok) {
+            const copy = res.clone();
+            caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+          }
+          return res;
+        })
+    )
+  );
+});
@@ -0,0 +1,313 @@
+// src/AlertCenter.jsx
+import { useEffect, useState } from "react";
+import {
+  RULE_METRICS,
+  RULE_TYPES,
+  describeRule,
+  loadRules,
+  newRule,
+  parseRulesJson,
+  saveRules,
+} from "./alertRules";
+import { downloadBlob } from "./dataExport";
+import { useI18n } from "./i18n";
+
+function RuleEditor({ rule, onChange, onDelete }) {
+  const { t } = useI18n();
+
+  function update(patch) {
+    onChange({ ...rule, ...patch });
+  }
+
+  return (
+    <li className="alert-rule">
+      <div className="alert-rule-header">
+        <label className="cases-filter-toggle">
+          <input
+            type="checkbox"
+            checked={rule.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />
+          {t("alerts.enabled")}
+        </label>
+        <button type="button" className="back-link" onClick={onDelete}>
+          {t("alerts.delete")}
+        </button>
+      </div>
+
+      <label className="field">
+        <span className="field-label">{t("alerts.name")}</span>
+        <input
+          type="text"
+          value={rule.name}
+          placeholder={describeRule(rule)}
+          onChange={(e) => update({ name: e.target.value })}
+        />
+      </label>
+
+      <label className="field">
+        <span className="field-label">{t("alerts.condition")}</span>
+        <select
+          value={rule.type}
+          onChange={(e) => update({ type: e.target.value })}
+        >
+          {RULE_TYPES.map((type) => (
+            <option key={type} value={type}>
+              {t(`alerts.types.${type}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {rule.type === "metric" && (
+        <label className="field">
+          <span className="field-label">{t("alerts.metric")}</span>
+          <select
+            value={rule.metric}
+            onChange={(e) => update({ metric: e.target.value })}
+          >
+            {RULE_METRICS.map((metric) => (
+              <option key={metric} value={metric}>
+                {t(`metrics.${metric}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {rule.type === "case_score" && (
+        <label className="field">
+          <span className="field-label">{t("alerts.drugAny")}</span>
+          <input
+            type="text"
+            value={rule.drugName}
+            onChange={(e) => update({ drugName: e.target.value })}
+          />
+        </label>
+      )}
+
+      {rule.type !== "risk_level_change" && (
+        <label className="field">
+          <span className="field-label">
+            {rule.type === "controlled_share"
+              ? t("alerts.thresholdPercent")
+              : t("alerts.threshold")}
+          </span>
+          <input
+            type="number"
+            step={rule.type === "case_score" ? 0.01 : 1}
+            value={rule.threshold}
+            onChange={(e) => update({ threshold: e.target.value })}
+          />
+        </label>
+      )}
+    </li>
+  );
+}
+
+export default function AlertCenter({
+  history,
+  onHistoryChange,
+  canConfigure,
+}) {
+  const { t, formatDateTime } = useI18n();
+  const [open, setOpen] = useState(false);
+  const [view, setView] = useState("notifications"); // "notifications" | "rules"
+  const [rules, setRules] = useState(loadRules);
+  const [importError, setImportError] = useState("");
+
+  // Close on Escape
+  useEffect(() => {
+    if (!open) return;
+    function onKeyDown(e) {
+      if (e.key === "Escape") setOpen(false);
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [open]);
+
+  const unread = history.filter((n) => !n.read).length;
+
+  function updateRules(next) {
+    setRules(next);
+    saveRules(next);
+  }
+
+  function markAllRead() {
+    onHistoryChange(history.map((n) => ({ ...n, read: true })));
+  }
+
+  function handleExport() {
+    downloadBlob(
+      new Blob([JSON.stringify({ rules }, null, 2)], {
+        type: "application/json",
+      }),
+      "fraud-alert-rules.json"
+    );
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setImportError("");
+      updateRules(parseRulesJson(await file.text()));
+    } catch (err) {
+      console.error(err);
+      setImportError(t("alerts.importFailed", { reason: err.message }));
+    }
+  }
+
+  return (
+    <>
+      <button
+        type="button"
+        className="alert-bell"
+        onClick={() => setOpen(true)}
+        aria-label={t("alerts.bellLabel", { count: unread })}
+      >
+        {t("alerts.bell")}
+        {unread > 0 && <span className="alert-badge">{unread}</span>}
+      </button>
+
+      {open && (
+        <div className="case-detail-overlay" onClick={() => setOpen(false)}>
+          <aside
+            className="case-detail-panel"
+            role="dialog"
+            aria-label={t("alerts.title")}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="case-detail-header">
+              <h3 className="panel-title">{t("alerts.title")}</h3>
+              <button
+                type="button"
+                className="back-link"
+                onClick={() => setOpen(false)}
+              >
+                {t("common.close")}
+              </button>
+            </div>
+
+            <div className="tab-buttons">
+              <button
+                type="button"
+                className={
+                  view === "notifications"
+                    ? "topcases-btn active"
+                    : "topcases-btn"
+                }
+                onClick={() => setView("notifications")}
+              >
+                {t("alerts.notifications", { count: history.length })}
+              </button>
+              {canConfigure && (
+                <button
+                  type="button"
+                  className={
+                    view === "rules" ? "topcases-btn active" : "topcases-btn"
+                  }
+                  onClick={() => setView("rules")}
+                >
+                  {t("alerts.rules", { count: rules.length })}
+                </button>
+              )}
+            </div>
+
+            {view === "notifications" || !canConfigure ? (
+              <div className="case-detail-section">
+                <div className="alert-actions">
+                  <button
+                    type="button"
+                    className="back-link"
+                    onClick={markAllRead}
+                    disabled={unread === 0}
+                  >
+                    {t("alerts.markAllRead")}
+                  </button>
+                  <button
+                    type="button"
+                    className="back-link"
+                    onClick={() => onHistoryChange([])}
+                    disabled={history.length === 0}
+                  >
+                    {t("alerts.clearHistory")}
+                  </button>
+                </div>
+                {history.length === 0 ? (
+                  <p className="chart-empty">{t("alerts.noAlerts")}</p>
+                ) : (
+                  <ul className="alert-list">
+                    {history.map((n) => (
+                      <li
+                        key={n.id}
+                        className={n.read ? "alert-item" : "alert-item unread"}
+                      >
+                        <strong>{n.ruleName}</strong>
+                        <span className="alert-message">{n.message}</span>
+                        <span className="alert-meta">
+                          {n.hospitalName} · {n.period} ·{" "}
+                          {formatDateTime(n.createdAt)}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            ) : (
+              <div className="case-detail-section">
+                <div className="alert-actions">
+                  <button
+                    type="button"
+                    className="back-link"
+                    onClick={() => updateRules([...rules, newRule()])}
+                  >
+                    {t("alerts.addRule")}
+                  </button>
+                  <button
+                    type="button"
+                    className="back-link"
+                    onClick={handleExport}
+                    disabled={rules.length === 0}
+                  >
+                    {t("alerts.exportJson")}
+                  </button>
+                  <label className="back-link alert-import">
+                    {t("alerts.importJson")}
+                    <input
+                      type="file"
+                      accept="application/json,.json"
+                      onChange={handleImport}
+                    />
+                  </label>
+                </div>
+                {importError && <p className="error-text">{importError}</p>}
+                {rules.length === 0 ? (
+                  <p className="chart-empty">{t("alerts.noRules")}</p>
+                ) : (
+                  <ul className="alert-rule-list">
+                    {rules.map((rule) => (
+                      <RuleEditor
+                        key={rule.id}
+                        rule={rule}
+                        onChange={(next) =>
+                          updateRules(
+                            rules.map((r) => (r.id === rule.id ? next : r))
+                          )
+                        }
+                        onDelete={() =>
+                          updateRules(rules.filter((r) => r.id !== rule.id))
+                        }
+                      />
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </aside>
+        </div>
+      )}
+    </>
+  );
+}
@@ -1,213 +1,342 @@
 // src/App.jsx
-import { useEffect, useState, useRef } from "react";
+import { useState, useRef } from "react";
+import { periodLabel } from "./pdfReport";
+import DashboardProvider from "./DashboardProvider";
+import { useDashboard } from "./dashboardStore";
+import { apiParams } from "./useFraudReport";
+import useCaseExplorer from "./useCaseExplorer";
+import useLiveUpdates from "./useLiveUpdates";
+import useComparison from "./useComparison";
+import useAlertHistory from "./useAlertHistory";
+import useHashRoute from "./useHashRoute";
+import FilterPanel from "./FilterPanel";
+import DashboardLayout from "./DashboardLayout";
+import ExportMenu from "./ExportMenu";
+import HospitalComparison from "./HospitalComparison";
+import TrendAnalysis from "./TrendAnalysis";
+import PrescriberProfiles from "./PrescriberProfiles";
+import PatientPatterns from "./PatientPatterns";
+import DrugAnalytics from "./DrugAnalytics";
+import CaseDetailPanel from "./CaseDetailPanel";
+import ErrorBoundary from "./ErrorBoundary";
+import CasesExplorer from "./CasesExplorer";
+import AlertCenter from "./AlertCenter";
+import ReportSummary from "./ReportSummary";
+import LanguageSwitcher from "./LanguageSwitcher";
+import MockScenarioSwitcher from "./MockScenarioSwitcher";
+import { mockMode } from "./mockMode";
+import { useI18n } from "./i18n";
+import { hasRole } from "./auth";
+import { maskCase, maskCases } from "./privacy";
 import {
-  BarChart,
-  Bar,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip as ReTooltip,
-  LineChart,
-  Line,
-  PieChart,
-  Pie,
-  Cell,
-  Legend,
-  ResponsiveContainer,
-} from "recharts";
-import jsPDF from "jspdf";
-import html2canvas from "html2canvas";
-import {
-  getHospitals,
-  getYears,
-  runFraudCheck,
-  getTopCases,
-} from "./fraudApi";
-
-const COLORS = ["#FF4D4F", "#52C41A", "#FFA940"]; // High / Low / Medium
-
-const QUARTERS = [
-  { value: "", label: "Full year" },
-  { value: 1, label: "Q1" },
-  { value: 2, label: "Q2" },
-  { value: 3, label: "Q3" },
-  { value: 4, label: "Q4" },
+  RANGE_PRESETS,
+  periodError,
+  periodFromParams,
+  quarterLabel,
+  resolvePeriod,
+} from "./periods";
+import { recordRecentHospital, saveLastSelection } from "./hospitalSearch";
+import { describeApiError } from "./apiClient";
+import { FILTERS_ROUTE, buildHash, navigate, sameReport } from "./routing";
+
+// role: lowest role that may open the tab (patient/doctor IDs need reviewer)
+// labels come from the "tabs" catalog section
+const DASHBOARD_TABS = [
+  { value: "overview", role: "viewer" },
+  { value: "cases", role: "reviewer" },
+  { value: "prescribers", role: "reviewer" },
+  { value: "patients", role: "reviewer" },
+  { value: "drugs", role: "reviewer" },
+  { value: "trends", role: "viewer" },
 ];
 
-export default function App() {
-  // -------- shared state ----------
-  const [hospitals, setHospitals] = useState([]);
-  const [hospitalsLoading, setHospitalsLoading] = useState(true);
-  const [hospitalsError, setHospitalsError] = useState("");
-
-  const [years, setYears] = useState([]);
-  const [selectedHospital, setSelectedHospital] = useState("");
-  const [year, setYear] = useState(null);
-  const [quarter, setQuarter] = useState("");
-
-  const [report, setReport] = useState(null);
-  const [topCases, setTopCases] = useState([]);
+// The dashboard's shared state (hospitals, filters, the loaded report)
+// lives in DashboardProvider; see dashboardStore.js.
+export default function App({ user, onLogout }) {
+  return (
+    <DashboardProvider user={user}>
+      <DashboardApp onLogout={onLogout} />
+    </DashboardProvider>
+  );
+}
 
-  const [loading, setLoading] = useState(false);
+// The filter, dashboard and comparison screens and routing between them.
+// Case paging, live mode, comparison and alerts live in their hooks.
+function DashboardApp({ onLogout }) {
+  const { t, tValue } = useI18n();
+  const {
+    user,
+    canSeeCases,
+    canAdmin,
+    hospitals,
+    years,
+    hospitalsLoading,
+    setMode,
+    setSelectedHospital,
+    period,
+    setPeriod,
+    selectedHospital,
+    compareIds,
+    setCompareIds,
+    report,
+    loadedParams,
+    reportLoading,
+    reportError,
+    loadReport,
+    cancelReport,
+    privacyMode,
+    setPrivacyMode,
+  } = useDashboard();
+
+  // what the signed-in role may see and do
+  const visibleTabs = DASHBOARD_TABS.filter((t) => hasRole(user, t.role));
+  const allowedTab = (tab) =>
+    visibleTabs.some((t) => t.value === tab) ? tab : "overview";
+
+  // -------- screen state ----------
+  const [selectedCase, setSelectedCase] = useState(null);
+  const [selectedPatientId, setSelectedPatientId] = useState(null);
+  // drug shown on the "drugs" tab ("" until one is picked)
+  const [selectedDrug, setSelectedDrug] = useState("");
+
+  // filter screen: validation and comparison errors (report errors come
+  // from the store)
   const [error, setError] = useState("");
 
   // screens
-  const [step, setStep] = useState(1); // 1 = filters, 2 = dashboard
-  const [activeTab, setActiveTab] = useState("overview"); // "overview" | "cases"
+  const [step, setStep] = useState(1); // 1 = filters, 2 = dashboard, 3 = comparison
+  // "overview" | "cases" | "trends"
+  const [activeTab, setActiveTab] = useState("overview");
 
   // dashboard ref for PDF export
   const dashboardRef = useRef(null);
 
+  const explorer = useCaseExplorer({ privacy: privacyMode });
+  const compare = useComparison();
+  const { comparison } = compare;
+  const alerts = useAlertHistory();
+  const loading = reportLoading || compare.loading;
+  const live = useLiveUpdates({
+    active: step === 2,
+    busy: loading || explorer.loading,
+    explorer,
+    onChange: (reportData) =>
+      alerts.check(reportData, loadedParams, { refresh: true }),
+  });
+
   // -------------------------------------------------------
-  // Load hospitals + years at startup
+  // Open the URL's route once hospitals + years have loaded,
+  // then follow it on back/forward and deep links
   // -------------------------------------------------------
-  useEffect(() => {
-    async function loadData() {
-      try {
-        setHospitalsLoading(true);
-        setHospitalsError("");
-
-        // hospitals
-        const hospitalList = await getHospitals();
-        setHospitals(hospitalList);
-        if (hospitalList.length > 0) {
-          setSelectedHospital(hospitalList[0].id);
-        }
-
-        // years (with fallback)
-        try {
-          const yearList = await getYears();
-          setYears(yearList);
-          if (yearList.length > 0) {
-            setYear(yearList[yearList.length - 1]); // latest year
-          }
-        } catch (err) {
-          console.error("Failed to load years, using fallback", err);
-          const fallback = [2021, 2022, 2023];
-          setYears(fallback);
-          setYear(fallback[fallback.length - 1]);
-        }
-      } catch (err) {
-        console.error(err);
-        setHospitalsError("Failed to load hospitals or years from backend.");
-      } finally {
-        setHospitalsLoading(false);
+  useHashRoute({ ready: !hospitalsLoading, onRoute: openRoute });
+
+  function openRoute(route) {
+    if (route.name === "report") {
+      setMode("single");
+      setSelectedHospital(route.hospitalId);
+      setPeriod(periodFromParams(route));
+      if (sameReport(route, loadedParams) && report) {
+        setActiveTab(allowedTab(route.tab));
+        setSelectedDrug(route.drug);
+        setStep(2);
+      } else {
+        runReport(route, {
+          tab: route.tab,
+          drug: route.drug,
+          fromRoute: true,
+        });
       }
+    } else if (route.name === "compare") {
+      setMode("compare");
+      setCompareIds(route.hospitalIds);
+      setPeriod(periodFromParams(route));
+      runCompare(route, { fromRoute: true });
+    } else {
+      setStep(1);
     }
-
-    loadData();
-  }, []);
+  }
 
   // -------------------------------------------------------
   // Run fraud detector
   // -------------------------------------------------------
-  async function handleRun() {
-    if (!selectedHospital || !year) {
-      setError("Please select a hospital and year.");
+  async function runReport(
+    params,
+    { tab = "overview", drug = "", fromRoute = false, preset } = {}
+  ) {
+    tab = allowedTab(tab);
+    const loaded = {
+      hospitalId: params.hospitalId,
+      year: Number(params.year),
+      quarter: params.quarter === "" ? "" : Number(params.quarter),
+      periodStart: params.periodStart || "",
+      periodEnd: params.periodEnd || "",
+    };
+    // a newer run supersedes any report, comparison, page or live refresh
+    // still loading
+    compare.cancel();
+    explorer.cancel();
+    live.cancel();
+    setError("");
+
+    // keep filters/sort from the URL but start from the first page
+    const query = { ...explorer.query, offset: 0 };
+
+    let result;
+    try {
+      result = await loadReport(loaded, {
+        // viewers only get aggregates, so don't fetch case rows at all
+        cases: canSeeCases ? query : null,
+        onCasesRevalidate: (fresh, signal) =>
+          explorer.applyPage(fresh, query, signal),
+      });
+    } catch {
+      // the store holds the error message
+      explorer.clear();
+      setStep(1);
+      if (fromRoute) navigate(FILTERS_ROUTE, { replace: true });
       return;
     }
+    if (!result) return;
+
+    const { report: reportData, casesPage, signal } = result;
+    recordRecentHospital(loaded.hospitalId);
+    saveLastSelection({
+      ...loaded,
+      preset: preset || periodFromParams(loaded).preset,
+    });
+    live.reset();
+    alerts.check(reportData, loaded);
+    await explorer.applyPage(casesPage, query, signal);
+    // a newer run started while the saved triage was loading
+    if (signal.aborted) return;
+    setSelectedCase(null);
+    setSelectedPatientId(null);
+    setSelectedDrug(drug);
+    setActiveTab(tab);
+    setStep(2); // go to dashboard
+    navigate({ name: "report", ...loaded, tab, drug }, { replace: fromRoute });
+  }
 
-    try {
-      setLoading(true);
-      setError("");
+  function handleRun() {
+    const invalid = selectedHospital
+      ? periodError(period)
+      : "filters.needHospitalAndYear";
+    if (invalid) {
+      setError(t(invalid));
+      return;
+    }
+    runReport(
+      { hospitalId: selectedHospital, ...resolvePeriod(period) },
+      { preset: period.preset }
+    );
+  }
 
-      const q = quarter === "" ? undefined : Number(quarter);
+  // -------------------------------------------------------
+  // Compare several hospitals for the same period
+  // -------------------------------------------------------
+  async function runCompare(params, { fromRoute = false } = {}) {
+    const { hospitalIds, year, quarter } = params;
+    cancelReport();
+    setError("");
 
-      const [reportData, casesData] = await Promise.all([
-        runFraudCheck({
-          hospitalId: selectedHospital,
-          year: Number(year),
-          quarter: q,
-        }),
-        getTopCases({
-          hospitalId: selectedHospital,
+    try {
+      const result = await compare.run({ hospitalIds, year, quarter });
+      if (!result) return;
+      setStep(3); // go to comparison
+      navigate(
+        {
+          name: "compare",
+          hospitalIds,
           year: Number(year),
-          quarter: q,
-          limit: 8,
-        }),
-      ]);
-
-      setReport(reportData);
-      setTopCases(casesData);
-      setActiveTab("overview");
-      setStep(2); // go to dashboard
+          quarter: quarter === "" ? "" : Number(quarter),
+        },
+        { replace: fromRoute }
+      );
     } catch (err) {
-      console.error(err);
-      setReport(null);
-      setTopCases([]);
-      setError(err.message || "Failed to run fraud detector.");
-    } finally {
-      setLoading(false);
+      setError(describeApiError(err, t("errors.compareFailed")));
+      setStep(1);
+      if (fromRoute) navigate(FILTERS_ROUTE, { replace: true });
     }
   }
 
-  function handleBackToFilters() {
-    setStep(1);
+  function handleCompare() {
+    if (compareIds.length < 2 || !period.year) {
+      setError(t("filters.needTwoHospitals"));
+      return;
+    }
+    if (RANGE_PRESETS.includes(period.preset)) {
+      setError(t("filters.compareNeedsQuarter"));
+      return;
+    }
+    runCompare({ hospitalIds: compareIds, ...resolvePeriod(period) });
   }
 
   // -------------------------------------------------------
-  // Export dashboard as PDF
+  // Page / sort / filter the case explorer
   // -------------------------------------------------------
-  async function handleExportPdf() {
-    if (!dashboardRef.current || !report) return;
+  function loadCases(query) {
+    live.cancel();
+    live.clearNewCases();
+    explorer.load(loadedParams, query);
+  }
 
-    try {
-      await new Promise((r) => setTimeout(r, 300));
-
-      const element = dashboardRef.current;
-      const canvas = await html2canvas(element, {
-        scale: 2,
-        useCORS: true,
-        scrollX: 0,
-        scrollY: -window.scrollY,
-      });
+  // the doctor filter in the URL follows the privacy mode
+  function handlePrivacyChange(privacy) {
+    setPrivacyMode(privacy);
+    explorer.writeUrl(privacy);
+  }
 
-      const imgData = canvas.toDataURL("image/png");
-      const pdf = new jsPDF("l", "mm", "a4");
+  // Prescriber profile -> Top Cases filtered to that doctor
+  function handleShowDoctorCases(doctorId) {
+    const query = { ...explorer.query, doctorId, offset: 0 };
+    // set before the tab mounts so the explorer's filter draft picks it up
+    explorer.setQuery(query);
+    handleTabChange("cases");
+    loadCases(query);
+  }
 
-      const pageWidth = pdf.internal.pageSize.getWidth();
-      const pageHeight = pdf.internal.pageSize.getHeight();
+  // Patient ID in the cases table -> that patient's timeline
+  function handleShowPatient(patientId) {
+    setSelectedPatientId(String(patientId));
+    handleTabChange("patients");
+  }
 
-      const imgWidth = pageWidth;
-      const imgHeight = (canvas.height * imgWidth) / canvas.width;
-      const yPos = Math.max((pageHeight - imgHeight) / 2, 0);
+  // Drug bar / search -> that drug's analytics page (its own history entry)
+  function handleOpenDrug(drugName) {
+    setSelectedDrug(drugName);
+    setActiveTab("drugs");
+    navigate({ name: "report", ...loadedParams, tab: "drugs", drug: drugName });
+  }
 
-      pdf.addImage(imgData, "PNG", 0, yPos, imgWidth, imgHeight);
-      pdf.save(
-        `Fraud_Report_${report.hospitalName}_${report.year}${
-          report.quarter ? "_" + report.quarter : ""
-        }.pdf`
-      );
-    } catch (err) {
-      console.error("Failed to export PDF:", err);
-      alert("Failed to export PDF. Please try again.");
-    }
+  // Cases handed back by masked views -> the unmasked case from this page
+  function handleSelectCase(caseItem) {
+    setSelectedCase(
+      explorer.cases.find(
+        (c) => c.prescription_id === caseItem.prescription_id
+      ) || caseItem
+    );
+  }
+
+  function handleTabChange(tab) {
+    setActiveTab(tab);
+    navigate(
+      { name: "report", ...loadedParams, tab, drug: selectedDrug },
+      { replace: true }
+    );
+  }
+
+  function handleBackToFilters() {
+    setStep(1);
+    navigate(FILTERS_ROUTE);
   }
 
   // -------------------------------------------------------
-  // Derived data for charts
+  // Derived data
   // -------------------------------------------------------
-  const barData = (report?.topSuspiciousDrugs || []).map((d) => ({
-    name: d.drug_name,
-    value: d.avg_fraud_score,
-  }));
-
-  const lineData = report?.trend || [];
-
-  const riskObj = report?.riskDistribution || { High: 0, Medium: 0, Low: 0 };
-  const pieData = [
-    { name: "High", value: riskObj.High || 0 },
-    { name: "Medium", value: riskObj.Medium || 0 },
-    { name: "Low", value: riskObj.Low || 0 },
-  ];
-
-  const riskLevelLabel = report?.hospitalRiskLevel || "";
-  const riskLevelColor =
-    riskLevelLabel === "HIGH"
-      ? "#FF4D4F"
-      : riskLevelLabel === "MEDIUM"
-      ? "#FFA940"
-      : "#52C41A";
+  const displayCases = maskCases(explorer.cases, privacyMode);
+
+  // schema warnings from the report and the loaded case page
+  const dataWarnings = [...(report?.warnings || []), ...explorer.warnings];
 
   // -------------------------------------------------------
   // RENDER
@@ -215,82 +344,42 @@ export default function App() {
   return (
     <div className="app-root">
       <header className="app-header">
-        <h1 className="app-title">Prescription Fraud Detector</h1>
-        <p className="app-subtitle">
-          Detect unusual prescribing patterns across hospitals using
-          AI-driven scoring.
-        </p>
+        <div>
+          <h1 className="app-title">{t("app.title")}</h1>
+          <p className="app-subtitle">{t("app.subtitle")}</p>
+        </div>
+        <div className="header-actions">
+          {mockMode.enabled && <MockScenarioSwitcher />}
+          <LanguageSwitcher />
+          <AlertCenter
+            history={alerts.history}
+            onHistoryChange={alerts.change}
+            canConfigure={canAdmin}
+          />
+          {onLogout && (
+            <div className="user-menu">
+              <span className="user-name">
+                {user.name}{" "}
+                <span className="user-role">{tValue("roles", user.role)}</span>
+              </span>
+              <button type="button" className="back-link" onClick={onLogout}>
+                {t("app.signOut")}
+              </button>
+            </div>
+          )}
+        </div>
       </header>
 
       {/* =========== SCREEN 1 – FILTERS ONLY =========== */}
       {step === 1 && (
         <main className="app-main single">
-          <section className="panel panel-filters">
-            <h2 className="panel-title">Filters</h2>
-
-            {hospitalsLoading && <p>Loading hospitals &amp; years...</p>}
-            {hospitalsError && (
-              <p className="error-text">{hospitalsError}</p>
-            )}
-
-            <label className="field">
-              <span className="field-label">Hospital</span>
-              <select
-                value={selectedHospital}
-                onChange={(e) => setSelectedHospital(e.target.value)}
-                disabled={hospitalsLoading || hospitals.length === 0}
-              >
-                {hospitals.map((h) => (
-                  <option key={h.id} value={h.id}>
-                    {h.label}
-                  </option>
-                ))}
-              </select>
-            </label>
-
-            <label className="field">
-              <span className="field-label">Year</span>
-              <select
-                value={year ?? ""}
-                onChange={(e) => setYear(Number(e.target.value))}
-                disabled={hospitalsLoading || years.length === 0}
-              >
-                <option value="" disabled>
-                  Select year
-                </option>
-                {years.map((y) => (
-                  <option key={y} value={y}>
-                    {y}
-                  </option>
-                ))}
-              </select>
-            </label>
-
-            <label className="field">
-              <span className="field-label">Quarter</span>
-              <select
-                value={quarter}
-                onChange={(e) => setQuarter(e.target.value)}
-                disabled={hospitalsLoading}
-              >
-                {QUARTERS.map((q) => (
-                  <option key={q.label} value={q.value}>
-                    {q.label}
-                  </option>
-                ))}
-              </select>
-            </label>
-
-            {error && <p className="error-text">{error}</p>}
-
-            <button
-              className="primary-button"
-              onClick={handleRun}
-              disabled={loading || hospitalsLoading}
-            >
-              {loading ? "Running..." : "Run Fraud Detector"}
-            </button>
-          </section>
+          <FilterPanel
+            error={error || reportError}
+            loading={loading}
+            onRun={handleRun}
+            onCompare={handleCompare}
+            onModeChange={() => setError("")}
+          />
         </main>
       )}
 
@@ -299,269 +388,179 @@ export default function App() {
         <main className="app-main-results">
           {/* Small header row */}
           <div className="results-header-row">
-            <div className="selection-summary">
-              <div className="selection-line">
-                <span className="selection-label">Hospital:</span>{" "}
-                <span className="selection-value">
-                  {report.hospitalName}
-                </span>
-              </div>
-              <div className="selection-line">
-                <span className="selection-label">Period:</span>{" "}
-                <span className="selection-value">
-                  {report.quarter
-                    ? `${report.year} ${report.quarter}`
-                    : report.year}
-                </span>
-              </div>
+            <ReportSummary live={live} onPrivacyChange={handlePrivacyChange} />
+
+            {/* Tab buttons */}
+            <div className="tab-buttons">
+              {visibleTabs.map((tab) => (
+                <button
+                  key={tab.value}
+                  className={
+                    activeTab === tab.value
+                      ? "topcases-btn active"
+                      : "topcases-btn"
+                  }
+                  type="button"
+                  onClick={() => handleTabChange(tab.value)}
+                >
+                  {t(`tabs.${tab.value}`)}
+                </button>
+              ))}
             </div>
-
-            {/* Top Cases toggle button */}
-            <button
-              className={
-                activeTab === "cases"
-                  ? "topcases-btn active"
-                  : "topcases-btn"
-              }
-              type="button"
-              onClick={() =>
-                setActiveTab(
-                  activeTab === "cases" ? "overview" : "cases"
-                )
-              }
-            >
-              {activeTab === "cases" ? "Back to Summary" : "View Top Cases"}
-            </button>
           </div>
 
           {/* Dashboard content to be exported as PDF */}
           <section className="panel panel-dashboard" ref={dashboardRef}>
-            {/* -------- OVERVIEW -------- */}
-            {activeTab === "overview" && (
-              <>
-                {/* Risk banner */}
-                <div className="risk-banner">
-                  <div className="risk-banner-main">
-                    <span className="risk-label">Hospital Risk Level</span>
-                    <span
-                      className="risk-badge"
-                      style={{ backgroundColor: riskLevelColor }}
-                    >
-                      {riskLevelLabel || "N/A"}
-                    </span>
-                  </div>
-                  <p className="risk-banner-summary">
-                    {report.summary}
-                  </p>
-                </div>
-
-                {/* Metric cards (3 per row via CSS) */}
-                <div className="metrics-grid">
-                  <div className="metric-card">
-                    <span className="metric-label">
-                      Total Prescriptions
-                    </span>
-                    <span className="metric-value">
-                      {report.totalPrescriptions}
-                    </span>
-                  </div>
-                  <div className="metric-card">
-                    <span className="metric-label">High Risk Cases</span>
-                    <span className="metric-value metric-high">
-                      {report.highRiskCases}
-                    </span>
-                  </div>
-                  <div className="metric-card">
-                    <span className="metric-label">Medium Risk Cases</span>
-                    <span className="metric-value metric-medium">
-                      {report.mediumRiskCases}
-                    </span>
-                  </div>
-                  <div className="metric-card">
-                    <span className="metric-label">Low Risk Cases</span>
-                    <span className="metric-value metric-low">
-                      {report.lowRiskCases}
-                    </span>
-                  </div>
-                  <div className="metric-card">
-                    <span className="metric-label">
-                      Controlled Drug Prescriptions
-                    </span>
-                    <span className="metric-value">
-                      {report.controlledDrugUse}
-                    </span>
-                  </div>
-                  <div className="metric-card">
-                    <span className="metric-label">Active Alerts</span>
-                    <span className="metric-value metric-high">
-                      {report.activeAlerts}
-                    </span>
-                  </div>
-                </div>
-
-                {/* Charts */}
-                <div className="charts-grid">
-                  {/* Top Suspicious Drugs */}
-                  <div className="chart-card">
-                    <h3 className="chart-title">Top Suspicious Drugs</h3>
-                    {barData.length === 0 ? (
-                      <p className="chart-empty">
-                        No data for this selection.
-                      </p>
-                    ) : (
-                      <ResponsiveContainer width="100%" height={220}>
-                        <BarChart data={barData}>
-                          <CartesianGrid strokeDasharray="3 3" />
-                          <XAxis dataKey="name" />
-                          <YAxis />
-                          <ReTooltip />
-                          <Bar dataKey="value" fill="#2563EB" />
-                        </BarChart>
-                      </ResponsiveContainer>
-                    )}
-                  </div>
-
-                  {/* Fraud Trend */}
-                  <div className="chart-card">
-                    <h3 className="chart-title">
-                      Fraud Trend (Last 3 Months)
-                    </h3>
-                    {lineData.length === 0 ? (
-                      <p className="chart-empty">
-                        No month data available.
-                      </p>
-                    ) : (
-                      <ResponsiveContainer width="100%" height={220}>
-                        <LineChart data={lineData}>
-                          <CartesianGrid strokeDasharray="3 3" />
-                          <XAxis dataKey="month" />
-                          <YAxis />
-                          <ReTooltip />
-                          <Line
-                            type="monotone"
-                            dataKey="value"
-                            stroke="#9254DE"
-                          />
-                        </LineChart>
-                      </ResponsiveContainer>
-                    )}
-                  </div>
-
-                  {/* Risk Distribution */}
-                  <div className="chart-card">
-                    <h3 className="chart-title">Risk Distribution</h3>
-                    {pieData.every((d) => d.value === 0) ? (
-                      <p className="chart-empty">
-                        No risk distribution data.
-                      </p>
-                    ) : (
-                      <ResponsiveContainer width="100%" height={220}>
-                        <PieChart>
-                          <Pie
-                            data={pieData}
-                            cx="50%"
-                            cy="50%"
-                            outerRadius={80}
-                            dataKey="value"
-                            nameKey="name"
-                            label
-                          >
-                            {pieData.map((entry, index) => (
-                              <Cell
-                                key={`cell-${index}`}
-                                fill={COLORS[index % COLORS.length]}
-                              />
-                            ))}
-                          </Pie>
-                          <Legend />
-                          <ReTooltip />
-                        </PieChart>
-                      </ResponsiveContainer>
-                    )}
-                  </div>
-                </div>
-              </>
+            {dataWarnings.length > 0 && (
+              <details className="data-quality-notice">
+                <summary>
+                  {t("dashboard.dataQuality", { count: dataWarnings.length })}
+                </summary>
+                <ul>
+                  {dataWarnings.map((w, i) => (
+                    <li key={i}>{w}</li>
+                  ))}
+                </ul>
+              </details>
             )}
 
-            {/* -------- TOP CASES -------- */}
-            {activeTab === "cases" && (
-              <div className="cases-screen">
-                <p className="cases-intro">
-                  Showing the most suspicious prescriptions for{" "}
-                  <strong>{report.hospitalName}</strong> in{" "}
-                  <strong>
-                    {report.quarter
-                      ? `${report.year} ${report.quarter}`
-                      : report.year}
-                  </strong>
-                  . These cases have the highest fraud scores and should
-                  be reviewed by the clinical / pharmacy team.
-                </p>
-
-                {topCases.length === 0 ? (
-                  <p className="chart-empty">
-                    No suspicious prescriptions found for this period.
+            <ErrorBoundary
+              key={`${buildHash({ name: "report", ...loadedParams })}/${activeTab}`}
+              t={t}
+              onReset={handleBackToFilters}
+            >
+              {/* -------- OVERVIEW -------- */}
+              {activeTab === "overview" && (
+                <DashboardLayout
+                  deltas={live.deltas}
+                  cases={displayCases}
+                  onSelectDrug={handleOpenDrug}
+                  onSelectCase={handleSelectCase}
+                  onShowCases={() => handleTabChange("cases")}
+                />
+              )}
+
+              {/* -------- TOP CASES -------- */}
+              {activeTab === "cases" && (
+                <div className="cases-screen">
+                  <p className="cases-intro">
+                    {t("dashboard.casesIntro", {
+                      hospital: report.hospitalName,
+                      period: periodLabel(report),
+                    })}
                   </p>
-                ) : (
-                  <div className="cases-table-wrapper">
-                    <table className="cases-table">
-                      <thead>
-                        <tr>
-                          <th>Risk</th>
-                          <th>Drug</th>
-                          <th>Quantity</th>
-                          <th>Patient ID</th>
-                          <th>Doctor ID</th>
-                          <th>Date</th>
-                          <th>Fraud Score</th>
-                          <th>Action</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {topCases.map((c) => (
-                          <tr key={c.prescription_id}>
-                            <td>
-                              <span
-                                className={`risk-pill ${
-                                  c.risk_band === "High"
-                                    ? "risk-pill-high"
-                                    : c.risk_band === "Medium"
-                                    ? "risk-pill-medium"
-                                    : "risk-pill-low"
-                                }`}
-                              >
-                                {c.risk_band}
-                              </span>
-                            </td>
-                            <td>{c.drug_name}</td>
-                            <td>{c.quantity}</td>
-                            <td>{c.patient_id}</td>
-                            <td>{c.doctor_id}</td>
-                            <td>{c.date}</td>
-                            <td>{c.final_fraud_score.toFixed(2)}</td>
-                            <td>{c.recommended_action}</td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                )}
-              </div>
-            )}
+
+                  <CasesExplorer
+                    cases={displayCases}
+                    total={explorer.total}
+                    loading={explorer.loading}
+                    query={explorer.query}
+                    onQueryChange={loadCases}
+                    triage={explorer.triage}
+                    newCaseIds={live.newCases}
+                    onSelectCase={handleSelectCase}
+                    onSelectPatient={handleShowPatient}
+                    privacy={privacyMode}
+                  />
+                </div>
+              )}
+
+              {/* -------- PRESCRIBERS -------- */}
+              {activeTab === "prescribers" && (
+                <PrescriberProfiles
+                  {...apiParams(loadedParams)}
+                  riskDistribution={report.riskDistribution}
+                  privacy={privacyMode}
+                  onShowCases={handleShowDoctorCases}
+                />
+              )}
+
+              {/* -------- PATIENTS -------- */}
+              {activeTab === "patients" && (
+                <PatientPatterns
+                  {...apiParams(loadedParams)}
+                  selectedPatientId={selectedPatientId}
+                  privacy={privacyMode}
+                  onSelectPatient={setSelectedPatientId}
+                  onSelectCase={setSelectedCase}
+                />
+              )}
+
+              {/* -------- DRUGS -------- */}
+              {activeTab === "drugs" && (
+                <DrugAnalytics
+                  {...apiParams(loadedParams)}
+                  years={years}
+                  drugName={selectedDrug}
+                  report={report}
+                  privacy={privacyMode}
+                  onSelectDrug={handleOpenDrug}
+                  onSelectCase={setSelectedCase}
+                />
+              )}
+
+              {/* -------- TRENDS -------- */}
+              {activeTab === "trends" && (
+                <TrendAnalysis
+                  hospitalId={loadedParams.hospitalId}
+                  years={years}
+                />
+              )}
+            </ErrorBoundary>
 
             {/* Bottom action buttons (inside panel so included in PDF) */}
             <div className="bottom-actions">
-              <button className="export-button" onClick={handleExportPdf}>
-                📄 Export PDF
-              </button>
+              <ExportMenu
+                containerRef={dashboardRef}
+                cases={explorer.cases}
+                caseQuery={explorer.query}
+                activeTab={activeTab}
+                onShowTab={setActiveTab}
+              />
 
               <button className="back-button" onClick={handleBackToFilters}>
-                ← Back to filters
+                {t("common.backToFilters")}
               </button>
             </div>
           </section>
+
+          {/* Case drill-down (outside the exported panel) */}
+          {selectedCase && (
+            <CaseDetailPanel
+              caseItem={privacyMode ? maskCase(selectedCase) : selectedCase}
+              topCases={displayCases}
+              topSuspiciousDrugs={report.topSuspiciousDrugs}
+              triage={explorer.triage[selectedCase.prescription_id]}
+              onSaveTriage={(decision) =>
+                explorer.saveDecision(selectedCase.prescription_id, decision)
+              }
+              onSelect={handleSelectCase}
+              onClose={() => setSelectedCase(null)}
+            />
+          )}
+
+          {privacyMode && (
+            <div className="privacy-watermark" aria-hidden="true">
+              <span>{t("dashboard.privacyWatermark")}</span>
+            </div>
+          )}
         </main>
       )}
+
+      {/* =========== SCREEN 3 – HOSPITAL COMPARISON =========== */}
+      {step === 3 && comparison && (
+        <HospitalComparison
+          reports={comparison.reports}
+          failures={comparison.failures}
+          hospitals={hospitals}
+          periodLabel={
+            comparison.quarter === ""
+              ? String(comparison.year)
+              : quarterLabel(comparison)
+          }
+          onBack={handleBackToFilters}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,373 @@
+// src/App.test.jsx
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import App from "./App";
+import { buildFraudReportPdf, captureCharts } from "./pdfReport";
+import { requestsTo, stubFetch } from "./test/fetchMock";
+import hospitalsFixture from "./test/fixtures/hospitals.json";
+import yearsFixture from "./test/fixtures/years.json";
+import reportFixture from "./test/fixtures/fraud-report.json";
+import emptyReportFixture from "./test/fixtures/fraud-report-empty.json";
+import casesFixture from "./test/fixtures/top-cases.json";
+
+// html2canvas and jsPDF need a real browser; only check they are driven
+vi.mock("./pdfReport", async (importOriginal) => ({
+  ...(await importOriginal()),
+  captureCharts: vi.fn(),
+  buildFraudReportPdf: vi.fn(),
+}));
+
+const ADMIN = { name: "Test admin", role: "admin" };
+const VIEWER = { name: "Test viewer", role: "viewer" };
+
+const BACKEND = {
+  "/api/hospitals": hospitalsFixture,
+  "/api/years": yearsFixture,
+  "/api/fraud-report": reportFixture,
+  "/api/top-cases": casesFixture,
+};
+
+beforeEach(() => {
+  // expected failures and recharts' zero-size warnings are logged
+  vi.spyOn(console, "error").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+  vi.stubGlobal("alert", vi.fn());
+});
+
+// Renders the app and waits for the filter screen to finish loading.
+async function renderFilters({ user = ADMIN, backend = {} } = {}) {
+  const fetch = stubFetch({ ...BACKEND, ...backend });
+  render(<App user={user} />);
+  await waitFor(() => expect(runButton()).toBeEnabled());
+  return fetch;
+}
+
+function runButton() {
+  return screen.getByRole("button", { name: "Run Fraud Detector" });
+}
+
+async function runReport(user) {
+  await user.click(runButton());
+  await screen.findByText("Hospital Risk Level");
+}
+
+describe("App", () => {
+  it("runs a report, opens the cases and goes back to the filters", async () => {
+    const user = userEvent.setup();
+    const fetch = await renderFilters();
+
+    expect(screen.getByRole("combobox", { name: "Hospital" })).toHaveValue(
+      "King Fahad Hospital (Riyadh)"
+    );
+    expect(screen.getByLabelText("Year")).toHaveValue("2024");
+
+    await runReport(user);
+
+    const [reportRequest] = requestsTo(fetch, "/api/fraud-report");
+    expect(reportRequest.searchParams.get("hospital_id")).toBe("1");
+    expect(reportRequest.searchParams.get("year")).toBe("2024");
+    expect(reportRequest.searchParams.has("quarter")).toBe(false);
+    expect(window.location.hash).toBe("#/hospital/1/2024/year");
+
+    expect(screen.getByText("King Fahad Hospital")).toBeInTheDocument();
+    expect(screen.getByText(reportFixture.summary)).toBeInTheDocument();
+    expect(screen.getByText("4,820")).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Top Cases" }));
+    const table = screen.getByRole("table");
+    // header row plus the two cases that have a prescription_id
+    expect(within(table).getAllByRole("row")).toHaveLength(3);
+    expect(within(table).getAllByText("D-0412")).toHaveLength(2);
+    expect(window.location.hash).toBe("#/hospital/1/2024/year/cases");
+
+    await user.click(screen.getByRole("button", { name: "← Back to filters" }));
+    expect(runButton()).toBeInTheDocument();
+    expect(screen.queryByRole("table")).not.toBeInTheDocument();
+  });
+
+  it("keeps a doctor's ID out of the case filter in privacy mode", async () => {
+    const user = userEvent.setup();
+    const fetch = await renderFilters();
+    await runReport(user);
+    await user.click(screen.getByLabelText(/Privacy mode/));
+
+    await user.click(screen.getByRole("button", { name: "Prescribers" }));
+    await user.click(
+      await screen.findByRole("button", { name: /View 2 case\(s\)/ })
+    );
+
+    const alias = new URL(window.location.href).searchParams.get("doctor");
+    expect(alias).toMatch(/^D-/);
+    expect(alias).not.toBe("D-0412");
+    expect(screen.getByRole("textbox", { name: "Doctor ID" })).toHaveValue(
+      alias
+    );
+    await waitFor(() =>
+      expect(
+        requestsTo(fetch, "/api/top-cases").at(-1).searchParams.get("doctor_id")
+      ).toBe("D-0412")
+    );
+
+    // re-applying the alias filters by the real ID, not the alias
+    await user.click(screen.getByRole("button", { name: "Apply" }));
+    expect(await screen.findByRole("table")).toBeInTheDocument();
+    const doctorIds = requestsTo(fetch, "/api/top-cases").map((url) =>
+      url.searchParams.get("doctor_id")
+    );
+    expect(doctorIds).not.toContain(alias);
+    expect(new URL(window.location.href).searchParams.get("doctor")).toBe(
+      alias
+    );
+  });
+
+  it("checks case score alerts against all of the period's cases", async () => {
+    localStorage.setItem(
+      "fraud-dashboard:alert-rules",
+      JSON.stringify([
+        {
+          id: "rule-1",
+          name: "Oxycodone spike",
+          type: "case_score",
+          enabled: true,
+          threshold: 0.9,
+          drugName: "Oxycodone",
+        },
+      ])
+    );
+    // the explorer's filter leaves no case on its page
+    window.history.replaceState(null, "", "/?risk=Low");
+    const user = userEvent.setup();
+    const fetch = await renderFilters({
+      backend: {
+        "/api/top-cases": (url) =>
+          url.searchParams.get("risk_band") === "Low"
+            ? { ...casesFixture, cases: [], total: 0 }
+            : casesFixture,
+      },
+    });
+    await runReport(user);
+
+    expect(
+      await screen.findByRole("button", { name: "Alerts, 1 unread" })
+    ).toBeInTheDocument();
+    const unfiltered = requestsTo(fetch, "/api/top-cases").filter(
+      (url) => !url.searchParams.has("risk_band")
+    );
+    expect(unfiltered).not.toHaveLength(0);
+  });
+
+  it("loads the analysis tabs for the report's date range", async () => {
+    const user = userEvent.setup();
+    const fetch = await renderFilters();
+    await user.selectOptions(screen.getByLabelText("Period"), "month");
+    await user.selectOptions(screen.getByLabelText("Month"), "3");
+    await runReport(user);
+
+    const allCasesRequests = () =>
+      requestsTo(fetch, "/api/top-cases").filter(
+        (url) => url.searchParams.get("limit") === "100"
+      );
+    const expectRange = (url) => {
+      expect(url.searchParams.get("start_date")).toBe("2024-03-01");
+      expect(url.searchParams.get("end_date")).toBe("2024-03-31");
+    };
+
+    for (const tab of ["Prescribers", "Patients"]) {
+      await user.click(screen.getByRole("button", { name: tab }));
+      await waitFor(() =>
+        expect(
+          screen.queryByText("Loading all cases...")
+        ).not.toBeInTheDocument()
+      );
+    }
+    expect(allCasesRequests().length).toBeGreaterThan(0);
+    allCasesRequests().forEach(expectRange);
+
+    await user.click(screen.getByRole("button", { name: "Drugs" }));
+    await user.type(screen.getByLabelText("Drug name"), "Oxycodone");
+    await user.click(screen.getByRole("button", { name: "Open" }));
+    // the drug's own period, next to its whole-year history
+    const drugPeriodRequests = () =>
+      allCasesRequests().filter(
+        (url) =>
+          url.searchParams.get("drug_name") === "Oxycodone" &&
+          url.searchParams.has("start_date")
+      );
+    await waitFor(() => expect(drugPeriodRequests()).toHaveLength(1));
+    expectRange(drugPeriodRequests()[0]);
+  });
+
+  it("shows a data-quality notice for repaired fields", async () => {
+    const user = userEvent.setup();
+    await renderFilters({
+      backend: {
+        "/api/fraud-report": { ...reportFixture, active_alerts: "9" },
+      },
+    });
+
+    await runReport(user);
+
+    expect(screen.getByText(/^Data quality: \d+ issues/)).toBeInTheDocument();
+    expect(
+      screen.getByText(
+        'fraud-report.active_alerts: expected a number, got string "9"'
+      )
+    ).toBeInTheDocument();
+  });
+
+  it("only loads aggregates for viewers", async () => {
+    const user = userEvent.setup();
+    const fetch = await renderFilters({ user: VIEWER });
+
+    await runReport(user);
+
+    expect(requestsTo(fetch, "/api/top-cases")).toHaveLength(0);
+    expect(
+      screen.queryByRole("button", { name: "Top Cases" })
+    ).not.toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: "📄 Export PDF" })
+    ).not.toBeInTheDocument();
+  });
+
+  describe("errors", () => {
+    it("reports hospitals that fail to load", async () => {
+      stubFetch({
+        ...BACKEND,
+        "/api/hospitals": new Response("", { status: 500 }),
+      });
+      render(<App user={ADMIN} />);
+
+      expect(
+        await screen.findByText(
+          "Failed to load hospitals or years from backend. " +
+            "The server had a problem (500). Please try again later."
+        )
+      ).toBeInTheDocument();
+    });
+
+    it("falls back to 2021-2023 when the years fail to load", async () => {
+      await renderFilters({
+        backend: { "/api/years": new Response("", { status: 502 }) },
+      });
+
+      const years = screen.getByLabelText("Year");
+      expect(
+        within(years)
+          .getAllByRole("option")
+          .map((o) => o.value)
+          .filter(Boolean)
+      ).toEqual(["2021", "2022", "2023"]);
+      expect(years).toHaveValue("2023");
+    });
+
+    it("stays on the filters with a message when the report fails", async () => {
+      const user = userEvent.setup();
+      await renderFilters({
+        backend: { "/api/fraud-report": new Response("", { status: 503 }) },
+      });
+
+      await user.click(runButton());
+
+      expect(
+        await screen.findByText(
+          "The server had a problem (503). Please try again later."
+        )
+      ).toBeInTheDocument();
+      expect(runButton()).toBeEnabled();
+      expect(screen.queryByText("Hospital Risk Level")).not.toBeInTheDocument();
+    });
+
+    it("asks for a date range before running a custom period", async () => {
+      const user = userEvent.setup();
+      const fetch = await renderFilters();
+
+      await user.selectOptions(screen.getByLabelText("Period"), "custom");
+      await user.click(runButton());
+
+      expect(
+        screen.getByText("Please choose both a start and an end date.")
+      ).toBeInTheDocument();
+      expect(requestsTo(fetch, "/api/fraud-report")).toHaveLength(0);
+    });
+  });
+
+  it("shows empty states instead of charts for a period without data", async () => {
+    const user = userEvent.setup();
+    await renderFilters({
+      backend: {
+        "/api/fraud-report": emptyReportFixture,
+        "/api/top-cases": { total: 0, cases: [] },
+      },
+    });
+
+    await runReport(user);
+
+    expect(screen.getByText("No data for this selection.")).toBeInTheDocument();
+    expect(screen.getByText("No month data available.")).toBeInTheDocument();
+    expect(screen.getByText("No risk distribution data.")).toBeInTheDocument();
+  });
+
+  it("builds and saves the PDF export", async () => {
+    const user = userEvent.setup();
+    const save = vi.fn();
+    captureCharts.mockResolvedValue([]);
+    buildFraudReportPdf.mockResolvedValue({ save });
+    await renderFilters();
+    await runReport(user);
+
+    await user.click(screen.getByRole("button", { name: "📄 Export PDF" }));
+
+    await waitFor(() => expect(save).toHaveBeenCalled());
+    expect(captureCharts).toHaveBeenCalled();
+    expect(buildFraudReportPdf).toHaveBeenCalledWith(
+      expect.objectContaining({
+        report: expect.objectContaining({
+          hospitalName: "King Fahad Hospital",
+        }),
+        cases: expect.arrayContaining([
+          expect.objectContaining({ prescription_id: "RX-24-00981" }),
+        ]),
+        watermark: "",
+      })
+    );
+    expect(save.mock.calls[0][0]).toMatch(/\.pdf$/);
+    expect(screen.getByRole("button", { name: "📄 Export PDF" })).toBeEnabled();
+  });
+
+  it("lets the summary be customized and exports the PDF in that layout", async () => {
+    const user = userEvent.setup();
+    const save = vi.fn();
+    captureCharts.mockResolvedValue([]);
+    buildFraudReportPdf.mockResolvedValue({ save });
+    await renderFilters();
+    await runReport(user);
+
+    await user.click(screen.getByRole("button", { name: "⚙ Customize" }));
+    const banner = screen
+      .getByRole("button", { name: "Move Risk Banner later" })
+      .closest(".layout-widget");
+    await user.click(within(banner).getByRole("checkbox", { name: "Show" }));
+    await user.click(
+      screen.getByRole("button", { name: "Move Top Cases by Score earlier" })
+    );
+    await user.type(screen.getByRole("textbox", { name: "View name" }), "Exec");
+    await user.click(screen.getByRole("button", { name: "Save view" }));
+    await user.click(screen.getByRole("button", { name: "Done" }));
+
+    expect(screen.queryByText(reportFixture.summary)).not.toBeInTheDocument();
+    expect(
+      screen.getByRole("combobox", { name: /^Layout/ })
+    ).toHaveDisplayValue("Exec");
+    const saved = JSON.parse(localStorage.getItem("fraud-dashboard:layout"));
+    expect(saved.views.map((v) => v.name)).toEqual(["Exec"]);
+
+    await user.click(screen.getByRole("button", { name: "📄 Export PDF" }));
+
+    await waitFor(() => expect(save).toHaveBeenCalled());
+    const { layout } = buildFraudReportPdf.mock.lastCall[0];
+    expect(layout).not.toContain("riskBanner");
+    expect(layout.slice(-2)).toEqual(["topCases", "riskDistribution"]);
+  });
+});
@@ -0,0 +1,127 @@
+// src/AuthGate.jsx
+import { useEffect, useState, useSyncExternalStore } from "react";
+import App from "./App.jsx";
+import {
+  authEnabled,
+  authMode,
+  completeLogin,
+  getLogoutReason,
+  getSession,
+  isLoginCallback,
+  loginWithToken,
+  logout,
+  startLogin,
+  subscribeAuth,
+} from "./auth";
+import { useI18n } from "./i18n";
+import LanguageSwitcher from "./LanguageSwitcher";
+
+function LoginScreen({ error }) {
+  const { t } = useI18n();
+  const [token, setToken] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [formError, setFormError] = useState("");
+  const message = error || formError || getLogoutReason();
+
+  async function handleSso() {
+    try {
+      setBusy(true);
+      setFormError("");
+      await startLogin();
+    } catch (err) {
+      console.error(err);
+      setFormError(t("login.startFailed", { reason: err.message }));
+      setBusy(false);
+    }
+  }
+
+  function handleToken(e) {
+    e.preventDefault();
+    try {
+      setFormError("");
+      loginWithToken(token);
+    } catch (err) {
+      setFormError(err.message);
+    }
+  }
+
+  return (
+    <div className="app-root">
+      <header className="app-header">
+        <div>
+          <h1 className="app-title">{t("app.title")}</h1>
+          <p className="app-subtitle">{t("app.signInSubtitle")}</p>
+        </div>
+        <div className="header-actions">
+          <LanguageSwitcher />
+        </div>
+      </header>
+
+      <main className="app-main single">
+        <section className="panel panel-filters login-panel">
+          <h2 className="panel-title">{t("login.title")}</h2>
+          {authMode === "oidc" ? (
+            <button
+              className="primary-button"
+              type="button"
+              onClick={handleSso}
+              disabled={busy}
+            >
+              {busy ? t("login.redirecting") : t("login.sso")}
+            </button>
+          ) : (
+            <form onSubmit={handleToken}>
+              <label className="field">
+                <span className="field-label">{t("login.token")}</span>
+                <textarea
+                  rows={4}
+                  value={token}
+                  onChange={(e) => setToken(e.target.value)}
+                  placeholder={t("login.tokenPlaceholder")}
+                />
+              </label>
+              <button className="primary-button" type="submit">
+                {t("login.submit")}
+              </button>
+            </form>
+          )}
+          {message && <p className="error-text">{message}</p>}
+        </section>
+      </main>
+    </div>
+  );
+}
+
+// Shows the login screen until there is a session, then the dashboard
+// for the signed-in user.
+export default function AuthGate() {
+  const session = useSyncExternalStore(subscribeAuth, getSession);
+  const { t } = useI18n();
+  const [completing, setCompleting] = useState(isLoginCallback);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!isLoginCallback()) return;
+    completeLogin()
+      .catch((err) => {
+        console.error(err);
+        setError(t("login.failed", { reason: err.message }));
+      })
+      .finally(() => setCompleting(false));
+  }, [t]);
+
+  if (completing) {
+    return <p className="chart-empty">{t("login.signingIn")}</p>;
+  }
+  if (authEnabled && !session) {
+    return <LoginScreen error={error} />;
+  }
+  return (
+    <App
+      user={session.user}
+      onLogout={
+        authEnabled ? () => logout("", { redirect: true }) : undefined
+      }
+    />
+  );
+}
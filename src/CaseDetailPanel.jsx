@@ -0,0 +1,240 @@
+// src/CaseDetailPanel.jsx
+import { useEffect, useState } from "react";
+import {
+  compareQuantity,
+  fieldLabel,
+  formatFieldValue,
+  relatedCases,
+} from "./caseDetails";
+import { TRIAGE_STATUSES } from "./triageStore";
+import { useI18n } from "./i18n";
+
+const REVIEWER_KEY = "fraud-dashboard:reviewer";
+
+function TriageForm({ triage, onSave }) {
+  const { t, tValue, formatDateTime } = useI18n();
+  const [status, setStatus] = useState(triage?.status || "new");
+  const [note, setNote] = useState(triage?.note || "");
+  const [reviewer, setReviewer] = useState(
+    triage?.reviewer || localStorage.getItem(REVIEWER_KEY) || ""
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError("");
+      localStorage.setItem(REVIEWER_KEY, reviewer);
+      await onSave({ status, note, reviewer });
+    } catch (err) {
+      console.error(err);
+      setError(t("caseDetail.saveFailed"));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form className="case-detail-section triage-form" onSubmit={handleSubmit}>
+      <h4 className="case-detail-heading">{t("caseDetail.review")}</h4>
+
+      <label className="field">
+        <span className="field-label">{t("caseDetail.status")}</span>
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          {TRIAGE_STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {tValue("triage", status)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="field">
+        <span className="field-label">{t("caseDetail.reviewer")}</span>
+        <input
+          type="text"
+          value={reviewer}
+          onChange={(e) => setReviewer(e.target.value)}
+          placeholder={t("caseDetail.reviewerPlaceholder")}
+        />
+      </label>
+
+      <label className="field">
+        <span className="field-label">{t("caseDetail.note")}</span>
+        <textarea
+          rows={3}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+        />
+      </label>
+
+      {triage?.updated_at && (
+        <p className="case-detail-text triage-meta">
+          {t("caseDetail.lastSaved", {
+            time: formatDateTime(triage.updated_at),
+          })}
+          {triage.reviewer
+            ? t("caseDetail.savedBy", { reviewer: triage.reviewer })
+            : ""}
+          {triage.synced ? "" : t("caseDetail.localOnly")}
+        </p>
+      )}
+      {error && <p className="error-text">{error}</p>}
+
+      <button className="primary-button" type="submit" disabled={saving}>
+        {saving ? t("caseDetail.saving") : t("caseDetail.save")}
+      </button>
+    </form>
+  );
+}
+
+function RelatedCaseList({ title, cases, onSelect }) {
+  const { t } = useI18n();
+  return (
+    <div className="case-detail-section">
+      <h4 className="case-detail-heading">
+        {title} ({cases.length})
+      </h4>
+      {cases.length === 0 ? (
+        <p className="chart-empty">{t("caseDetail.noRelated")}</p>
+      ) : (
+        <ul className="case-related-list">
+          {cases.map((c) => (
+            <li key={c.prescription_id}>
+              <button
+                type="button"
+                className="case-related-link"
+                onClick={() => onSelect(c)}
+              >
+                {c.prescription_id}
+              </button>{" "}
+              {t("caseDetail.relatedSummary", {
+                drug: c.drug_name,
+                quantity: formatFieldValue(c.quantity),
+                score: formatFieldValue(c.final_fraud_score),
+                date: c.date,
+              })}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default function CaseDetailPanel({
+  caseItem,
+  topCases,
+  topSuspiciousDrugs,
+  triage,
+  onSaveTriage,
+  onSelect,
+  onClose,
+}) {
+  const { t, tValue } = useI18n();
+
+  // Close on Escape
+  useEffect(() => {
+    function onKeyDown(e) {
+      if (e.key === "Escape") onClose();
+    }
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  const quantity = compareQuantity(caseItem, topSuspiciousDrugs, topCases);
+  const related = relatedCases(caseItem, topCases);
+
+  return (
+    <div className="case-detail-overlay" onClick={onClose}>
+      <aside
+        className="case-detail-panel"
+        role="dialog"
+        aria-label={t("caseDetail.dialog", { id: caseItem.prescription_id })}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="case-detail-header">
+          <h3 className="panel-title">
+            {t("caseDetail.title", { id: caseItem.prescription_id })}
+          </h3>
+          <button type="button" className="back-link" onClick={onClose}>
+            {t("common.close")}
+          </button>
+        </div>
+
+        <TriageForm
+          key={caseItem.prescription_id}
+          triage={triage}
+          onSave={onSaveTriage}
+        />
+
+        {/* Every field the backend returned */}
+        <div className="case-detail-section">
+          <h4 className="case-detail-heading">{t("caseDetail.fields")}</h4>
+          <dl className="case-detail-fields">
+            {Object.entries(caseItem).map(([key, value]) => (
+              <div key={key} className="case-detail-field">
+                <dt>{fieldLabel(key)}</dt>
+                <dd>{formatFieldValue(value)}</dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+
+        {/* Quantity vs. typical for this drug */}
+        <div className="case-detail-section">
+          <h4 className="case-detail-heading">
+            {t("caseDetail.quantityHeading", { drug: caseItem.drug_name })}
+          </h4>
+          {quantity.typical === null ? (
+            <p className="chart-empty">{t("caseDetail.noTypical")}</p>
+          ) : (
+            <p className="case-detail-text">
+              {t("caseDetail.quantity")}{" "}
+              <strong>{formatFieldValue(caseItem.quantity)}</strong>{" "}
+              {t("caseDetail.vsTypical")}{" "}
+              <strong>{formatFieldValue(quantity.typical)}</strong>{" "}
+              {t("caseDetail.source", {
+                source: tValue("caseDetail.sources", quantity.source),
+              })}
+              {quantity.ratio !== null && (
+                <>
+                  {" "}
+                  —{" "}
+                  <strong
+                    className={
+                      quantity.ratio >= 1.5 ? "metric-high" : undefined
+                    }
+                  >
+                    {quantity.ratio.toFixed(1)}×
+                  </strong>{" "}
+                  {t("caseDetail.typicalAmount")}
+                </>
+              )}
+            </p>
+          )}
+          {quantity.drugEntry && (
+            <p className="case-detail-text">
+              {t("caseDetail.drugAverage", {
+                score: formatFieldValue(quantity.drugEntry.avg_fraud_score),
+              })}
+            </p>
+          )}
+        </div>
+
+        <RelatedCaseList
+          title={t("caseDetail.byDoctor", { id: caseItem.doctor_id ?? "–" })}
+          cases={related.byDoctor}
+          onSelect={onSelect}
+        />
+        <RelatedCaseList
+          title={t("caseDetail.byPatient", { id: caseItem.patient_id ?? "–" })}
+          cases={related.byPatient}
+          onSelect={onSelect}
+        />
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+// src/CasesExplorer.jsx
+import { useState } from "react";
+import { CASE_SORT_FIELDS, PAGE_SIZES, RISK_BANDS } from "./caseQuery";
+import { TRIAGE_STATUSES, isResolved } from "./triageStore";
+import CasesTable from "./CasesTable";
+import { displayId, resolveAlias } from "./privacy";
+import { useI18n } from "./i18n";
+
+export default function CasesExplorer({
+  cases,
+  total,
+  loading,
+  query,
+  onQueryChange,
+  triage,
+  newCaseIds,
+  onSelectCase,
+  onSelectPatient,
+  privacy = false,
+}) {
+  const { t, tValue } = useI18n();
+
+  // server-side filters are edited as a draft and applied together; in
+  // privacy mode the doctor is edited by alias
+  const [draft, setDraft] = useState({
+    riskBand: query.riskBand,
+    drugName: query.drugName,
+    doctorId: query.doctorId && displayId("doctor_id", query.doctorId, privacy),
+    startDate: query.startDate,
+    endDate: query.endDate,
+  });
+
+  // triage filters only apply to the loaded page
+  const [hideResolved, setHideResolved] = useState(false);
+  const [statusFilter, setStatusFilter] = useState("");
+
+  // kept here so they survive the table unmounting while a page loads
+  const [columnWidths, setColumnWidths] = useState({});
+
+  const visibleCases = cases.filter((c) => {
+    const record = triage[c.prescription_id];
+    if (hideResolved && isResolved(record)) return false;
+    if (statusFilter && (record?.status || "new") !== statusFilter) {
+      return false;
+    }
+    return true;
+  });
+
+  const hasPrev = query.offset > 0;
+  const hasNext =
+    total !== null
+      ? query.offset + query.limit < total
+      : cases.length === query.limit;
+
+  function applyFilters(e) {
+    e.preventDefault();
+    onQueryChange({
+      ...query,
+      ...draft,
+      doctorId: resolveAlias("doctor_id", draft.doctorId),
+      offset: 0,
+    });
+  }
+
+  function clearFilters() {
+    const empty = {
+      riskBand: "",
+      drugName: "",
+      doctorId: "",
+      startDate: "",
+      endDate: "",
+    };
+    setDraft(empty);
+    onQueryChange({ ...query, ...empty, offset: 0 });
+  }
+
+  function handleSort(sortKey) {
+    const order =
+      query.sort === sortKey && query.order === "desc" ? "asc" : "desc";
+    onQueryChange({ ...query, sort: sortKey, order, offset: 0 });
+  }
+
+  const rangeStart = cases.length === 0 ? 0 : query.offset + 1;
+  const rangeEnd = query.offset + cases.length;
+
+  return (
+    <div className="cases-explorer">
+      {/* Server-side filters */}
+      <form className="cases-filters" onSubmit={applyFilters}>
+        <label className="field">
+          <span className="field-label">{t("cases.riskBand")}</span>
+          <select
+            value={draft.riskBand}
+            onChange={(e) => setDraft({ ...draft, riskBand: e.target.value })}
+          >
+            <option value="">{t("common.all")}</option>
+            {RISK_BANDS.map((band) => (
+              <option key={band} value={band}>
+                {tValue("riskBands", band)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="field">
+          <span className="field-label">{t("cases.drugName")}</span>
+          <input
+            type="text"
+            value={draft.drugName}
+            onChange={(e) => setDraft({ ...draft, drugName: e.target.value })}
+          />
+        </label>
+        <label className="field">
+          <span className="field-label">{t("cases.doctorId")}</span>
+          <input
+            type="text"
+            value={draft.doctorId}
+            onChange={(e) => setDraft({ ...draft, doctorId: e.target.value })}
+          />
+        </label>
+        <label className="field">
+          <span className="field-label">{t("cases.from")}</span>
+          <input
+            type="date"
+            value={draft.startDate}
+            onChange={(e) => setDraft({ ...draft, startDate: e.target.value })}
+          />
+        </label>
+        <label className="field">
+          <span className="field-label">{t("cases.to")}</span>
+          <input
+            type="date"
+            value={draft.endDate}
+            onChange={(e) => setDraft({ ...draft, endDate: e.target.value })}
+          />
+        </label>
+        <div className="cases-filter-actions">
+          <button className="topcases-btn" type="submit" disabled={loading}>
+            {t("cases.apply")}
+          </button>
+          <button className="back-link" type="button" onClick={clearFilters}>
+            {t("cases.clear")}
+          </button>
+        </div>
+      </form>
+
+      {/* Review filters (current page only) */}
+      <div className="cases-filters">
+        <label className="field">
+          <span className="field-label">{t("cases.status")}</span>
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+          >
+            <option value="">{t("cases.allStatuses")}</option>
+            {TRIAGE_STATUSES.map((status) => (
+              <option key={status} value={status}>
+                {tValue("triage", status)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="cases-filter-toggle">
+          <input
+            type="checkbox"
+            checked={hideResolved}
+            onChange={(e) => setHideResolved(e.target.checked)}
+          />
+          {t("cases.hideResolved")}
+        </label>
+      </div>
+
+      {loading ? (
+        <p className="chart-empty">{t("cases.loading")}</p>
+      ) : cases.length === 0 ? (
+        <p className="chart-empty">{t("cases.none")}</p>
+      ) : visibleCases.length === 0 ? (
+        <p className="chart-empty">{t("cases.noMatch")}</p>
+      ) : (
+        <CasesTable
+          cases={visibleCases}
+          query={query}
+          onSort={handleSort}
+          triage={triage}
+          newCaseIds={newCaseIds}
+          onSelectCase={onSelectCase}
+          onSelectPatient={onSelectPatient}
+          columnWidths={columnWidths}
+          onColumnWidthsChange={setColumnWidths}
+        />
+      )}
+
+      {/* Pagination */}
+      <div className="cases-pagination">
+        <span className="cases-range">
+          {total !== null
+            ? t("cases.rangeOf", { start: rangeStart, end: rangeEnd, total })
+            : t("cases.range", { start: rangeStart, end: rangeEnd })}
+        </span>
+        <label className="cases-page-size">
+          {t("cases.perPage")}{" "}
+          <select
+            value={query.limit}
+            onChange={(e) =>
+              onQueryChange({
+                ...query,
+                limit: Number(e.target.value),
+                offset: 0,
+              })
+            }
+          >
+            {PAGE_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="cases-page-size">
+          {t("cases.sortBy")}{" "}
+          <select
+            value={query.sort}
+            onChange={(e) =>
+              onQueryChange({ ...query, sort: e.target.value, offset: 0 })
+            }
+          >
+            {CASE_SORT_FIELDS.map((field) => (
+              <option key={field} value={field}>
+                {t(`cases.sort.${field}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="back-link"
+          type="button"
+          disabled={!hasPrev || loading}
+          onClick={() =>
+            onQueryChange({
+              ...query,
+              offset: Math.max(0, query.offset - query.limit),
+            })
+          }
+        >
+          {t("cases.previous")}
+        </button>
+        <button
+          className="back-link"
+          type="button"
+          disabled={!hasNext || loading}
+          onClick={() =>
+            onQueryChange({ ...query, offset: query.offset + query.limit })
+          }
+        >
+          {t("cases.next")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+// src/CasesTable.jsx
+import { useState } from "react";
+import { getDirection, useI18n } from "./i18n";
+
+function riskPillClass(band) {
+  return band === "High"
+    ? "risk-pill risk-pill-high"
+    : band === "Medium"
+    ? "risk-pill risk-pill-medium"
+    : "risk-pill risk-pill-low";
+}
+
+function formatScore(score) {
+  return typeof score === "number" ? score.toFixed(2) : "–";
+}
+
+// sortKey matches CASE_SORT_FIELDS; columns without one are not sortable.
+// Headers come from the "cases.columns" catalog section.
+const COLUMNS = [
+  { key: "risk_band", width: 90 },
+  { key: "drug_name", width: 160, sortKey: "drug" },
+  { key: "quantity", width: 90, sortKey: "quantity" },
+  { key: "patient_id", width: 120 },
+  { key: "doctor_id", width: 120 },
+  { key: "date", width: 110, sortKey: "date" },
+  { key: "final_fraud_score", width: 100, sortKey: "score" },
+  { key: "recommended_action", width: 200 },
+  { key: "status", width: 130 },
+];
+
+const MIN_COLUMN_WIDTH = 60;
+
+// One page of cases with sortable, resizable columns. query supplies the
+// current sort and order; onSort(sortKey) asks for another one. Clicking a
+// row selects the case, a patient ID opens that patient. Resized column
+// widths ({ [key]: px }) are kept here unless the caller owns them
+// (columnWidths plus a state setter in onColumnWidthsChange), e.g. to
+// keep them across reloads.
+export default function CasesTable({
+  cases,
+  query,
+  onSort,
+  triage,
+  newCaseIds,
+  onSelectCase,
+  onSelectPatient,
+  columnWidths: controlledWidths,
+  onColumnWidthsChange,
+}) {
+  const { t, tValue } = useI18n();
+  const [ownWidths, setOwnWidths] = useState({});
+  const columnWidths = controlledWidths ?? ownWidths;
+  const setColumnWidths = onColumnWidthsChange ?? setOwnWidths;
+  const widthOf = (col) => columnWidths[col.key] ?? col.width;
+
+  function startResize(e, col) {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const startWidth = widthOf(col);
+    // the handle sits on the column's inline end, which is its left in RTL
+    const direction = getDirection() === "rtl" ? -1 : 1;
+
+    function onMove(moveEvent) {
+      const width = Math.max(
+        MIN_COLUMN_WIDTH,
+        startWidth + (moveEvent.clientX - startX) * direction
+      );
+      setColumnWidths((prev) => ({ ...prev, [col.key]: width }));
+    }
+    function onUp() {
+      window.removeEventListener("mousemove", onMove);
+      window.removeEventListener("mouseup", onUp);
+    }
+    window.addEventListener("mousemove", onMove);
+    window.addEventListener("mouseup", onUp);
+  }
+
+  function renderCell(c, key) {
+    switch (key) {
+      case "risk_band":
+        return (
+          <span className={riskPillClass(c.risk_band)}>
+            {tValue("riskBands", c.risk_band)}
+          </span>
+        );
+      case "final_fraud_score":
+        return formatScore(c.final_fraud_score);
+      case "patient_id":
+        return (
+          <button
+            type="button"
+            className="case-related-link"
+            title={t("cases.showPatient")}
+            onClick={(e) => {
+              e.stopPropagation();
+              onSelectPatient(c.patient_id);
+            }}
+          >
+            {c.patient_id}
+          </button>
+        );
+      case "status": {
+        const status = triage[c.prescription_id]?.status || "new";
+        return (
+          <span className={`triage-pill triage-${status}`}>
+            {tValue("triage", status)}
+          </span>
+        );
+      }
+      default:
+        return c[key];
+    }
+  }
+
+  return (
+    <div className="cases-table-wrapper">
+      <table className="cases-table cases-table-resizable">
+        <colgroup>
+          {COLUMNS.map((col) => (
+            <col key={col.key} style={{ width: widthOf(col) }} />
+          ))}
+        </colgroup>
+        <thead>
+          <tr>
+            {COLUMNS.map((col) => (
+              <th
+                key={col.key}
+                className={col.sortKey ? "sortable" : undefined}
+                onClick={col.sortKey ? () => onSort(col.sortKey) : undefined}
+                aria-sort={
+                  col.sortKey && query.sort === col.sortKey
+                    ? query.order === "asc"
+                      ? "ascending"
+                      : "descending"
+                    : undefined
+                }
+              >
+                {t(`cases.columns.${col.key}`)}
+                {col.sortKey && query.sort === col.sortKey && (
+                  <span className="sort-indicator">
+                    {query.order === "asc" ? " ▲" : " ▼"}
+                  </span>
+                )}
+                <span
+                  className="column-resizer"
+                  onMouseDown={(e) => startResize(e, col)}
+                  onClick={(e) => e.stopPropagation()}
+                />
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {cases.map((c) => (
+            <tr
+              key={c.prescription_id}
+              className={
+                newCaseIds?.has(c.prescription_id)
+                  ? "case-row case-row-new"
+                  : "case-row"
+              }
+              title={
+                newCaseIds?.has(c.prescription_id)
+                  ? t("live.newCase")
+                  : undefined
+              }
+              onClick={() => onSelectCase(c)}
+            >
+              {COLUMNS.map((col) => (
+                <td key={col.key}>{renderCell(c, col.key)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
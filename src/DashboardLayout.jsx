@@ -0,0 +1,355 @@
+// src/DashboardLayout.jsx
+import { useState } from "react";
+import RiskBanner from "./RiskBanner";
+import { ReportMetric } from "./MetricGrid";
+import {
+  FraudTrendChart,
+  RiskDistributionChart,
+  TopDrugsChart,
+} from "./ReportCharts";
+import {
+  WIDGET_SIZES,
+  canSeeWidget,
+  layoutsToJson,
+  moveWidget,
+  parseLayoutsJson,
+  updateWidget,
+  widgetInfo,
+} from "./widgetLayout";
+import { downloadBlob } from "./dataExport";
+import { useDashboard } from "./dashboardStore";
+import { useI18n } from "./i18n";
+
+const TOP_CASES = 5;
+
+const CHARTS = {
+  topDrugs: TopDrugsChart,
+  fraudTrend: FraudTrendChart,
+  riskDistribution: RiskDistributionChart,
+};
+
+function widgetLabel(t, id) {
+  const { kind } = widgetInfo(id);
+  return kind === "metric"
+    ? t(`metrics.${id}`)
+    : kind === "chart"
+    ? t(`charts.${id}`)
+    : t(`layout.widgets.${id}`);
+}
+
+// The highest scoring cases on the loaded page.
+function TopCasesList({ cases, onSelectCase, onShowAll }) {
+  const { t, tValue } = useI18n();
+  const top = cases
+    .filter((c) => typeof c.final_fraud_score === "number")
+    .sort((a, b) => b.final_fraud_score - a.final_fraud_score)
+    .slice(0, TOP_CASES);
+
+  return (
+    <div className="chart-card top-cases-widget">
+      <h3 className="chart-title">{t("layout.widgets.topCases")}</h3>
+      {top.length === 0 ? (
+        <p className="chart-empty">{t("cases.none")}</p>
+      ) : (
+        <ol className="top-cases-list">
+          {top.map((c, i) => (
+            <li key={c.prescription_id ?? i}>
+              <button
+                type="button"
+                className="top-cases-item"
+                onClick={() => onSelectCase(c)}
+              >
+                <span className="top-cases-score">
+                  {c.final_fraud_score.toFixed(2)}
+                </span>
+                <span className="top-cases-drug">{c.drug_name}</span>
+                <span className="top-cases-meta">
+                  {tValue("riskBands", c.risk_band)} · {c.doctor_id} · {c.date}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      )}
+      <button type="button" className="back-link" onClick={onShowAll}>
+        {t("layout.viewAllCases")}
+      </button>
+    </div>
+  );
+}
+
+// View picker, and while customizing: save / delete / reset the layout
+// and export / import views as JSON.
+function LayoutToolbar({ editing, onEditingChange }) {
+  const { t } = useI18n();
+  const { layout } = useDashboard();
+  const { views, activeViewId } = layout;
+  const [name, setName] = useState("");
+  const [importError, setImportError] = useState("");
+
+  function handleSave(e) {
+    e.preventDefault();
+    if (!name.trim()) return;
+    layout.saveView(name);
+    setName("");
+  }
+
+  function handleExport() {
+    downloadBlob(
+      new Blob([layoutsToJson(views)], { type: "application/json" }),
+      "fraud-dashboard-layouts.json"
+    );
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setImportError("");
+      layout.importViews(parseLayoutsJson(await file.text()));
+    } catch (err) {
+      console.error(err);
+      setImportError(t("layout.importFailed", { reason: err.message }));
+    }
+  }
+
+  return (
+    <div className="layout-toolbar">
+      <div className="layout-toolbar-row">
+        <label className="layout-view">
+          {t("layout.view")}{" "}
+          <select
+            value={activeViewId || ""}
+            onChange={(e) => layout.selectView(e.target.value || null)}
+          >
+            <option value="">{t("layout.unsavedView")}</option>
+            {views.map((v) => (
+              <option key={v.id} value={v.id}>
+                {v.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          className={editing ? "topcases-btn active" : "topcases-btn"}
+          aria-pressed={editing}
+          onClick={() => onEditingChange(!editing)}
+        >
+          {editing ? t("layout.done") : t("layout.customize")}
+        </button>
+      </div>
+
+      {editing && (
+        <>
+          <p className="layout-hint">{t("layout.hint")}</p>
+          <div className="alert-actions layout-actions">
+            <form className="layout-save" onSubmit={handleSave}>
+              <input
+                type="text"
+                value={name}
+                placeholder={t("layout.namePlaceholder")}
+                aria-label={t("layout.name")}
+                onChange={(e) => setName(e.target.value)}
+              />
+              <button
+                type="submit"
+                className="back-link"
+                disabled={!name.trim()}
+              >
+                {t("layout.saveView")}
+              </button>
+            </form>
+            <button
+              type="button"
+              className="back-link"
+              onClick={() => layout.deleteView(activeViewId)}
+              disabled={!activeViewId}
+            >
+              {t("layout.deleteView")}
+            </button>
+            <button
+              type="button"
+              className="back-link"
+              onClick={layout.resetWidgets}
+            >
+              {t("layout.reset")}
+            </button>
+            <button
+              type="button"
+              className="back-link"
+              onClick={handleExport}
+              disabled={views.length === 0}
+            >
+              {t("layout.exportJson")}
+            </button>
+            <label className="back-link alert-import">
+              {t("layout.importJson")}
+              <input
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImport}
+              />
+            </label>
+          </div>
+          {importError && <p className="error-text">{importError}</p>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Move / resize / show controls over one widget while customizing.
+function WidgetControls({ widget, label, previousId, nextId }) {
+  const { t } = useI18n();
+  const { layout } = useDashboard();
+  const { widgets, setWidgets } = layout;
+
+  return (
+    <div className="layout-widget-controls">
+      <span className="layout-widget-name">{label}</span>
+      <button
+        type="button"
+        className="back-link"
+        aria-label={t("layout.moveEarlier", { widget: label })}
+        disabled={!previousId}
+        onClick={() => setWidgets(moveWidget(widgets, widget.id, previousId))}
+      >
+        ↑
+      </button>
+      <button
+        type="button"
+        className="back-link"
+        aria-label={t("layout.moveLater", { widget: label })}
+        disabled={!nextId}
+        onClick={() => setWidgets(moveWidget(widgets, widget.id, nextId))}
+      >
+        ↓
+      </button>
+      <select
+        aria-label={t("layout.size", { widget: label })}
+        value={widget.size}
+        onChange={(e) =>
+          setWidgets(updateWidget(widgets, widget.id, { size: e.target.value }))
+        }
+      >
+        {WIDGET_SIZES.map((size) => (
+          <option key={size} value={size}>
+            {t(`layout.sizes.${size}`)}
+          </option>
+        ))}
+      </select>
+      <label className="cases-filter-toggle">
+        <input
+          type="checkbox"
+          checked={widget.visible}
+          onChange={(e) =>
+            setWidgets(
+              updateWidget(widgets, widget.id, { visible: e.target.checked })
+            )
+          }
+        />
+        {t("layout.show")}
+      </label>
+    </div>
+  );
+}
+
+// The summary tab, laid out as the user arranged it. While customizing,
+// hidden widgets are listed too (but not rendered, so they stay out of
+// the PDF) and widgets can be dragged onto each other to reorder them.
+//   deltas       – { metric: change } from the last live refresh
+//   cases        – the loaded case page, for the top cases widget
+//   onSelectDrug / onSelectCase / onShowCases – drill-downs
+export default function DashboardLayout({
+  deltas = {},
+  cases = [],
+  onSelectDrug,
+  onSelectCase,
+  onShowCases,
+}) {
+  const { t } = useI18n();
+  const { user, report, layout } = useDashboard();
+  const [editing, setEditing] = useState(false);
+  const [draggedId, setDraggedId] = useState(null);
+  if (!report) return null;
+
+  const widgets = layout.widgets.filter(
+    (w) => canSeeWidget(user, w.id) && (editing || w.visible)
+  );
+
+  function renderWidget(id) {
+    if (id === "riskBanner") return <RiskBanner />;
+    if (id === "topCases") {
+      return (
+        <TopCasesList
+          cases={cases}
+          onSelectCase={onSelectCase}
+          onShowAll={onShowCases}
+        />
+      );
+    }
+    if (widgetInfo(id).kind === "metric") {
+      return <ReportMetric metric={id} delta={deltas[id]} />;
+    }
+    const Chart = CHARTS[id];
+    return <Chart onSelectDrug={onSelectDrug} />;
+  }
+
+  function handleDrop(e, targetId) {
+    e.preventDefault();
+    if (draggedId) {
+      layout.setWidgets(moveWidget(layout.widgets, draggedId, targetId));
+    }
+    setDraggedId(null);
+  }
+
+  return (
+    <>
+      <LayoutToolbar editing={editing} onEditingChange={setEditing} />
+
+      <div className={editing ? "layout-grid editing" : "layout-grid"}>
+        {widgets.map((w, i) => {
+          const label = widgetLabel(t, w.id);
+          const className = [
+            "layout-widget",
+            `layout-size-${w.size}`,
+            !w.visible && "layout-widget-hidden",
+            draggedId === w.id && "dragging",
+          ]
+            .filter(Boolean)
+            .join(" ");
+
+          return editing ? (
+            <div
+              key={w.id}
+              className={className}
+              draggable
+              onDragStart={() => setDraggedId(w.id)}
+              onDragEnd={() => setDraggedId(null)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => handleDrop(e, w.id)}
+            >
+              <WidgetControls
+                widget={w}
+                label={label}
+                previousId={widgets[i - 1]?.id}
+                nextId={widgets[i + 1]?.id}
+              />
+              {w.visible ? (
+                renderWidget(w.id)
+              ) : (
+                <p className="chart-empty">{t("layout.hiddenWidget")}</p>
+              )}
+            </div>
+          ) : (
+            <div key={w.id} className={className}>
+              {renderWidget(w.id)}
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,93 @@
+// src/DashboardProvider.jsx
+import { useState } from "react";
+import { DashboardContext } from "./dashboardStore";
+import useHospitals from "./useHospitals";
+import useFraudReport from "./useFraudReport";
+import useDashboardLayout from "./useDashboardLayout";
+import { hasRole } from "./auth";
+import { loadPrivacyMode, savePrivacyMode } from "./privacy";
+import { periodFromParams } from "./periods";
+import { loadLastSelection } from "./hospitalSearch";
+
+// Owns the state described in dashboardStore.js. The filters start from
+// the last report run, where its hospital and year are still available.
+export default function DashboardProvider({ user, children }) {
+  const [mode, setMode] = useState("single"); // "single" | "compare"
+  const [selectedHospital, setSelectedHospital] = useState("");
+  // period picker state, resolved by periods.js when a report is run
+  const [period, setPeriod] = useState(() => periodFromParams({}));
+  const [compareIds, setCompareIds] = useState([]); // ids as strings
+
+  // pseudonymize patient/doctor IDs everywhere, including exports
+  const [privacyMode, setPrivacyModeState] = useState(loadPrivacyMode);
+
+  const { hospitals, years, loading, error } = useHospitals({
+    onLoaded: restoreLastSelection,
+  });
+  const fraudReport = useFraudReport();
+  const layout = useDashboardLayout();
+
+  function restoreLastSelection(hospitalList, yearList) {
+    const last = loadLastSelection();
+    if (hospitalList.length > 0) {
+      const lastHospital = hospitalList.find(
+        (h) => String(h.id) === last?.hospitalId
+      );
+      setSelectedHospital((lastHospital || hospitalList[0]).id);
+    }
+
+    const latest = yearList[yearList.length - 1] ?? null;
+    if (last) {
+      const restored = periodFromParams(last);
+      // rolling windows are restored as windows, not their old dates
+      if (last.preset === "last30" || last.preset === "last90") {
+        restored.preset = last.preset;
+      }
+      if (!yearList.includes(restored.year)) restored.year = latest;
+      setPeriod(restored);
+    } else {
+      setPeriod(periodFromParams({ year: latest }));
+    }
+  }
+
+  function setPrivacyMode(on) {
+    setPrivacyModeState(on);
+    savePrivacyMode(on);
+  }
+
+  const dashboard = {
+    user,
+    canSeeCases: hasRole(user, "reviewer"),
+    canAdmin: hasRole(user, "admin"),
+
+    hospitals,
+    years,
+    hospitalsLoading: loading,
+    hospitalsError: error,
+
+    mode,
+    setMode,
+    selectedHospital,
+    setSelectedHospital,
+    period,
+    setPeriod,
+    compareIds,
+    setCompareIds,
+
+    report: fraudReport.report,
+    setReport: fraudReport.setReport,
+    loadedParams: fraudReport.loadedParams,
+    previousReport: fraudReport.previousReport,
+    reportLoading: fraudReport.loading,
+    reportError: fraudReport.error,
+    loadReport: fraudReport.load,
+    cancelReport: fraudReport.cancel,
+
+    privacyMode,
+    setPrivacyMode,
+
+    layout,
+  };
+
+  return <DashboardContext value={dashboard}>{children}</DashboardContext>;
+}
@@ -0,0 +1,350 @@
+// src/DrugAnalytics.jsx
+import { useEffect, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ReTooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { getAllCases } from "./fraudApi";
+import { describeApiError, isAbortError } from "./apiClient";
+import { displayId } from "./privacy";
+import { useI18n } from "./i18n";
+import {
+  controlledShare,
+  doctorCounts,
+  drugQuarterlySeries,
+  quantityHistogram,
+  sameDrug,
+} from "./drugs";
+
+function formatScore(score) {
+  return typeof score === "number" ? score.toFixed(2) : "–";
+}
+
+function formatShare(share) {
+  return share === null ? "–" : `${(share * 100).toFixed(1)}%`;
+}
+
+function DrugSearch({ drugName, knownDrugs, onSelectDrug }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(drugName);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    if (draft.trim()) onSelectDrug(draft.trim());
+  }
+
+  return (
+    <form className="drug-search" onSubmit={handleSubmit}>
+      <input
+        type="search"
+        list="drug-search-options"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        placeholder={t("drugs.searchPlaceholder")}
+        aria-label={t("drugs.drugName")}
+      />
+      <datalist id="drug-search-options">
+        {knownDrugs.map((name) => (
+          <option key={name} value={name} />
+        ))}
+      </datalist>
+      <button className="export-button" type="submit">
+        {t("drugs.open")}
+      </button>
+    </form>
+  );
+}
+
+function DrugDetail({
+  hospitalId,
+  year,
+  quarter,
+  periodStart,
+  periodEnd,
+  years,
+  drugName,
+  report,
+  privacy,
+  onSelectCase,
+}) {
+  const { t } = useI18n();
+  const [cases, setCases] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    // the backend filter may be a substring match (or ignored), so keep
+    // only exact name matches
+    const loadDrugCases = (params) =>
+      getAllCases({ hospitalId, drugName, signal, ...params }).then((data) =>
+        data.filter((c) => sameDrug(c.drug_name, drugName))
+      );
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError("");
+        const [periodCases, ...yearCases] = await Promise.all([
+          loadDrugCases({ year, quarter, periodStart, periodEnd }),
+          ...years.map((y) => loadDrugCases({ year: y })),
+        ]);
+        setCases(periodCases);
+        setHistory(yearCases.flat());
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error(err);
+        setError(
+          describeApiError(err, t("drugs.loadFailed", { drug: drugName }))
+        );
+      } finally {
+        if (!signal.aborted) setLoading(false);
+      }
+    }
+
+    load();
+    return () => controller.abort();
+  }, [hospitalId, year, quarter, periodStart, periodEnd, years, drugName, t]);
+
+  if (loading) {
+    return (
+      <p className="chart-empty">{t("drugs.loading", { drug: drugName })}</p>
+    );
+  }
+  if (error) return <p className="error-text">{error}</p>;
+
+  const scores = cases
+    .map((c) => c.final_fraud_score)
+    .filter((s) => typeof s === "number");
+  const meanScore =
+    scores.length > 0 ? scores.reduce((s, v) => s + v, 0) / scores.length : null;
+  const topEntry = report.topSuspiciousDrugs.find((d) =>
+    sameDrug(d.drug_name, drugName)
+  );
+  const histogram = quantityHistogram(cases);
+  const doctors = doctorCounts(cases);
+  const series = drugQuarterlySeries(history);
+  const controlled = controlledShare(cases, report);
+
+  return (
+    <div className="drug-detail">
+      <div className="metrics-grid">
+        <div className="metric-card">
+          <span className="metric-label">{t("drugs.flaggedCases")}</span>
+          <span className="metric-value">{cases.length}</span>
+        </div>
+        <div className="metric-card">
+          <span className="metric-label">{t("drugs.meanScore")}</span>
+          <span className="metric-value">{formatScore(meanScore)}</span>
+          {topEntry && (
+            <span className="metric-yoy">
+              {t("drugs.reportAverage", {
+                score: formatScore(topEntry.avg_fraud_score),
+              })}
+            </span>
+          )}
+        </div>
+        <div className="metric-card">
+          <span className="metric-label">{t("drugs.controlledShare")}</span>
+          <span className="metric-value">{formatShare(controlled)}</span>
+          {controlled === null && (
+            <span className="metric-yoy">{t("drugs.notMarked")}</span>
+          )}
+        </div>
+        <div className="metric-card">
+          <span className="metric-label">
+            {t("drugs.prescriptionShare")}
+          </span>
+          <span className="metric-value">
+            {formatShare(
+              report.totalPrescriptions
+                ? cases.length / report.totalPrescriptions
+                : null
+            )}
+          </span>
+        </div>
+      </div>
+
+      <div className="charts-grid">
+        <div className="chart-card">
+          <h3 className="chart-title">{t("drugs.quantityDistribution")}</h3>
+          {histogram.length === 0 ? (
+            <p className="chart-empty">{t("drugs.noQuantities")}</p>
+          ) : (
+            <ResponsiveContainer width="100%" height={220}>
+              <BarChart data={histogram}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" />
+                <YAxis allowDecimals={false} />
+                <ReTooltip />
+                <Bar
+                  dataKey="count"
+                  name={t("drugs.casesSeries")}
+                  fill="#2563EB"
+                />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+
+        <div className="chart-card">
+          <h3 className="chart-title">{t("drugs.trend")}</h3>
+          {series.length === 0 ? (
+            <p className="chart-empty">{t("drugs.noDated")}</p>
+          ) : (
+            <ResponsiveContainer width="100%" height={220}>
+              <LineChart data={series}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="period" />
+                <YAxis yAxisId="cases" allowDecimals={false} />
+                <YAxis yAxisId="score" orientation="right" domain={[0, 1]} />
+                <ReTooltip />
+                <Legend />
+                <Line
+                  yAxisId="cases"
+                  type="monotone"
+                  dataKey="cases"
+                  name={t("drugs.flaggedCases")}
+                  stroke="#FF4D4F"
+                />
+                <Line
+                  yAxisId="score"
+                  type="monotone"
+                  dataKey="meanScore"
+                  name={t("drugs.meanScoreSeries")}
+                  stroke="#9254DE"
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      </div>
+
+      <div className="charts-grid drug-tables">
+        <div className="cases-table-wrapper">
+          <table className="cases-table">
+            <thead>
+              <tr>
+                <th>{t("drugs.doctorId")}</th>
+                <th>{t("drugs.cases")}</th>
+                <th>{t("drugs.maxScore")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {doctors.map((d) => (
+                <tr key={d.doctorId}>
+                  <td>{displayId("doctor_id", d.doctorId, privacy)}</td>
+                  <td>{d.count}</td>
+                  <td>{formatScore(d.maxScore)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="cases-table-wrapper prescriber-table">
+          <table className="cases-table">
+            <thead>
+              <tr>
+                <th>{t("drugs.date")}</th>
+                <th>{t("drugs.quantity")}</th>
+                <th>{t("drugs.patientId")}</th>
+                <th>{t("drugs.doctorId")}</th>
+                <th>{t("drugs.score")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cases.map((c) => (
+                <tr
+                  key={c.prescription_id}
+                  className="case-row"
+                  onClick={() => onSelectCase(c)}
+                >
+                  <td>{c.date}</td>
+                  <td>{c.quantity ?? "–"}</td>
+                  <td>{displayId("patient_id", c.patient_id, privacy)}</td>
+                  <td>{displayId("doctor_id", c.doctor_id, privacy)}</td>
+                  <td>{formatScore(c.final_fraud_score)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default function DrugAnalytics({
+  hospitalId,
+  year,
+  quarter,
+  periodStart,
+  periodEnd,
+  years,
+  drugName,
+  report,
+  privacy,
+  onSelectDrug,
+  onSelectCase,
+}) {
+  const { t } = useI18n();
+  const knownDrugs = report.topSuspiciousDrugs.map((d) => d.drug_name);
+
+  return (
+    <div className="drugs-screen">
+      <div className="drug-header">
+        <h3 className="panel-title">{drugName || t("drugs.title")}</h3>
+        <DrugSearch
+          key={drugName}
+          drugName={drugName}
+          knownDrugs={knownDrugs}
+          onSelectDrug={onSelectDrug}
+        />
+      </div>
+
+      <div className="tab-buttons drug-shortcuts">
+        {knownDrugs.map((name) => (
+          <button
+            key={name}
+            type="button"
+            className={
+              sameDrug(name, drugName) ? "topcases-btn active" : "topcases-btn"
+            }
+            onClick={() => onSelectDrug(name)}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+
+      {drugName ? (
+        <DrugDetail
+          hospitalId={hospitalId}
+          year={year}
+          quarter={quarter}
+          periodStart={periodStart}
+          periodEnd={periodEnd}
+          years={years}
+          drugName={drugName}
+          report={report}
+          privacy={privacy}
+          onSelectCase={onSelectCase}
+        />
+      ) : (
+        <p className="chart-empty">{t("drugs.pick")}</p>
+      )}
+    </div>
+  );
+}
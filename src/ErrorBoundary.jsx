@@ -0,0 +1,39 @@
+// src/ErrorBoundary.jsx
+import { Component } from "react";
+
+// Catches render errors in a part of the dashboard so a bad payload
+// shows a message instead of a white screen. Change `key` to reset it.
+//   t       – useI18n()'s t; a class component can't call the hook
+//   onReset – shows a button back to the filters
+export default class ErrorBoundary extends Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    console.error("Dashboard render failed:", error, info.componentStack);
+  }
+
+  render() {
+    const { error } = this.state;
+    if (!error) return this.props.children;
+
+    const { t, onReset } = this.props;
+    return (
+      <div className="data-quality-notice data-quality-error" role="alert">
+        <strong>{t("errorBoundary.title")}</strong>
+        <p>{t("errorBoundary.unexpectedShape", { reason: error.message })}</p>
+        {onReset && (
+          <button className="back-button" onClick={onReset}>
+            {t("common.backToFilters")}
+          </button>
+        )}
+      </div>
+    );
+  }
+}
@@ -0,0 +1,105 @@
+// src/ExportMenu.jsx
+import { useState } from "react";
+import {
+  buildFraudReportPdf,
+  captureCharts,
+  reportFileName,
+} from "./pdfReport";
+import { EXPORT_FORMATS, exportReportData } from "./dataExport";
+import { getAllCases } from "./fraudApi";
+import { apiParams } from "./useFraudReport";
+import { describeApiError } from "./apiClient";
+import { maskCases } from "./privacy";
+import { shownWidgets } from "./widgetLayout";
+import { useDashboard } from "./dashboardStore";
+import { useI18n } from "./i18n";
+
+// PDF and data export buttons for the loaded report (admins only).
+//   containerRef – element holding the charts to capture for the PDF
+//   cases        – the case page shown, unmasked
+//   caseQuery    – explorer filters; data exports fetch every match
+//   activeTab / onShowTab – charts only exist on the summary tab, so it
+//                  is shown while the PDF captures them
+export default function ExportMenu({
+  containerRef,
+  cases,
+  caseQuery,
+  activeTab,
+  onShowTab,
+}) {
+  const { t } = useI18n();
+  const { user, report, loadedParams, privacyMode, canAdmin, layout } =
+    useDashboard();
+  const [exporting, setExporting] = useState(false);
+
+  if (!canAdmin || !report) return null;
+
+  async function handleExportPdf() {
+    const previousTab = activeTab;
+    try {
+      setExporting(true);
+      if (previousTab !== "overview") onShowTab("overview");
+      await new Promise((r) => setTimeout(r, 300));
+
+      const charts = await captureCharts(containerRef.current);
+      const pdf = await buildFraudReportPdf({
+        report,
+        cases: maskCases(cases, privacyMode),
+        charts,
+        watermark: privacyMode ? t("pdf.privacyWatermark") : "",
+        // the PDF follows the summary tab's layout
+        layout: shownWidgets(layout.widgets, user),
+      });
+      pdf.save(reportFileName(report, "pdf"));
+    } catch (err) {
+      console.error("Failed to export PDF:", err);
+      alert(t("errors.pdfFailed"));
+    } finally {
+      if (previousTab !== "overview") onShowTab(previousTab);
+      setExporting(false);
+    }
+  }
+
+  async function handleExportData(format) {
+    try {
+      setExporting(true);
+      // every case matching the explorer filters, not just this page
+      const { offset: _offset, limit: _limit, ...filters } = caseQuery;
+      const allCases = await getAllCases({
+        ...apiParams(loadedParams),
+        ...filters,
+      });
+      exportReportData(format, report, maskCases(allCases, privacyMode), {
+        privacy: privacyMode,
+      });
+    } catch (err) {
+      console.error("Failed to export data:", err);
+      alert(describeApiError(err, t("errors.exportFailed")));
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  return (
+    <>
+      <button
+        className="export-button"
+        onClick={handleExportPdf}
+        disabled={exporting}
+      >
+        {exporting ? t("dashboard.exporting") : t("dashboard.exportPdf")}
+      </button>
+
+      {EXPORT_FORMATS.map((format) => (
+        <button
+          key={format}
+          className="export-button export-data-button"
+          onClick={() => handleExportData(format)}
+          disabled={exporting}
+        >
+          ⬇ {t(`dashboard.exportFormats.${format}`)}
+        </button>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,113 @@
+// src/FilterPanel.jsx
+import HospitalPicker from "./HospitalPicker";
+import PeriodPicker from "./PeriodPicker";
+import { useDashboard } from "./dashboardStore";
+import { useI18n } from "./i18n";
+
+// The filter screen: one hospital or several to compare, and a period.
+// The selection lives in the dashboard store; running it is up to the
+// caller (onRun / onCompare). onModeChange lets it clear stale errors.
+export default function FilterPanel({
+  error,
+  loading,
+  onRun,
+  onCompare,
+  onModeChange,
+}) {
+  const { t } = useI18n();
+  const {
+    hospitals,
+    years,
+    hospitalsLoading,
+    hospitalsError,
+    mode,
+    setMode,
+    selectedHospital,
+    setSelectedHospital,
+    period,
+    setPeriod,
+    compareIds,
+    setCompareIds,
+  } = useDashboard();
+
+  function toggleCompareId(id) {
+    setCompareIds((ids) =>
+      ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]
+    );
+  }
+
+  return (
+    <section className="panel panel-filters">
+      <h2 className="panel-title">{t("filters.title")}</h2>
+
+      {hospitalsLoading && <p>{t("filters.loading")}</p>}
+      {hospitalsError && <p className="error-text">{hospitalsError}</p>}
+
+      <label className="field">
+        <span className="field-label">{t("filters.mode")}</span>
+        <select
+          value={mode}
+          onChange={(e) => {
+            setMode(e.target.value);
+            onModeChange?.(e.target.value);
+          }}
+          disabled={hospitalsLoading}
+        >
+          <option value="single">{t("filters.single")}</option>
+          <option value="compare">{t("filters.compare")}</option>
+        </select>
+      </label>
+
+      {mode === "single" ? (
+        <div className="field">
+          <span className="field-label">{t("filters.hospital")}</span>
+          <HospitalPicker
+            hospitals={hospitals}
+            value={selectedHospital}
+            onChange={setSelectedHospital}
+            disabled={hospitalsLoading || hospitals.length === 0}
+          />
+        </div>
+      ) : (
+        <fieldset className="field compare-list">
+          <span className="field-label">
+            {t("filters.hospitalsSelected", { count: compareIds.length })}
+          </span>
+          {hospitals.map((h) => (
+            <label key={h.id} className="compare-option">
+              <input
+                type="checkbox"
+                checked={compareIds.includes(String(h.id))}
+                onChange={() => toggleCompareId(String(h.id))}
+                disabled={hospitalsLoading}
+              />
+              {h.label}
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      <PeriodPicker
+        years={years}
+        value={period}
+        onChange={setPeriod}
+        disabled={hospitalsLoading}
+        allowRanges={mode === "single"}
+      />
+
+      {error && <p className="error-text">{error}</p>}
+
+      <button
+        className="primary-button"
+        onClick={mode === "compare" ? onCompare : onRun}
+        disabled={loading || hospitalsLoading}
+      >
+        {loading
+          ? t("filters.running")
+          : mode === "compare"
+          ? t("filters.compareButton")
+          : t("filters.runButton")}
+      </button>
+    </section>
+  );
+}
@@ -0,0 +1,203 @@
+// src/HospitalComparison.jsx
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ReTooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { COMPARISON_METRICS, buildComparison } from "./comparison";
+import { useI18n } from "./i18n";
+
+export default function HospitalComparison({
+  reports,
+  failures,
+  hospitals,
+  periodLabel,
+  onBack,
+}) {
+  const { t, tValue } = useI18n();
+  const { rows, medians } = buildComparison(reports);
+
+  const hospitalLabel = (id) =>
+    hospitals.find((h) => String(h.id) === String(id))?.label || id;
+
+  const riskData = rows.map((r) => ({
+    name: r.hospitalName,
+    High: r.highRiskCases || 0,
+    Medium: r.mediumRiskCases || 0,
+    Low: r.lowRiskCases || 0,
+  }));
+
+  const usageData = rows.map((r) => ({
+    name: r.hospitalName,
+    controlledDrugUse: r.controlledDrugUse || 0,
+    activeAlerts: r.activeAlerts || 0,
+  }));
+
+  function outlierClass(row, key) {
+    const direction = row.outliers[key];
+    return direction ? `outlier-cell outlier-${direction}` : undefined;
+  }
+
+  return (
+    <main className="app-main-results">
+      <div className="results-header-row">
+        <div className="selection-summary">
+          <div className="selection-line">
+            <span className="selection-label">
+              {t("dashboard.comparing")}
+            </span>{" "}
+            <span className="selection-value">
+              {t("comparison.hospitals", { count: rows.length })}
+            </span>
+          </div>
+          <div className="selection-line">
+            <span className="selection-label">{t("dashboard.period")}</span>{" "}
+            <span className="selection-value">{periodLabel}</span>
+          </div>
+        </div>
+      </div>
+
+      <section className="panel panel-dashboard">
+        {failures.length > 0 && (
+          <div className="error-text comparison-failures">
+            {t("comparison.couldNotLoad", {
+              hospitals: failures
+                .map((f) => `${hospitalLabel(f.hospitalId)} (${f.message})`)
+                .join(", "),
+            })}
+          </div>
+        )}
+
+        {rows.length === 0 ? (
+          <p className="chart-empty">{t("comparison.none")}</p>
+        ) : (
+          <>
+            {/* Ranked table */}
+            <div className="cases-table-wrapper">
+              <table className="cases-table comparison-table">
+                <thead>
+                  <tr>
+                    <th>{t("comparison.rank")}</th>
+                    <th>{t("comparison.hospital")}</th>
+                    <th>{t("comparison.riskLevel")}</th>
+                    <th>{t("comparison.highRiskRate")}</th>
+                    {COMPARISON_METRICS.map((m) => (
+                      <th key={m}>{t(`comparison.metrics.${m}`)}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((r) => (
+                    <tr key={r.hospitalId}>
+                      <td>{r.rank}</td>
+                      <td>{r.hospitalName}</td>
+                      <td>
+                        {r.hospitalRiskLevel
+                          ? tValue("riskLevels", r.hospitalRiskLevel)
+                          : t("common.notAvailable")}
+                      </td>
+                      <td>{(r.highRiskRate * 100).toFixed(1)}%</td>
+                      {COMPARISON_METRICS.map((m) => (
+                        <td
+                          key={m}
+                          className={outlierClass(r, m)}
+                          title={
+                            r.outliers[m]
+                              ? t(`comparison.outlier.${r.outliers[m]}`, {
+                                  median: medians[m],
+                                })
+                              : undefined
+                          }
+                        >
+                          {r[m] ?? "–"}
+                          {r.outliers[m] === "above" && " ▲"}
+                          {r.outliers[m] === "below" && " ▼"}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr className="comparison-median-row">
+                    <td />
+                    <td>{t("comparison.groupMedian")}</td>
+                    <td />
+                    <td />
+                    {COMPARISON_METRICS.map((m) => (
+                      <td key={m}>{medians[m]}</td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            {/* Grouped charts */}
+            <div className="charts-grid comparison-charts">
+              <div className="chart-card">
+                <h3 className="chart-title">
+                  {t("comparison.riskByHospital")}
+                </h3>
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart data={riskData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" />
+                    <YAxis />
+                    <ReTooltip />
+                    <Legend />
+                    <Bar
+                      dataKey="High"
+                      name={t("riskBands.High")}
+                      fill="#FF4D4F"
+                    />
+                    <Bar
+                      dataKey="Medium"
+                      name={t("riskBands.Medium")}
+                      fill="#FFA940"
+                    />
+                    <Bar
+                      dataKey="Low"
+                      name={t("riskBands.Low")}
+                      fill="#52C41A"
+                    />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div className="chart-card">
+                <h3 className="chart-title">{t("comparison.usage")}</h3>
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart data={usageData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" />
+                    <YAxis />
+                    <ReTooltip />
+                    <Legend />
+                    <Bar
+                      dataKey="controlledDrugUse"
+                      name={t("comparison.metrics.controlledDrugUse")}
+                      fill="#2563EB"
+                    />
+                    <Bar
+                      dataKey="activeAlerts"
+                      name={t("comparison.metrics.activeAlerts")}
+                      fill="#9254DE"
+                    />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </>
+        )}
+
+        <div className="bottom-actions">
+          <button className="back-button" onClick={onBack}>
+            {t("common.backToFilters")}
+          </button>
+        </div>
+      </section>
+    </main>
+  );
+}
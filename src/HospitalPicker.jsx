@@ -0,0 +1,256 @@
+// src/HospitalPicker.jsx
+import { useId, useState } from "react";
+import {
+  groupField,
+  groupHospitals,
+  loadFavouriteHospitals,
+  loadRecentHospitals,
+  searchHospitals,
+  toggleFavouriteHospital,
+} from "./hospitalSearch";
+import { useI18n } from "./i18n";
+
+// Searchable hospital combobox. Without a search it lists pinned
+// favourites, recently viewed hospitals and then every hospital, grouped
+// by region or type when the backend provides them.
+export default function HospitalPicker({
+  hospitals,
+  value,
+  onChange,
+  disabled,
+}) {
+  const { t } = useI18n();
+  const listId = useId();
+
+  const [query, setQuery] = useState("");
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [favourites, setFavourites] = useState(loadFavouriteHospitals);
+  const [recents] = useState(loadRecentHospitals);
+
+  const selected = hospitals.find((h) => String(h.id) === String(value));
+  const byId = new Map(hospitals.map((h) => [String(h.id), h]));
+  const field = groupField(hospitals);
+
+  // sections of options; the same hospital may appear in more than one
+  const sections = [];
+  if (query.trim()) {
+    sections.push({
+      key: "matches",
+      label: t("hospitals.matches"),
+      hospitals: searchHospitals(hospitals, query),
+    });
+  } else {
+    const pinned = favourites.map((id) => byId.get(id)).filter(Boolean);
+    const recent = recents.map((id) => byId.get(id)).filter(Boolean);
+    if (pinned.length) {
+      sections.push({
+        key: "favourites",
+        label: t("hospitals.favourites"),
+        hospitals: pinned,
+      });
+    }
+    if (recent.length) {
+      sections.push({
+        key: "recent",
+        label: t("hospitals.recent"),
+        hospitals: recent,
+      });
+    }
+    if (field) {
+      for (const group of groupHospitals(hospitals, field)) {
+        sections.push({
+          key: `group-${group.name}`,
+          label: group.name || t("hospitals.ungrouped"),
+          hospitals: group.hospitals,
+        });
+      }
+    } else {
+      sections.push({
+        key: "all",
+        label: t("hospitals.all"),
+        hospitals,
+      });
+    }
+  }
+
+  // flat list for keyboard navigation
+  const options = sections.flatMap((section) =>
+    section.hospitals.map((hospital) => ({
+      id: `${listId}-${section.key}-${hospital.id}`,
+      hospital,
+    }))
+  );
+  const active = open
+    ? options[Math.min(activeIndex, options.length - 1)]
+    : null;
+
+  function openList() {
+    setOpen(true);
+    setActiveIndex(0);
+  }
+
+  function close() {
+    setOpen(false);
+    setQuery("");
+  }
+
+  function choose(hospital) {
+    onChange(hospital.id);
+    close();
+  }
+
+  function moveTo(index) {
+    const next = (index + options.length) % options.length;
+    setActiveIndex(next);
+    document
+      .getElementById(options[next].id)
+      ?.scrollIntoView({ block: "nearest" });
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!open) return openList();
+      if (options.length === 0) return;
+      const current = Math.min(activeIndex, options.length - 1);
+      moveTo(e.key === "ArrowDown" ? current + 1 : current - 1);
+    } else if (e.key === "Enter") {
+      if (!open || !active) return;
+      e.preventDefault();
+      choose(active.hospital);
+    } else if (e.key === "Escape") {
+      if (!open) return;
+      e.preventDefault();
+      close();
+    }
+  }
+
+  function handleToggleFavourite(hospital) {
+    setFavourites(toggleFavouriteHospital(hospital.id));
+  }
+
+  function renderGroupHint(hospital) {
+    if (!field || !query.trim() || !hospital[field]) return null;
+    return <span className="hospital-option-group">{hospital[field]}</span>;
+  }
+
+  return (
+    <div className="hospital-picker">
+      <div className="hospital-picker-input">
+        <input
+          type="text"
+          role="combobox"
+          aria-expanded={open}
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={active?.id}
+          aria-label={t("filters.hospital")}
+          placeholder={t("hospitals.search")}
+          value={open ? query : selected?.label || ""}
+          disabled={disabled}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+            setActiveIndex(0);
+          }}
+          onFocus={openList}
+          onClick={() => !open && openList()}
+          onBlur={close}
+          onKeyDown={handleKeyDown}
+        />
+        {selected && (
+          <button
+            type="button"
+            className={
+              favourites.includes(String(selected.id))
+                ? "favourite-toggle favourite-on"
+                : "favourite-toggle"
+            }
+            aria-pressed={favourites.includes(String(selected.id))}
+            title={t("hospitals.pin")}
+            aria-label={t("hospitals.pin")}
+            onClick={() => handleToggleFavourite(selected)}
+            disabled={disabled}
+          >
+            ★
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div
+          id={listId}
+          role="listbox"
+          aria-label={t("filters.hospital")}
+          className="hospital-listbox"
+          // keep focus in the input while clicking options
+          onMouseDown={(e) => e.preventDefault()}
+        >
+          {options.length === 0 ? (
+            <p className="chart-empty">{t("hospitals.noMatch")}</p>
+          ) : (
+            sections
+              .filter((section) => section.hospitals.length > 0)
+              .map((section) => (
+                <div
+                  key={section.key}
+                  role="group"
+                  aria-label={section.label}
+                >
+                  <div className="hospital-group-label" aria-hidden="true">
+                    {section.label}
+                  </div>
+                  {section.hospitals.map((hospital) => {
+                    const id = `${listId}-${section.key}-${hospital.id}`;
+                    const isFavourite = favourites.includes(
+                      String(hospital.id)
+                    );
+                    return (
+                      <div
+                        key={id}
+                        id={id}
+                        role="option"
+                        aria-selected={String(hospital.id) === String(value)}
+                        className={
+                          active?.id === id
+                            ? "hospital-option hospital-option-active"
+                            : "hospital-option"
+                        }
+                        onMouseEnter={() =>
+                          setActiveIndex(options.findIndex((o) => o.id === id))
+                        }
+                        onClick={() => choose(hospital)}
+                      >
+                        <span className="hospital-option-label">
+                          {hospital.label}
+                        </span>
+                        {renderGroupHint(hospital)}
+                        <button
+                          type="button"
+                          tabIndex={-1}
+                          className={
+                            isFavourite
+                              ? "favourite-toggle favourite-on"
+                              : "favourite-toggle"
+                          }
+                          aria-label={t("hospitals.pin")}
+                          aria-pressed={isFavourite}
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            handleToggleFavourite(hospital);
+                          }}
+                        >
+                          ★
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+// src/LanguageSwitcher.jsx
+import { LOCALES, setLocale, useI18n } from "./i18n";
+
+export default function LanguageSwitcher() {
+  const { locale, t } = useI18n();
+
+  return (
+    <select
+      className="language-switcher"
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t("app.language")}
+    >
+      {LOCALES.map((l) => (
+        <option key={l.value} value={l.value} lang={l.value}>
+          {l.label}
+        </option>
+      ))}
+    </select>
+  );
+}
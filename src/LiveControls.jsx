@@ -0,0 +1,70 @@
+// src/LiveControls.jsx
+import { useSyncExternalStore } from "react";
+import {
+  LIVE_INTERVALS,
+  hasLiveStream,
+  isPageVisible,
+  subscribeVisibility,
+} from "./liveUpdates";
+import { useI18n } from "./i18n";
+
+// Live mode switch, refresh interval and the status of the last refresh.
+//   live – the useLiveUpdates() state
+export default function LiveControls({ live }) {
+  const { t, formatDateTime } = useI18n();
+  const pageVisible = useSyncExternalStore(subscribeVisibility, isPageVisible);
+  const { settings, error, refreshedAt, newCases } = live;
+
+  return (
+    <div className="live-controls">
+      <label className="cases-filter-toggle">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => live.changeSettings({ enabled: e.target.checked })}
+        />
+        {t("live.toggle")}
+      </label>
+      {/* a configured stream decides when to refresh */}
+      {settings.enabled && !hasLiveStream && (
+        <select
+          className="live-interval"
+          aria-label={t("live.interval")}
+          value={settings.intervalSeconds}
+          onChange={(e) =>
+            live.changeSettings({ intervalSeconds: Number(e.target.value) })
+          }
+        >
+          {LIVE_INTERVALS.map((seconds) => (
+            <option key={seconds} value={seconds}>
+              {seconds < 60
+                ? t("live.everySeconds", { count: seconds })
+                : t("live.everyMinutes", { count: seconds / 60 })}
+            </option>
+          ))}
+        </select>
+      )}
+      {settings.enabled && (
+        <span
+          className={error ? "live-status live-status-error" : "live-status"}
+        >
+          {!pageVisible
+            ? t("live.paused")
+            : error
+            ? t("live.failed", { reason: error })
+            : refreshedAt
+            ? t("live.updatedAt", { time: formatDateTime(refreshedAt) })
+            : hasLiveStream
+            ? t("live.streaming")
+            : t("live.waiting")}
+          {pageVisible && !error && newCases.size > 0 && (
+            <>
+              {" · "}
+              {t("live.newCases", { count: newCases.size })}
+            </>
+          )}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+// src/MetricGrid.jsx
+import { useDashboard } from "./dashboardStore";
+import { formatChange, percentChange } from "./trends";
+import { formatDateRange, quarterLabel, shiftPeriod } from "./periods";
+import { useI18n } from "./i18n";
+
+// value colour for report metrics; others use the default
+const METRIC_TONES = {
+  highRiskCases: "metric-high",
+  mediumRiskCases: "metric-medium",
+  lowRiskCases: "metric-low",
+  activeAlerts: "metric-high",
+};
+
+// "2023", "2023 Q2" or a date range: the period a year before `params`.
+function previousPeriodLabel(params) {
+  const previous = shiftPeriod(params, -1);
+  if (previous.periodStart) {
+    return formatDateRange(previous.periodStart, previous.periodEnd);
+  }
+  return previous.quarter ? quarterLabel(previous) : previous.year;
+}
+
+// One figure with its optional live-update delta and year-over-year
+// change (a percentage, null to leave it out).
+export function MetricCard({ label, value, tone, delta, change, period }) {
+  const { t, formatNumber } = useI18n();
+  const updated = delta !== undefined;
+
+  return (
+    <div
+      className={updated ? "metric-card metric-card-updated" : "metric-card"}
+    >
+      <span className="metric-label">{label}</span>
+      <span className={tone ? `metric-value ${tone}` : "metric-value"}>
+        {formatNumber(value)}
+      </span>
+      {updated && (
+        <span className="metric-delta" title={t("live.delta")}>
+          {formatNumber(delta, { signDisplay: "exceptZero" })}
+        </span>
+      )}
+      {change !== null && change !== undefined && (
+        <span
+          className={
+            change > 0
+              ? "metric-yoy trend-up"
+              : change < 0
+              ? "metric-yoy trend-down"
+              : "metric-yoy"
+          }
+        >
+          {t("dashboard.yoy", { change: formatChange(change), period })}
+        </span>
+      )}
+    </div>
+  );
+}
+
+// One of the loaded report's figures, e.g. "highRiskCases", with its
+// year-over-year change. delta: its change at the last live refresh.
+export function ReportMetric({ metric, delta }) {
+  const { t } = useI18n();
+  const { report, previousReport, loadedParams } = useDashboard();
+  if (!report) return null;
+
+  return (
+    <MetricCard
+      label={t(`metrics.${metric}`)}
+      value={report[metric]}
+      tone={METRIC_TONES[metric]}
+      delta={delta}
+      change={
+        previousReport
+          ? percentChange(report[metric], previousReport[metric])
+          : null
+      }
+      period={
+        previousReport && loadedParams ? previousPeriodLabel(loadedParams) : ""
+      }
+    />
+  );
+}
@@ -0,0 +1,26 @@
+// src/MockScenarioSwitcher.jsx
+import { MOCK_SCENARIOS, mockMode, mockScenarioUrl } from "./mockMode";
+import { useI18n } from "./i18n";
+
+// Badge shown while the mock backend is on, with a scenario picker.
+// Switching reloads the page so nothing from the old scenario lingers.
+export default function MockScenarioSwitcher() {
+  const { t } = useI18n();
+
+  return (
+    <div className="mock-switcher" title={t("mock.hint")}>
+      <span className="mock-badge">{t("mock.badge")}</span>
+      <select
+        value={mockMode.scenario}
+        onChange={(e) => window.location.assign(mockScenarioUrl(e.target.value))}
+        aria-label={t("mock.scenario")}
+      >
+        {MOCK_SCENARIOS.map((s) => (
+          <option key={s} value={s}>
+            {t(`mock.scenarios.${s}`)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,231 @@
+// src/PatientPatterns.jsx
+import { useEffect, useState } from "react";
+import { getAllCases } from "./fraudApi";
+import { describeApiError, isAbortError } from "./apiClient";
+import { maskCases } from "./privacy";
+import { useI18n } from "./i18n";
+import {
+  DEFAULT_SUPPLY_DAYS,
+  PATIENT_FLAGS,
+  buildPatientPatterns,
+  isFlagged,
+} from "./patients";
+
+function formatScore(score) {
+  return typeof score === "number" ? score.toFixed(2) : "–";
+}
+
+// What triggered a flag, e.g. "3 prescribers".
+function flagDetail(t, flag, { count, drugs = [] }) {
+  return t(`patients.flagDetail.${flag}`, { count, drugs: drugs.join(", ") });
+}
+
+function FlagPills({ flags }) {
+  const { t } = useI18n();
+  return (
+    <span className="patient-flags">
+      {PATIENT_FLAGS.filter((flag) => flags[flag]).map((flag) => (
+        <span
+          key={flag}
+          className="patient-flag"
+          title={flagDetail(t, flag, flags[flag])}
+        >
+          {t(`patients.flags.${flag}`)}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+function PatientTimeline({ patient, onSelectCase }) {
+  const { t } = useI18n();
+  return (
+    <div className="patient-detail">
+      <h3 className="panel-title">
+        {t("patients.patient", { id: patient.patientId })}
+      </h3>
+      {isFlagged(patient) ? (
+        <ul className="case-related-list">
+          {PATIENT_FLAGS.filter((flag) => patient.flags[flag]).map((flag) => (
+            <li key={flag}>
+              <strong>{t(`patients.flags.${flag}`)}:</strong>{" "}
+              {flagDetail(t, flag, patient.flags[flag])}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="case-detail-text">{t("patients.noFlags")}</p>
+      )}
+
+      <div className="cases-table-wrapper">
+        <table className="cases-table">
+          <thead>
+            <tr>
+              <th>{t("patients.date")}</th>
+              <th>{t("patients.drug")}</th>
+              <th>{t("patients.quantity")}</th>
+              <th>{t("patients.doctorId")}</th>
+              <th>{t("patients.fraudScore")}</th>
+              <th>{t("patients.prescription")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {patient.timeline.map((c) => (
+              <tr
+                key={c.prescription_id}
+                className={
+                  patient.overlapping.has(c.prescription_id)
+                    ? "case-row patient-overlap"
+                    : "case-row"
+                }
+                onClick={() => onSelectCase(c)}
+              >
+                <td>{c.date}</td>
+                <td>
+                  {c.drug_name}
+                  {patient.risingDrugs.includes(c.drug_name) && " ↑"}
+                </td>
+                <td>{c.quantity ?? "–"}</td>
+                <td>{c.doctor_id}</td>
+                <td>{formatScore(c.final_fraud_score)}</td>
+                <td>{c.prescription_id}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="chart-empty">
+        {t("patients.legend", { days: DEFAULT_SUPPLY_DAYS })}
+      </p>
+    </div>
+  );
+}
+
+export default function PatientPatterns({
+  hospitalId,
+  year,
+  quarter,
+  periodStart,
+  periodEnd,
+  selectedPatientId,
+  privacy,
+  onSelectPatient,
+  onSelectCase,
+}) {
+  const { t } = useI18n();
+  const [cases, setCases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [flaggedOnly, setFlaggedOnly] = useState(true);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError("");
+        const data = await getAllCases({
+          hospitalId,
+          year,
+          quarter,
+          periodStart,
+          periodEnd,
+          signal: controller.signal,
+        });
+        setCases(data);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error(err);
+        setError(describeApiError(err, t("patients.loadFailed")));
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    load();
+    return () => controller.abort();
+  }, [hospitalId, year, quarter, periodStart, periodEnd, t]);
+
+  if (loading) {
+    return <p className="chart-empty">{t("common.loadingAllCases")}</p>;
+  }
+  if (error) return <p className="error-text">{error}</p>;
+
+  // grouping masked cases works because aliases are stable per ID
+  const patients = buildPatientPatterns(maskCases(cases, privacy));
+  const rawCases = new Map(cases.map((c) => [c.prescription_id, c]));
+  const flaggedCount = patients.filter(isFlagged).length;
+  const selected = patients.find((p) => p.patientId === selectedPatientId);
+  // keep a patient opened from the cases table visible even if unflagged
+  const listed = patients.filter(
+    (p) => !flaggedOnly || isFlagged(p) || p === selected
+  );
+
+  return (
+    <div className="patients-screen">
+      <p className="cases-intro">
+        {t("patients.intro", {
+          patients: patients.length,
+          cases: cases.length,
+          flagged: flaggedCount,
+        })}
+      </p>
+
+      <label className="cases-filter-toggle">
+        <input
+          type="checkbox"
+          checked={flaggedOnly}
+          onChange={(e) => setFlaggedOnly(e.target.checked)}
+        />
+        {t("patients.flaggedOnly")}
+      </label>
+
+      {listed.length === 0 ? (
+        <p className="chart-empty">{t("patients.noMatch")}</p>
+      ) : (
+        <div className="cases-table-wrapper prescriber-table">
+          <table className="cases-table">
+            <thead>
+              <tr>
+                <th>{t("patients.patientId")}</th>
+                <th>{t("patients.prescriptions")}</th>
+                <th>{t("patients.prescribers")}</th>
+                <th>{t("patients.maxScore")}</th>
+                <th>{t("patients.flagsColumn")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {listed.map((p) => (
+                <tr
+                  key={p.patientId}
+                  className={
+                    p === selected ? "case-row prescriber-selected" : "case-row"
+                  }
+                  onClick={() => onSelectPatient(p.patientId)}
+                >
+                  <td>{p.patientId}</td>
+                  <td>{p.timeline.length}</td>
+                  <td>{p.doctors.length}</td>
+                  <td>{formatScore(p.maxScore)}</td>
+                  <td>
+                    <FlagPills flags={p.flags} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selected ? (
+        <PatientTimeline
+          patient={selected}
+          onSelectCase={(c) => onSelectCase(rawCases.get(c.prescription_id))}
+        />
+      ) : (
+        <p className="chart-empty">{t("patients.selectPatient")}</p>
+      )}
+    </div>
+  );
+}
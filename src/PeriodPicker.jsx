@@ -0,0 +1,141 @@
+// src/PeriodPicker.jsx
+import {
+  PERIOD_PRESETS,
+  RANGE_PRESETS,
+  formatDateRange,
+  periodError,
+  resolvePeriod,
+} from "./periods";
+import { useI18n } from "./i18n";
+
+const QUARTERS = [1, 2, 3, 4];
+const MONTHS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+// Period fields for the filter screen. `value` is the picker state that
+// periods.js resolves; allowRanges = false limits it to years and
+// quarters (hospital comparison).
+export default function PeriodPicker({
+  years,
+  value,
+  onChange,
+  disabled,
+  allowRanges = true,
+}) {
+  const { t, formatDate } = useI18n();
+  const { preset } = value;
+  const isRange = RANGE_PRESETS.includes(preset);
+
+  function update(patch) {
+    onChange({ ...value, ...patch });
+  }
+
+  const resolved = isRange && !periodError(value) ? resolvePeriod(value) : null;
+
+  return (
+    <>
+      <label className="field">
+        <span className="field-label">{t("periods.label")}</span>
+        <select
+          value={preset}
+          onChange={(e) => update({ preset: e.target.value })}
+          disabled={disabled}
+        >
+          {PERIOD_PRESETS.map((p) => (
+            <option
+              key={p}
+              value={p}
+              disabled={!allowRanges && RANGE_PRESETS.includes(p)}
+            >
+              {t(`periods.${p}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {(preset === "year" || preset === "quarter" || preset === "month") && (
+        <label className="field">
+          <span className="field-label">{t("filters.year")}</span>
+          <select
+            value={value.year ?? ""}
+            onChange={(e) => update({ year: Number(e.target.value) })}
+            disabled={disabled || years.length === 0}
+          >
+            <option value="" disabled>
+              {t("filters.selectYear")}
+            </option>
+            {years.map((y) => (
+              <option key={y} value={y}>
+                {y}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {preset === "quarter" && (
+        <label className="field">
+          <span className="field-label">{t("filters.quarter")}</span>
+          <select
+            value={value.quarter}
+            onChange={(e) => update({ quarter: Number(e.target.value) })}
+            disabled={disabled}
+          >
+            {QUARTERS.map((q) => (
+              <option key={q} value={q}>
+                Q{q}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {preset === "month" && (
+        <label className="field">
+          <span className="field-label">{t("periods.month")}</span>
+          <select
+            value={value.month}
+            onChange={(e) => update({ month: Number(e.target.value) })}
+            disabled={disabled}
+          >
+            {MONTHS.map((m) => (
+              <option key={m} value={m}>
+                {formatDate(new Date(2000, m - 1, 1), { month: "long" })}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {preset === "custom" && (
+        <div className="period-range">
+          <label className="field">
+            <span className="field-label">{t("periods.from")}</span>
+            <input
+              type="date"
+              value={value.startDate}
+              max={value.endDate || undefined}
+              onChange={(e) => update({ startDate: e.target.value })}
+              disabled={disabled}
+            />
+          </label>
+          <label className="field">
+            <span className="field-label">{t("periods.to")}</span>
+            <input
+              type="date"
+              value={value.endDate}
+              min={value.startDate || undefined}
+              onChange={(e) => update({ endDate: e.target.value })}
+              disabled={disabled}
+            />
+          </label>
+        </div>
+      )}
+
+      {resolved && (
+        <p className="period-summary">
+          {formatDateRange(resolved.periodStart, resolved.periodEnd)}
+        </p>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,307 @@
+// src/PrescriberProfiles.jsx
+import { useEffect, useState } from "react";
+import {
+  BarChart,
+  Bar,
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ReTooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { getAllCases } from "./fraudApi";
+import { describeApiError, isAbortError } from "./apiClient";
+import { displayId } from "./privacy";
+import { formatDate, useI18n } from "./i18n";
+import {
+  bandShares,
+  buildPrescriberProfiles,
+  hospitalBaseline,
+  scorePercentile,
+} from "./prescribers";
+
+function formatScore(score) {
+  return typeof score === "number" ? score.toFixed(2) : "–";
+}
+
+function formatShare(share) {
+  return `${Math.round(share * 100)}%`;
+}
+
+function PrescriberDetail({
+  profile,
+  profiles,
+  baseline,
+  privacy,
+  onShowCases,
+}) {
+  const { t, tValue } = useI18n();
+  const shares = bandShares(profile.bands);
+  const percentile = scorePercentile(profile, profiles);
+
+  const bandData = Object.keys(shares).map((band) => ({
+    band: tValue("riskBands", band),
+    doctor: Math.round(shares[band] * 100),
+    hospital: Math.round(baseline.shares[band] * 100),
+  }));
+
+  const timeline = profile.cases
+    .map((c) => ({
+      time: Date.parse(c.date),
+      score: c.final_fraud_score,
+      drug: c.drug_name,
+      id: c.prescription_id,
+    }))
+    .filter((p) => !Number.isNaN(p.time) && typeof p.score === "number");
+
+  return (
+    <div className="prescriber-detail">
+      <div className="case-detail-header">
+        <h3 className="panel-title">
+          {t("prescribers.doctor", {
+            id: displayId("doctor_id", profile.doctorId, privacy),
+          })}
+        </h3>
+        <button
+          type="button"
+          className="back-link prescriber-cases-link"
+          onClick={() => onShowCases(profile.doctorId)}
+        >
+          {t("prescribers.viewCases", { count: profile.caseCount })}
+        </button>
+      </div>
+
+      <div className="metrics-grid prescriber-metrics">
+        <div className="metric-card">
+          <span className="metric-label">
+            {t("prescribers.flaggedCases")}
+          </span>
+          <span className="metric-value">{profile.caseCount}</span>
+        </div>
+        <div className="metric-card">
+          <span className="metric-label">{t("prescribers.meanScore")}</span>
+          <span
+            className={
+              baseline.meanScore !== null &&
+              profile.meanScore > baseline.meanScore
+                ? "metric-value metric-high"
+                : "metric-value"
+            }
+          >
+            {formatScore(profile.meanScore)}
+          </span>
+          <span className="metric-yoy">
+            {t("prescribers.hospitalScore", {
+              score: formatScore(baseline.meanScore),
+            })}
+          </span>
+        </div>
+        <div className="metric-card">
+          <span className="metric-label">{t("prescribers.maxScore")}</span>
+          <span className="metric-value">{formatScore(profile.maxScore)}</span>
+        </div>
+        <div className="metric-card">
+          <span className="metric-label">{t("prescribers.percentile")}</span>
+          <span className="metric-value">
+            {percentile === null ? "–" : formatShare(percentile)}
+          </span>
+          <span className="metric-yoy">
+            {t("prescribers.ofPrescribers", { count: profiles.length })}
+          </span>
+        </div>
+      </div>
+
+      <div className="charts-grid">
+        <div className="chart-card">
+          <h3 className="chart-title">{t("prescribers.bandMix")}</h3>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={bandData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="band" />
+              <YAxis unit="%" />
+              <ReTooltip />
+              <Legend />
+              <Bar
+                dataKey="doctor"
+                name={t("prescribers.thisDoctor")}
+                fill="#2563EB"
+              />
+              <Bar
+                dataKey="hospital"
+                name={t("prescribers.hospitalWide")}
+                fill="#9CA3AF"
+              />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="chart-card">
+          <h3 className="chart-title">{t("prescribers.topDrugs")}</h3>
+          <ul className="case-related-list prescriber-drugs">
+            {profile.topDrugs.map((d) => (
+              <li key={d.drugName}>
+                {t("prescribers.drugCases", {
+                  drug: d.drugName || t("common.unknown"),
+                  count: d.count,
+                })}
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      <div className="chart-card">
+        <h3 className="chart-title">{t("prescribers.timeline")}</h3>
+        {timeline.length === 0 ? (
+          <p className="chart-empty">{t("prescribers.noTimeline")}</p>
+        ) : (
+          <ResponsiveContainer width="100%" height={240}>
+            <ScatterChart>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                type="number"
+                dataKey="time"
+                name={t("prescribers.date")}
+                domain={["dataMin", "dataMax"]}
+                tickFormatter={(time) => formatDate(time)}
+              />
+              <YAxis
+                type="number"
+                dataKey="score"
+                name={t("prescribers.score")}
+                domain={[0, 1]}
+              />
+              <ReTooltip
+                formatter={(value, name) =>
+                  name === t("prescribers.date") ? formatDate(value) : value
+                }
+              />
+              <Scatter data={timeline} fill="#FF4D4F" />
+            </ScatterChart>
+          </ResponsiveContainer>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function PrescriberProfiles({
+  hospitalId,
+  year,
+  quarter,
+  periodStart,
+  periodEnd,
+  riskDistribution,
+  privacy,
+  onShowCases,
+}) {
+  const { t } = useI18n();
+  const [cases, setCases] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError("");
+        const data = await getAllCases({
+          hospitalId,
+          year,
+          quarter,
+          periodStart,
+          periodEnd,
+          signal: controller.signal,
+        });
+        setCases(data);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error(err);
+        setError(describeApiError(err, t("prescribers.loadFailed")));
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    load();
+    return () => controller.abort();
+  }, [hospitalId, year, quarter, periodStart, periodEnd, t]);
+
+  if (loading) {
+    return <p className="chart-empty">{t("common.loadingAllCases")}</p>;
+  }
+  if (error) return <p className="error-text">{error}</p>;
+
+  const profiles = buildPrescriberProfiles(cases);
+  const baseline = hospitalBaseline(cases, riskDistribution);
+  const selected =
+    profiles.find((p) => p.doctorId === selectedId) || profiles[0];
+
+  if (!selected) {
+    return (
+      <p className="chart-empty">{t("prescribers.none")}</p>
+    );
+  }
+
+  return (
+    <div className="prescribers-screen">
+      <p className="cases-intro">
+        {t("prescribers.intro", {
+          prescribers: profiles.length,
+          cases: cases.length,
+        })}
+      </p>
+
+      <div className="cases-table-wrapper prescriber-table">
+        <table className="cases-table">
+          <thead>
+            <tr>
+              <th>{t("prescribers.doctorId")}</th>
+              <th>{t("prescribers.cases")}</th>
+              <th>{t("prescribers.meanScore")}</th>
+              <th>{t("prescribers.maxScore")}</th>
+              <th>{t("prescribers.bands")}</th>
+              <th>{t("prescribers.topDrug")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {profiles.map((p) => (
+              <tr
+                key={p.doctorId}
+                className={
+                  p.doctorId === selected.doctorId
+                    ? "case-row prescriber-selected"
+                    : "case-row"
+                }
+                onClick={() => setSelectedId(p.doctorId)}
+              >
+                <td>{displayId("doctor_id", p.doctorId, privacy)}</td>
+                <td>{p.caseCount}</td>
+                <td>{formatScore(p.meanScore)}</td>
+                <td>{formatScore(p.maxScore)}</td>
+                <td>
+                  {p.bands.High} / {p.bands.Medium} / {p.bands.Low}
+                </td>
+                <td>{p.topDrugs[0]?.drugName || "–"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <PrescriberDetail
+        profile={selected}
+        profiles={profiles}
+        baseline={baseline}
+        privacy={privacy}
+        onShowCases={onShowCases}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+// src/ReportCharts.jsx
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ReTooltip,
+  LineChart,
+  Line,
+  PieChart,
+  Pie,
+  Cell,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { useDashboard } from "./dashboardStore";
+import { useI18n } from "./i18n";
+
+const COLORS = ["#FF4D4F", "#52C41A", "#FFA940"]; // High / Low / Medium
+
+// A titled chart card, or its empty message when there is nothing to
+// plot. data-pdf-chart marks the chart for the PDF export, which places
+// it by data-pdf-chart-id (its layout widget id).
+function ChartCard({ id, title, empty, emptyMessage, children }) {
+  return (
+    <div className="chart-card">
+      <h3 className="chart-title">{title}</h3>
+      {empty ? (
+        <p className="chart-empty">{emptyMessage}</p>
+      ) : (
+        <div
+          className="chart-body"
+          data-pdf-chart={title}
+          data-pdf-chart-id={id}
+        >
+          <ResponsiveContainer width="100%" height={220}>
+            {children}
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Average fraud score per drug. Reviewers can click a bar to open that
+// drug's analytics.
+export function TopDrugsChart({ onSelectDrug }) {
+  const { t } = useI18n();
+  const { report, canSeeCases } = useDashboard();
+  const data = (report?.topSuspiciousDrugs || []).map((d) => ({
+    name: d.drug_name,
+    value: d.avg_fraud_score,
+  }));
+  const clickable = canSeeCases && !!onSelectDrug;
+
+  return (
+    <ChartCard
+      id="topDrugs"
+      title={t("charts.topDrugs")}
+      empty={data.length === 0}
+      emptyMessage={t("charts.noData")}
+    >
+      <BarChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="name" />
+        <YAxis />
+        <ReTooltip />
+        <Bar
+          dataKey="value"
+          fill="#2563EB"
+          cursor={clickable ? "pointer" : undefined}
+          onClick={(entry) =>
+            clickable && onSelectDrug(entry.payload?.name ?? entry.name)
+          }
+        />
+      </BarChart>
+    </ChartCard>
+  );
+}
+
+export function FraudTrendChart() {
+  const { t } = useI18n();
+  const { report } = useDashboard();
+  const data = report?.trend || [];
+
+  return (
+    <ChartCard
+      id="fraudTrend"
+      title={t("charts.fraudTrend")}
+      empty={data.length === 0}
+      emptyMessage={t("charts.noMonths")}
+    >
+      <LineChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="month" />
+        <YAxis />
+        <ReTooltip />
+        <Line type="monotone" dataKey="value" stroke="#9254DE" />
+      </LineChart>
+    </ChartCard>
+  );
+}
+
+export function RiskDistributionChart() {
+  const { t } = useI18n();
+  const { report } = useDashboard();
+  const distribution = report?.riskDistribution || {};
+  const data = ["High", "Medium", "Low"].map((band) => ({
+    name: t(`riskBands.${band}`),
+    value: distribution[band] || 0,
+  }));
+
+  return (
+    <ChartCard
+      id="riskDistribution"
+      title={t("charts.riskDistribution")}
+      empty={data.every((d) => d.value === 0)}
+      emptyMessage={t("charts.noDistribution")}
+    >
+      <PieChart>
+        <Pie
+          data={data}
+          cx="50%"
+          cy="50%"
+          outerRadius={80}
+          dataKey="value"
+          nameKey="name"
+          label
+        >
+          {data.map((entry, index) => (
+            <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+          ))}
+        </Pie>
+        <Legend />
+        <ReTooltip />
+      </PieChart>
+    </ChartCard>
+  );
+}
@@ -0,0 +1,56 @@
+// src/ReportSummary.jsx
+import { periodLabel } from "./pdfReport";
+import LiveControls from "./LiveControls";
+import { useDashboard } from "./dashboardStore";
+import { useI18n } from "./i18n";
+
+// What the dashboard shows (hospital and period), with the privacy and
+// live mode switches and when the report was cached.
+//   live            – the useLiveUpdates() state
+//   onPrivacyChange – called with the new privacy mode
+export default function ReportSummary({ live, onPrivacyChange }) {
+  const { t, formatDateTime } = useI18n();
+  const { canSeeCases, report, privacyMode } = useDashboard();
+  if (!report) return null;
+
+  return (
+    <div className="selection-summary">
+      <div className="selection-line">
+        <span className="selection-label">{t("dashboard.hospital")}</span>{" "}
+        <span className="selection-value">{report.hospitalName}</span>
+      </div>
+      <div className="selection-line">
+        <span className="selection-label">{t("dashboard.period")}</span>{" "}
+        <span className="selection-value">{periodLabel(report)}</span>
+      </div>
+      {report.approximate && (
+        <p className="period-note">
+          {t("dashboard.approximatePeriod", {
+            quarters: report.coveredQuarters.join(", "),
+          })}
+        </p>
+      )}
+      {canSeeCases && (
+        <label className="cases-filter-toggle privacy-toggle">
+          <input
+            type="checkbox"
+            checked={privacyMode}
+            onChange={(e) => onPrivacyChange(e.target.checked)}
+          />
+          {t("dashboard.privacyToggle")}
+        </label>
+      )}
+      <LiveControls live={live} />
+      {report.cachedAt && (
+        <div className="cache-indicator">
+          {t(
+            navigator.onLine ? "dashboard.cached" : "dashboard.offlineCached",
+            {
+              time: formatDateTime(report.cachedAt),
+            }
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+// src/RiskBanner.jsx
+import { useDashboard } from "./dashboardStore";
+import { useI18n } from "./i18n";
+
+const LEVEL_COLORS = { HIGH: "#FF4D4F", MEDIUM: "#FFA940", LOW: "#52C41A" };
+
+// The loaded report's overall risk level and summary.
+export default function RiskBanner() {
+  const { t, tValue } = useI18n();
+  const { report } = useDashboard();
+  if (!report) return null;
+
+  const level = report.hospitalRiskLevel || "";
+
+  return (
+    <div className="risk-banner">
+      <div className="risk-banner-main">
+        <span className="risk-label">{t("dashboard.riskLevel")}</span>
+        <span
+          className="risk-badge"
+          style={{ backgroundColor: LEVEL_COLORS[level] || LEVEL_COLORS.LOW }}
+        >
+          {level ? tValue("riskLevels", level) : t("common.notAvailable")}
+        </span>
+      </div>
+      <p className="risk-banner-summary">{report.summary}</p>
+    </div>
+  );
+}
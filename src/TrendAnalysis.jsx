@@ -0,0 +1,164 @@
+// src/TrendAnalysis.jsx
+import { useEffect, useState } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip as ReTooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { getQuarterlyHistory } from "./fraudApi";
+import { describeApiError, isAbortError } from "./apiClient";
+import {
+  TREND_METRICS,
+  buildTrendSeries,
+  formatChange,
+  isNotableChange,
+} from "./trends";
+import { useI18n } from "./i18n";
+import { quarterLabel } from "./periods";
+
+// Larger, hollow dot where the quarter-over-quarter change is notable.
+function renderChangeDot({ cx, cy, payload, index }, metric) {
+  const notable = isNotableChange(payload.changes[metric.key]);
+  return (
+    <circle
+      key={`${metric.key}-${index}`}
+      cx={cx}
+      cy={cy}
+      r={notable ? 6 : 3}
+      fill={notable ? "#ffffff" : metric.color}
+      stroke={metric.color}
+      strokeWidth={notable ? 3 : 1}
+    />
+  );
+}
+
+export default function TrendAnalysis({ hospitalId, years }) {
+  const { t } = useI18n();
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError("");
+        const data = await getQuarterlyHistory({
+          hospitalId,
+          years,
+          signal: controller.signal,
+        });
+        setHistory(data);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error(err);
+        setError(describeApiError(err, t("trends.loadFailed")));
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    load();
+    return () => controller.abort();
+  }, [hospitalId, years, t]);
+
+  const points = buildTrendSeries(history);
+  const failed = history.filter((h) => h.error);
+
+  if (loading) {
+    return (
+      <p className="chart-empty">
+        {t("trends.loading", { count: years.length * 4 })}
+      </p>
+    );
+  }
+  if (error) return <p className="error-text">{error}</p>;
+
+  return (
+    <div className="trends-screen">
+      {failed.length > 0 && (
+        <p className="error-text">
+          {t("trends.couldNotLoad", {
+            periods: failed.map(quarterLabel).join(", "),
+          })}
+        </p>
+      )}
+
+      <div className="chart-card trends-chart">
+        <h3 className="chart-title">{t("trends.title")}</h3>
+        {points.length === 0 ? (
+          <p className="chart-empty">{t("trends.none")}</p>
+        ) : (
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={points}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="period" />
+              <YAxis />
+              <ReTooltip />
+              <Legend />
+              {TREND_METRICS.map((m) => (
+                <Line
+                  key={m.key}
+                  type="monotone"
+                  dataKey={m.key}
+                  name={t(`metrics.${m.key}`)}
+                  stroke={m.color}
+                  dot={(props) => renderChangeDot(props, m)}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+        <p className="chart-empty">{t("trends.legend")}</p>
+      </div>
+
+      {points.length > 0 && (
+        <div className="cases-table-wrapper">
+          <table className="cases-table comparison-table">
+            <thead>
+              <tr>
+                <th>{t("trends.quarter")}</th>
+                {TREND_METRICS.map((m) => (
+                  <th key={m.key}>{t(`metrics.${m.key}`)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {points.map((p) => (
+                <tr key={p.period}>
+                  <td>{p.period}</td>
+                  {TREND_METRICS.map((m) => {
+                    const change = p.changes[m.key];
+                    return (
+                      <td key={m.key}>
+                        {p[m.key]}{" "}
+                        <span
+                          className={
+                            isNotableChange(change)
+                              ? change > 0
+                                ? "trend-change trend-up"
+                                : "trend-change trend-down"
+                              : "trend-change"
+                          }
+                        >
+                          {formatChange(change)}
+                        </span>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+// src/alertRules.js
+//
+// User-defined alert rules, checked against every loaded fraud report and
+// its cases. Rules, fired notifications, and the last seen risk level and
+// matching rules per report are kept in localStorage. Descriptions and messages are
+// formatted in the language active when they are made, so notifications
+// keep the wording they fired with.
+
+import { getAllCases } from "./fraudApi";
+import { t, tValue } from "./i18n";
+
+const RULES_KEY = "fraud-dashboard:alert-rules";
+const HISTORY_KEY = "fraud-dashboard:alert-history";
+const RISK_LEVELS_KEY = "fraud-dashboard:last-risk-levels";
+const FIRED_KEY = "fraud-dashboard:alert-fired";
+
+const MAX_HISTORY = 200;
+
+// highest scoring cases fetched for the case score rules
+const MAX_RULE_CASES = 2000;
+
+// Labels live in the catalogs under `alerts.types.<type>`.
+export const RULE_TYPES = [
+  "metric",
+  "controlled_share",
+  "case_score",
+  "risk_level_change",
+];
+
+// Report metrics a "metric" rule can watch, labelled as `metrics.<metric>`.
+export const RULE_METRICS = [
+  "highRiskCases",
+  "mediumRiskCases",
+  "activeAlerts",
+  "controlledDrugUse",
+  "totalPrescriptions",
+];
+
+export function newRule(type = "metric") {
+  return {
+    id: `rule-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name: "",
+    type,
+    enabled: true,
+    metric: "highRiskCases",
+    threshold: type === "case_score" ? 0.9 : 10,
+    drugName: "",
+  };
+}
+
+export function describeRule(rule) {
+  switch (rule.type) {
+    case "metric":
+      return t("alerts.describe.metric", {
+        metric: tValue("metrics", rule.metric),
+        threshold: rule.threshold,
+      });
+    case "controlled_share":
+      return t("alerts.describe.controlled_share", {
+        threshold: rule.threshold,
+      });
+    case "case_score":
+      return rule.drugName
+        ? t("alerts.describe.case_score_drug", {
+            drug: rule.drugName,
+            threshold: rule.threshold,
+          })
+        : t("alerts.describe.case_score", { threshold: rule.threshold });
+    case "risk_level_change":
+      return t("alerts.types.risk_level_change");
+    default:
+      return rule.type;
+  }
+}
+
+// ---------------- Evaluation ----------------
+
+// The cases the enabled case score rules are checked against: the whole
+// period, highest scores first, rather than the explorer's filtered page.
+// `params` are fraudApi case parameters (report period, signal, refresh).
+// Resolves to [] without a fetch when no such rule is enabled.
+export async function loadRuleCases(rules, params) {
+  if (!rules.some((r) => r.enabled && r.type === "case_score")) return [];
+  return getAllCases({
+    ...params,
+    sort: "score",
+    order: "desc",
+    maxCases: MAX_RULE_CASES,
+  });
+}
+
+function evaluateRule(rule, { report, cases, previousRiskLevel }) {
+  const threshold = Number(rule.threshold);
+
+  switch (rule.type) {
+    case "metric": {
+      const value = report[rule.metric];
+      return typeof value === "number" && value > threshold
+        ? t("alerts.fired.metric", { rule: describeRule(rule), value })
+        : null;
+    }
+    case "controlled_share": {
+      if (!report.totalPrescriptions) return null;
+      const share = (report.controlledDrugUse / report.totalPrescriptions) * 100;
+      return share > threshold
+        ? t("alerts.fired.controlled_share", {
+            rule: describeRule(rule),
+            share: share.toFixed(1),
+          })
+        : null;
+    }
+    case "case_score": {
+      const drug = String(rule.drugName || "").trim().toLowerCase();
+      const matches = cases.filter(
+        (c) =>
+          typeof c.final_fraud_score === "number" &&
+          c.final_fraud_score > threshold &&
+          (!drug || String(c.drug_name).toLowerCase() === drug)
+      );
+      return matches.length > 0
+        ? t("alerts.fired.case_score", {
+            rule: describeRule(rule),
+            count: matches.length,
+            examples: matches
+              .slice(0, 3)
+              .map((c) => c.prescription_id)
+              .join(", "),
+          })
+        : null;
+    }
+    case "risk_level_change": {
+      const current = report.hospitalRiskLevel;
+      return previousRiskLevel && current && previousRiskLevel !== current
+        ? t("alerts.fired.risk_level_change", {
+            from: tValue("riskLevels", previousRiskLevel),
+            to: tValue("riskLevels", current),
+          })
+        : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// Returns one { ruleId, ruleName, message } per enabled rule that matches.
+export function evaluateRules(rules, context) {
+  const fired = [];
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const message = evaluateRule(rule, context);
+    if (message) {
+      fired.push({
+        ruleId: rule.id,
+        ruleName: rule.name || describeRule(rule),
+        message,
+      });
+    }
+  }
+  return fired;
+}
+
+// ---------------- Storage ----------------
+
+function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  localStorage.setItem(key, JSON.stringify(value));
+}
+
+export function loadRules() {
+  return readJson(RULES_KEY, []);
+}
+
+export function saveRules(rules) {
+  writeJson(RULES_KEY, rules);
+}
+
+export function loadAlertHistory() {
+  return readJson(HISTORY_KEY, []);
+}
+
+export function saveAlertHistory(history) {
+  writeJson(HISTORY_KEY, history.slice(0, MAX_HISTORY));
+}
+
+// Validates rules read from an imported JSON file; throws on bad input.
+export function parseRulesJson(text) {
+  const data = JSON.parse(text);
+  const rules = Array.isArray(data) ? data : data?.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error(t("alerts.errors.notRuleList"));
+  }
+  return rules.map((r) => {
+    if (!RULE_TYPES.includes(r?.type)) {
+      throw new Error(t("alerts.errors.unknownType", { type: r?.type }));
+    }
+    return { ...newRule(r.type), ...r };
+  });
+}
+
+// Checks the rules against a freshly loaded report and records the
+// matches in the alert history. A rule that already matched the last
+// time this report was checked is not notified again until it stops
+// matching. Returns the updated history.
+export function runAlertRules({ report, cases, reportKey, periodLabel }) {
+  const levels = readJson(RISK_LEVELS_KEY, {});
+  const fired = evaluateRules(loadRules(), {
+    report,
+    cases,
+    previousRiskLevel: levels[reportKey],
+  });
+
+  if (report.hospitalRiskLevel) {
+    writeJson(RISK_LEVELS_KEY, {
+      ...levels,
+      [reportKey]: report.hospitalRiskLevel,
+    });
+  }
+
+  const firedIds = readJson(FIRED_KEY, {});
+  const previous = new Set(firedIds[reportKey] || []);
+  writeJson(FIRED_KEY, {
+    ...firedIds,
+    [reportKey]: fired.map((f) => f.ruleId),
+  });
+
+  const history = loadAlertHistory();
+  const changed = fired.filter((f) => !previous.has(f.ruleId));
+  if (changed.length === 0) return history;
+
+  const createdAt = new Date().toISOString();
+  const notifications = changed.map((f, i) => ({
+    ...f,
+    id: `${createdAt}-${i}`,
+    hospitalName: report.hospitalName,
+    period: periodLabel,
+    createdAt,
+    read: false,
+  }));
+  const updated = [...notifications, ...history].slice(0, MAX_HISTORY);
+  saveAlertHistory(updated);
+  return updated;
+}
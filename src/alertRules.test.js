@@ -0,0 +1,38 @@
+// src/alertRules.test.js
+import { describe, expect, it } from "vitest";
+import { runAlertRules, saveRules } from "./alertRules";
+
+const RULE = {
+  id: "rule-1",
+  name: "High risk cases",
+  type: "metric",
+  enabled: true,
+  metric: "highRiskCases",
+  threshold: 10,
+};
+
+function check(highRiskCases, reportKey = "#/hospital/1/2024/year") {
+  return runAlertRules({
+    report: { hospitalName: "King Fahad Hospital", highRiskCases },
+    cases: [],
+    reportKey,
+    periodLabel: "2024",
+  });
+}
+
+describe("runAlertRules", () => {
+  it("notifies once per report until the rule stops matching", () => {
+    saveRules([RULE]);
+
+    expect(check(12)).toHaveLength(1);
+    // the same result again, e.g. a live refresh or a re-run
+    expect(check(14)).toHaveLength(1);
+    // another report has its own state
+    expect(check(12, "#/hospital/2/2024/year")).toHaveLength(2);
+
+    expect(check(3)).toHaveLength(2);
+    const history = check(12);
+    expect(history).toHaveLength(3);
+    expect(history[0]).toMatchObject({ ruleId: "rule-1", read: false });
+  });
+});
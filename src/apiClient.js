@@ -0,0 +1,246 @@
+// src/apiClient.js
+//
+// Thin fetch wrapper used by fraudApi.js: timeouts, exponential-backoff
+// retries for idempotent GETs, AbortSignal cancellation, bearer tokens
+// from auth.js and structured errors the UI can tell apart.
+
+import { getAccessToken, logout, refreshSession } from "./auth";
+import { t } from "./i18n";
+import { mockMode } from "./mockMode";
+
+const DEFAULT_TIMEOUT_MS = Number(import.meta.env.VITE_API_TIMEOUT_MS) || 20000;
+const DEFAULT_RETRIES = Number(import.meta.env.VITE_API_RETRIES ?? 2);
+const BASE_BACKOFF_MS = 1000;
+
+// ---------------- Errors ----------------
+
+export class ApiError extends Error {
+  constructor(message, { kind, url, status = null, body = "", cause } = {}) {
+    super(message, { cause });
+    this.name = "ApiError";
+    this.kind = kind; // "network" | "timeout" | "http" | "malformed"
+    this.url = url;
+    this.status = status;
+    this.body = body;
+  }
+
+  get retryable() {
+    if (this.kind === "network" || this.kind === "timeout") return true;
+    if (this.kind === "http") {
+      return this.status >= 500 || this.status === 408 || this.status === 429;
+    }
+    return false;
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(url, cause) {
+    super("Network request failed", { kind: "network", url, cause });
+    this.name = "NetworkError";
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(url, timeoutMs) {
+    super(`Request timed out after ${timeoutMs} ms`, { kind: "timeout", url });
+    this.name = "TimeoutError";
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export class HttpError extends ApiError {
+  constructor(url, status, body) {
+    super(`API error ${status}: ${body}`, { kind: "http", url, status, body });
+    this.name = "HttpError";
+  }
+
+  get isClientError() {
+    return this.status >= 400 && this.status < 500;
+  }
+
+  get isServerError() {
+    return this.status >= 500;
+  }
+}
+
+export class MalformedResponseError extends ApiError {
+  constructor(url, cause) {
+    super("The server returned an unreadable response", {
+      kind: "malformed",
+      url,
+      cause,
+    });
+    this.name = "MalformedResponseError";
+  }
+}
+
+export function isAbortError(err) {
+  return err?.name === "AbortError";
+}
+
+// User-facing message for any error thrown by the API layer.
+export function describeApiError(err, fallback = t("api.generic")) {
+  if (!(err instanceof ApiError)) return err?.message || fallback;
+
+  switch (err.kind) {
+    case "network":
+      return t("api.network");
+    case "timeout":
+      return t("api.timeout");
+    case "malformed":
+      return t("api.malformed");
+    case "http":
+      if (err.status === 401) return t("api.unauthorized");
+      if (err.status === 403) return t("api.forbidden");
+      if (err.status === 404) return t("api.notFound");
+      if (err.isClientError) {
+        return t("api.rejected", { status: err.status });
+      }
+      return t("api.serverError", { status: err.status });
+    default:
+      return err.message || fallback;
+  }
+}
+
+// ---------------- Requests ----------------
+
+function abortError(signal) {
+  return signal.reason instanceof Error
+    ? signal.reason
+    : new DOMException("The request was cancelled", "AbortError");
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError(signal));
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// fetch(), or the built-in mock backend in mock mode (see mockMode.js).
+function send(url, init) {
+  if (!mockMode.enabled) return fetch(url, init);
+  return import("./mockBackend").then((mock) => mock.mockFetch(url, init));
+}
+
+// One fetch attempt with its own timeout, chained to the caller's signal.
+async function attempt(url, init, { timeoutMs, signal }) {
+  if (signal?.aborted) throw abortError(signal);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    let res;
+    try {
+      res = await send(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      if (signal?.aborted) throw abortError(signal);
+      if (timedOut) throw new TimeoutError(url, timeoutMs);
+      throw new NetworkError(url, err);
+    }
+
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      throw new HttpError(url, res.status, text);
+    }
+
+    try {
+      return await res.json();
+    } catch (err) {
+      if (signal?.aborted) throw abortError(signal);
+      if (timedOut) throw new TimeoutError(url, timeoutMs);
+      throw new MalformedResponseError(url, err);
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+function withToken(init, token) {
+  if (!token) return init;
+  return {
+    ...init,
+    headers: { ...init.headers, Authorization: `Bearer ${token}` },
+  };
+}
+
+// attempt() with the current access token. A 401 gets one retry with a
+// refreshed token; if that is not possible the user is signed out.
+async function authorizedAttempt(url, init, options) {
+  const token = await getAccessToken();
+  try {
+    return await attempt(url, withToken(init, token), options);
+  } catch (err) {
+    if (!(err instanceof HttpError) || err.status !== 401 || !token) throw err;
+    if (await refreshSession()) {
+      try {
+        const fresh = await getAccessToken();
+        return await attempt(url, withToken(init, fresh), options);
+      } catch (retryErr) {
+        if (!(retryErr instanceof HttpError) || retryErr.status !== 401) {
+          throw retryErr;
+        }
+      }
+    }
+    logout(t("api.unauthorized"));
+    throw err;
+  }
+}
+
+export async function request(
+  url,
+  {
+    method = "GET",
+    body,
+    headers,
+    signal,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries,
+  } = {}
+) {
+  const init = { method, headers: { ...headers } };
+  if (body !== undefined) {
+    init.headers["Content-Type"] = "application/json";
+    init.body = JSON.stringify(body);
+  }
+
+  // only idempotent GETs are retried unless the caller says otherwise
+  const maxRetries = retries ?? (method === "GET" ? DEFAULT_RETRIES : 0);
+
+  for (let tryIndex = 0; ; tryIndex++) {
+    try {
+      return await authorizedAttempt(url, init, { timeoutMs, signal });
+    } catch (err) {
+      const canRetry =
+        err instanceof ApiError && err.retryable && tryIndex < maxRetries;
+      if (!canRetry) throw err;
+      const delay = BASE_BACKOFF_MS * 2 ** tryIndex;
+      console.warn(`Retrying ${url} in ${delay} ms (${err.message})`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+export function getJson(url, options) {
+  return request(url, { ...options, method: "GET" });
+}
+
+export function postJson(url, body, options) {
+  return request(url, { ...options, method: "POST", body });
+}
@@ -0,0 +1,352 @@
+// src/auth.js
+//
+// Sign-in for the dashboard. VITE_AUTH_MODE picks the flow:
+//   "oidc"  – OAuth2 authorization code + PKCE against VITE_OIDC_ISSUER
+//   "token" – paste a bearer token (for a local backend stand-in)
+//   unset   – no login; everyone is an admin (local development)
+// The session lives in sessionStorage so it ends with the tab. Roles come
+// from the token's claims; see ROLES for what each one unlocks.
+
+const AUTH_MODE = import.meta.env.VITE_AUTH_MODE || "none";
+const OIDC_ISSUER = (import.meta.env.VITE_OIDC_ISSUER || "").replace(/\/$/, "");
+const OIDC_CLIENT_ID = import.meta.env.VITE_OIDC_CLIENT_ID || "";
+const OIDC_SCOPE =
+  import.meta.env.VITE_OIDC_SCOPE || "openid profile offline_access";
+const ROLES_CLAIM = import.meta.env.VITE_AUTH_ROLES_CLAIM || "roles";
+const DEFAULT_ROLE = import.meta.env.VITE_AUTH_DEFAULT_ROLE || "viewer";
+
+const SESSION_KEY = "fraud-dashboard:auth";
+const PENDING_KEY = "fraud-dashboard:auth-pending";
+
+// Refresh this long before the access token expires.
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+// Lowest to highest; each role can do everything the ones before it can.
+//   viewer   – aggregates only (summary, trends, comparison)
+//   reviewer – case tables with patient/doctor IDs, triage
+//   admin    – exports and alert rule configuration
+export const ROLES = ["viewer", "reviewer", "admin"];
+
+export const authEnabled = AUTH_MODE === "oidc" || AUTH_MODE === "token";
+export const authMode = AUTH_MODE;
+
+const LOCAL_USER = { name: "Local user", role: "admin" };
+
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// ---------------- Session store ----------------
+
+function readSession() {
+  try {
+    const raw = sessionStorage.getItem(SESSION_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+let session = authEnabled ? readSession() : { user: LOCAL_USER };
+let logoutReason = "";
+const listeners = new Set();
+
+function setSession(next) {
+  session = next;
+  if (next) {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(next));
+  } else {
+    sessionStorage.removeItem(SESSION_KEY);
+  }
+  listeners.forEach((listener) => listener());
+}
+
+// useSyncExternalStore-compatible subscription.
+export function subscribeAuth(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// { user: { name, role }, accessToken, refreshToken, idToken, expiresAt }
+// or null when signed out.
+export function getSession() {
+  return session;
+}
+
+// Why the last session ended ("" for a normal sign-out).
+export function getLogoutReason() {
+  return logoutReason;
+}
+
+// ---------------- Claims ----------------
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+  const bytes = Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+// Payload of a JWT, or null for opaque tokens.
+export function decodeJwt(token) {
+  try {
+    const [, payload] = String(token).split(".");
+    return payload ? JSON.parse(base64UrlDecode(payload)) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Highest known role in the claims. ROLES_CLAIM may be a dotted path
+// (e.g. "realm_access.roles") and hold a string or an array.
+export function roleFromClaims(claims) {
+  const value = ROLES_CLAIM.split(".").reduce(
+    (obj, key) => (obj == null ? undefined : obj[key]),
+    claims
+  );
+  const roles = (Array.isArray(value) ? value : [value])
+    .filter(Boolean)
+    .map((r) => String(r).toLowerCase());
+  const known = ROLES.filter((r) => roles.includes(r));
+  return known.length > 0 ? known[known.length - 1] : DEFAULT_ROLE;
+}
+
+function sessionFromTokens(tokens, previous = null) {
+  const claims =
+    decodeJwt(tokens.id_token) || decodeJwt(tokens.access_token) || {};
+  const expiresAt = tokens.expires_in
+    ? Date.now() + tokens.expires_in * 1000
+    : claims.exp
+    ? claims.exp * 1000
+    : null;
+
+  return {
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token || previous?.refreshToken || null,
+    idToken: tokens.id_token || previous?.idToken || null,
+    expiresAt,
+    user: {
+      name:
+        claims.name ||
+        claims.preferred_username ||
+        claims.email ||
+        claims.sub ||
+        previous?.user.name ||
+        "Signed-in user",
+      role: roleFromClaims(claims),
+    },
+  };
+}
+
+// ---------------- Token mode ----------------
+
+export function loginWithToken(token) {
+  const accessToken = token.trim();
+  if (!accessToken) throw new Error("Enter an access token.");
+  logoutReason = "";
+  setSession(sessionFromTokens({ access_token: accessToken }));
+}
+
+// ---------------- OIDC + PKCE ----------------
+
+let discoveryPromise = null;
+
+function discover() {
+  if (!discoveryPromise) {
+    discoveryPromise = fetch(
+      `${OIDC_ISSUER}/.well-known/openid-configuration`
+    ).then((res) => {
+      if (!res.ok) throw new Error(`OIDC discovery failed (${res.status})`);
+      return res.json();
+    });
+    discoveryPromise.catch(() => {
+      discoveryPromise = null;
+    });
+  }
+  return discoveryPromise;
+}
+
+function randomString(bytes = 32) {
+  const data = crypto.getRandomValues(new Uint8Array(bytes));
+  return btoa(String.fromCharCode(...data))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+async function codeChallenge(verifier) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(verifier)
+  );
+  return btoa(String.fromCharCode(...new Uint8Array(digest)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function redirectUri() {
+  return `${window.location.origin}${window.location.pathname}`;
+}
+
+async function tokenRequest(params) {
+  const { token_endpoint: tokenEndpoint } = await discover();
+  const res = await fetch(tokenEndpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ client_id: OIDC_CLIENT_ID, ...params }),
+  });
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    throw new Error(`Token request failed (${res.status}) ${text}`.trim());
+  }
+  return res.json();
+}
+
+// Redirects to the identity provider; the page comes back with ?code=.
+export async function startLogin() {
+  const config = await discover();
+  const verifier = randomString(48);
+  const state = randomString(16);
+  sessionStorage.setItem(
+    PENDING_KEY,
+    JSON.stringify({
+      verifier,
+      state,
+      // the hash route and case filters to restore after sign-in
+      returnTo: `${window.location.search}${window.location.hash}`,
+    })
+  );
+
+  const url = new URL(config.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: redirectUri(),
+    scope: OIDC_SCOPE,
+    state,
+    code_challenge: await codeChallenge(verifier),
+    code_challenge_method: "S256",
+  });
+  window.location.assign(url);
+}
+
+export function isLoginCallback() {
+  if (AUTH_MODE !== "oidc") return false;
+  const params = new URLSearchParams(window.location.search);
+  return params.has("state") && (params.has("code") || params.has("error"));
+}
+
+let callbackPromise = null;
+
+async function exchangeCode() {
+  const params = new URLSearchParams(window.location.search);
+  const pending = JSON.parse(sessionStorage.getItem(PENDING_KEY) || "null");
+  sessionStorage.removeItem(PENDING_KEY);
+
+  // drop ?code=&state= from the address bar either way
+  window.history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}${pending?.returnTo || window.location.hash}`
+  );
+
+  if (params.has("error")) {
+    throw new Error(params.get("error_description") || params.get("error"));
+  }
+  if (!pending || pending.state !== params.get("state")) {
+    throw new Error("Sign-in response did not match the request.");
+  }
+
+  const tokens = await tokenRequest({
+    grant_type: "authorization_code",
+    code: params.get("code"),
+    redirect_uri: redirectUri(),
+    code_verifier: pending.verifier,
+  });
+  logoutReason = "";
+  setSession(sessionFromTokens(tokens));
+}
+
+// Finishes the redirect from the identity provider. Safe to call twice
+// (StrictMode effects): both calls share one code exchange.
+export function completeLogin() {
+  if (!callbackPromise) callbackPromise = exchangeCode();
+  return callbackPromise;
+}
+
+// ---------------- Tokens for API requests ----------------
+
+let refreshPromise = null;
+
+// Uses the refresh token to get a new access token. Resolves to true on
+// success, false when there is nothing to refresh with or it failed.
+export function refreshSession() {
+  if (AUTH_MODE !== "oidc" || !session?.refreshToken) {
+    return Promise.resolve(false);
+  }
+  if (!refreshPromise) {
+    const previous = session;
+    refreshPromise = tokenRequest({
+      grant_type: "refresh_token",
+      refresh_token: previous.refreshToken,
+    })
+      .then((tokens) => {
+        setSession(sessionFromTokens(tokens, previous));
+        return true;
+      })
+      .catch((err) => {
+        console.warn("Token refresh failed", err);
+        return false;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+// Current access token, refreshed first when it is about to expire.
+// null when auth is off or signed out.
+export async function getAccessToken() {
+  if (!authEnabled || !session) return null;
+  if (
+    session.expiresAt &&
+    Date.now() > session.expiresAt - EXPIRY_MARGIN_MS
+  ) {
+    await refreshSession();
+  }
+  return session?.accessToken || null;
+}
+
+// ---------------- Sign-out ----------------
+
+const logoutHandlers = new Set();
+
+// Registers cleanup to run on sign-out (e.g. clearing cached responses).
+export function onLogout(handler) {
+  logoutHandlers.add(handler);
+  return () => logoutHandlers.delete(handler);
+}
+
+// Ends the session. reason is shown on the login screen; with
+// { redirect: true } an OIDC session is also ended at the provider.
+export async function logout(reason = "", { redirect = false } = {}) {
+  const previous = session;
+  logoutReason = reason;
+  setSession(authEnabled ? null : { user: LOCAL_USER });
+  await Promise.allSettled([...logoutHandlers].map((handler) => handler()));
+
+  if (redirect && AUTH_MODE === "oidc" && previous) {
+    const config = await discover().catch(() => null);
+    if (config?.end_session_endpoint) {
+      const url = new URL(config.end_session_endpoint);
+      url.search = new URLSearchParams({
+        client_id: OIDC_CLIENT_ID,
+        post_logout_redirect_uri: redirectUri(),
+        ...(previous.idToken ? { id_token_hint: previous.idToken } : {}),
+      });
+      window.location.assign(url);
+    }
+  }
+}
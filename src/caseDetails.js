@@ -0,0 +1,79 @@
+// src/caseDetails.js
+import { median } from "./comparison";
+
+// Field names the backend has used for a drug's typical quantity in
+// top_suspicious_drugs entries, in order of preference.
+const DRUG_QUANTITY_FIELDS = [
+  "typical_quantity",
+  "median_quantity",
+  "avg_quantity",
+  "mean_quantity",
+];
+
+// Turns a backend field name into a readable label ("final_fraud_score"
+// -> "Final fraud score").
+export function fieldLabel(key) {
+  const text = String(key).replace(/_/g, " ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+export function formatFieldValue(value) {
+  if (value === null || value === undefined || value === "") return "–";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? String(value) : value.toFixed(3);
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// Compares a case's quantity with what is typical for the same drug.
+// Uses the drug's entry in topSuspiciousDrugs when it carries a quantity
+// field, otherwise the median quantity of the other cases for that drug.
+export function compareQuantity(caseItem, topSuspiciousDrugs, topCases) {
+  const drugEntry = (topSuspiciousDrugs || []).find(
+    (d) => d.drug_name === caseItem.drug_name
+  );
+
+  let typical = null;
+  let source = null;
+  const field =
+    drugEntry &&
+    DRUG_QUANTITY_FIELDS.find((f) => typeof drugEntry[f] === "number");
+  if (field) {
+    typical = drugEntry[field];
+    source = "top suspicious drugs";
+  } else {
+    const peers = (topCases || [])
+      .filter(
+        (c) =>
+          c.drug_name === caseItem.drug_name &&
+          c.prescription_id !== caseItem.prescription_id
+      )
+      .map((c) => c.quantity);
+    if (peers.some((q) => typeof q === "number")) {
+      typical = median(peers);
+      source = "other flagged cases";
+    }
+  }
+
+  const quantity = caseItem.quantity;
+  const ratio =
+    typeof quantity === "number" && typical > 0 ? quantity / typical : null;
+
+  return { drugEntry: drugEntry || null, typical, source, ratio };
+}
+
+// Other cases in the current set from the same doctor / patient.
+export function relatedCases(caseItem, topCases) {
+  const others = (topCases || []).filter(
+    (c) => c.prescription_id !== caseItem.prescription_id
+  );
+  return {
+    byDoctor: caseItem.doctor_id
+      ? others.filter((c) => c.doctor_id === caseItem.doctor_id)
+      : [],
+    byPatient: caseItem.patient_id
+      ? others.filter((c) => c.patient_id === caseItem.patient_id)
+      : [],
+  };
+}
@@ -0,0 +1,83 @@
+// src/caseQuery.js
+import { linkedAlias, resolveAlias } from "./privacy";
+
+// Labels live in the catalogs under `cases.sort.<field>`.
+export const CASE_SORT_FIELDS = ["score", "date", "quantity", "drug"];
+
+export const RISK_BANDS = ["High", "Medium", "Low"];
+
+export const PAGE_SIZES = [10, 25, 50, 100];
+
+export const DEFAULT_CASE_QUERY = {
+  offset: 0,
+  limit: 25,
+  sort: "score",
+  order: "desc",
+  riskBand: "",
+  drugName: "",
+  doctorId: "",
+  startDate: "",
+  endDate: "",
+};
+
+// Query field -> URL search param. Kept short so links stay readable.
+const URL_PARAMS = {
+  offset: "offset",
+  limit: "limit",
+  sort: "sort",
+  order: "order",
+  riskBand: "risk",
+  drugName: "drug",
+  doctorId: "doctor",
+  startDate: "from",
+  endDate: "to",
+};
+
+const NUMERIC_FIELDS = ["offset", "limit"];
+
+export function readCaseQueryFromUrl(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const query = { ...DEFAULT_CASE_QUERY };
+
+  for (const [field, param] of Object.entries(URL_PARAMS)) {
+    const raw = params.get(param);
+    if (raw === null) continue;
+    if (NUMERIC_FIELDS.includes(field)) {
+      const n = Number(raw);
+      if (Number.isInteger(n) && n >= 0) query[field] = n;
+    } else {
+      query[field] = raw;
+    }
+  }
+
+  if (!CASE_SORT_FIELDS.includes(query.sort)) {
+    query.sort = DEFAULT_CASE_QUERY.sort;
+  }
+  if (query.order !== "asc") query.order = "desc";
+  if (!PAGE_SIZES.includes(query.limit)) query.limit = DEFAULT_CASE_QUERY.limit;
+  // written as an alias in privacy mode
+  query.doctorId = resolveAlias("doctor_id", query.doctorId);
+
+  return query;
+}
+
+// Writes the non-default query fields into the URL without adding a
+// history entry, leaving any other search params untouched. In privacy
+// mode the doctor filter is written as its alias.
+export function writeCaseQueryToUrl(query, { privacy = false } = {}) {
+  const url = new URL(window.location.href);
+
+  for (const [field, param] of Object.entries(URL_PARAMS)) {
+    const value =
+      privacy && field === "doctorId" && query.doctorId
+        ? linkedAlias("doctor_id", query.doctorId)
+        : query[field];
+    if (value === DEFAULT_CASE_QUERY[field] || value === "") {
+      url.searchParams.delete(param);
+    } else {
+      url.searchParams.set(param, String(value));
+    }
+  }
+
+  window.history.replaceState(window.history.state, "", url);
+}
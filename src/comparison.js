@@ -0,0 +1,69 @@
+// src/comparison.js
+
+// Report metrics compared across hospitals in comparison mode; labels
+// live in the catalogs under `comparison.metrics.<metric>`.
+export const COMPARISON_METRICS = [
+  "highRiskCases",
+  "mediumRiskCases",
+  "lowRiskCases",
+  "controlledDrugUse",
+  "activeAlerts",
+];
+
+// A value is an outlier when it sits this far (as a fraction of the
+// median) above or below the group median.
+export const OUTLIER_THRESHOLD = 0.5;
+
+export function median(values) {
+  const nums = values
+    .filter((v) => typeof v === "number" && !Number.isNaN(v))
+    .sort((a, b) => a - b);
+  if (nums.length === 0) return 0;
+  const mid = Math.floor(nums.length / 2);
+  return nums.length % 2 === 0 ? (nums[mid - 1] + nums[mid]) / 2 : nums[mid];
+}
+
+// Returns "above", "below" or null for a value against the group median.
+export function outlierDirection(value, groupMedian) {
+  if (typeof value !== "number" || groupMedian <= 0) return null;
+  const deviation = (value - groupMedian) / groupMedian;
+  if (deviation >= OUTLIER_THRESHOLD) return "above";
+  if (deviation <= -OUTLIER_THRESHOLD) return "below";
+  return null;
+}
+
+// Builds the ranked comparison rows from a list of normalized reports
+// (as returned by runFraudCheck). Hospitals are ranked by their share
+// of high risk prescriptions, then by active alerts.
+export function buildComparison(reports) {
+  const medians = {};
+  for (const m of COMPARISON_METRICS) {
+    medians[m] = median(reports.map((r) => r[m]));
+  }
+
+  const rows = reports.map((r) => {
+    const outliers = {};
+    for (const m of COMPARISON_METRICS) {
+      const direction = outlierDirection(r[m], medians[m]);
+      if (direction) outliers[m] = direction;
+    }
+    return {
+      ...r,
+      highRiskRate: r.totalPrescriptions
+        ? (r.highRiskCases || 0) / r.totalPrescriptions
+        : 0,
+      outliers,
+    };
+  });
+
+  rows.sort(
+    (a, b) =>
+      b.highRiskRate - a.highRiskRate ||
+      (b.activeAlerts || 0) - (a.activeAlerts || 0)
+  );
+  rows.forEach((row, index) => {
+    row.rank = index + 1;
+  });
+
+  return { rows, medians };
+}
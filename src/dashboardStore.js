@@ -0,0 +1,20 @@
+// src/dashboardStore.js
+//
+// Shared dashboard state, provided by DashboardProvider: the signed-in
+// user and what their role allows, hospitals and years, the filter
+// selection, the loaded report (see useFraudReport.js), privacy mode and
+// the summary tab's layout (see useDashboardLayout.js).
+// Widgets read it with useDashboard(), so they work on any page rendered
+// inside the provider.
+
+import { createContext, useContext } from "react";
+
+export const DashboardContext = createContext(null);
+
+export function useDashboard() {
+  const dashboard = useContext(DashboardContext);
+  if (!dashboard) {
+    throw new Error("useDashboard() must be used inside <DashboardProvider>");
+  }
+  return dashboard;
+}
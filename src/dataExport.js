@@ -0,0 +1,150 @@
+// src/dataExport.js
+//
+// CSV and JSON exports of a normalized fraud report and its case list.
+// Both formats share the same sections and column names so a spreadsheet
+// built from one lines up with the other.
+
+import { periodLabel, reportFileName } from "./pdfReport";
+
+// Labels live in the catalogs under `dashboard.exportFormats.<format>`.
+export const EXPORT_FORMATS = ["csv", "json"];
+
+const CASE_COLUMNS = [
+  "prescription_id",
+  "risk_band",
+  "final_fraud_score",
+  "drug_name",
+  "quantity",
+  "patient_id",
+  "doctor_id",
+  "date",
+  "recommended_action",
+];
+
+// Builds the export as named sections of flat rows:
+// { metadata, metrics, top_suspicious_drugs, trend, risk_distribution, cases }
+// privacy only records in the metadata that cases were already masked.
+export function buildExportSections(
+  report,
+  cases,
+  { exportedAt = new Date(), privacy = false } = {}
+) {
+  const metadata = [
+    { field: "hospital_id", value: report.hospitalId },
+    { field: "hospital_name", value: report.hospitalName },
+    { field: "period", value: periodLabel(report) },
+    { field: "year", value: report.year },
+    { field: "quarter", value: report.quarter ?? "" },
+    { field: "period_start", value: report.periodStart || "" },
+    { field: "period_end", value: report.periodEnd || "" },
+    { field: "risk_level", value: report.hospitalRiskLevel },
+    { field: "exported_at", value: exportedAt.toISOString() },
+    {
+      field: "privacy_mode",
+      value: privacy ? "on (identifiers pseudonymized)" : "off",
+    },
+  ];
+
+  const metrics = [
+    { metric: "total_prescriptions", value: report.totalPrescriptions },
+    { metric: "high_risk_cases", value: report.highRiskCases },
+    { metric: "medium_risk_cases", value: report.mediumRiskCases },
+    { metric: "low_risk_cases", value: report.lowRiskCases },
+    { metric: "controlled_drug_use", value: report.controlledDrugUse },
+    { metric: "active_alerts", value: report.activeAlerts },
+  ];
+
+  const topSuspiciousDrugs = report.topSuspiciousDrugs.map((d) => ({
+    drug_name: d.drug_name,
+    avg_fraud_score: d.avg_fraud_score,
+  }));
+
+  const trend = report.trend.map((t) => ({ month: t.month, value: t.value }));
+
+  const riskDistribution = Object.entries(report.riskDistribution).map(
+    ([band, count]) => ({ risk_band: band, count })
+  );
+
+  // fixed columns first, then anything extra the backend returned
+  const extraColumns = [
+    ...new Set(cases.flatMap((c) => Object.keys(c))),
+  ].filter((k) => !CASE_COLUMNS.includes(k));
+  const caseRows = cases.map((c) =>
+    Object.fromEntries(
+      [...CASE_COLUMNS, ...extraColumns].map((k) => [k, c[k] ?? ""])
+    )
+  );
+
+  return {
+    metadata,
+    metrics,
+    top_suspicious_drugs: topSuspiciousDrugs,
+    trend,
+    risk_distribution: riskDistribution,
+    cases: caseRows,
+  };
+}
+
+// Text a spreadsheet would run as a formula (=, +, -, @, tab, CR).
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // backend text such as drug names or notes must not become a formula
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV file: each section starts with a "# name" row and its header,
+// separated by a blank line.
+export function sectionsToCsv(sections) {
+  const blocks = Object.entries(sections).map(([name, rows]) => {
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+    const lines = [
+      `# ${name}`,
+      columns.map(csvCell).join(","),
+      ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(",")),
+    ];
+    return lines.join("\r\n");
+  });
+  return blocks.join("\r\n\r\n") + "\r\n";
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function exportReportData(format, report, cases, { privacy } = {}) {
+  const sections = buildExportSections(report, cases, { privacy });
+
+  switch (format) {
+    case "csv":
+      // BOM so Excel opens UTF-8 (e.g. Arabic names) correctly
+      downloadBlob(
+        new Blob(["\uFEFF" + sectionsToCsv(sections)], {
+          type: "text/csv;charset=utf-8",
+        }),
+        reportFileName(report, "csv")
+      );
+      break;
+    case "json":
+      downloadBlob(
+        new Blob([JSON.stringify(sections, null, 2)], {
+          type: "application/json",
+        }),
+        reportFileName(report, "json")
+      );
+      break;
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
@@ -0,0 +1,24 @@
+// src/dataExport.test.js
+import { describe, expect, it } from "vitest";
+import { sectionsToCsv } from "./dataExport";
+
+describe("sectionsToCsv", () => {
+  it("keeps backend text from running as a spreadsheet formula", () => {
+    const csv = sectionsToCsv({
+      cases: [
+        { drug_name: '=HYPERLINK("http://x")', note: "@SUM(A1)", score: -1 },
+        { drug_name: "+1", note: "-2", score: 0.5 },
+        { drug_name: "\tTab", note: "Oxycodone", score: 0.9 },
+      ],
+    });
+
+    expect(csv.split("\r\n")).toEqual([
+      "# cases",
+      "drug_name,note,score",
+      `"'=HYPERLINK(""http://x"")",'@SUM(A1),-1`,
+      "'+1,'-2,0.5",
+      "'\tTab,Oxycodone,0.9",
+      "",
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+// src/db.js
+//
+// Shared IndexedDB database for everything the dashboard keeps locally.
+// Bump DB_VERSION and add the store in onupgradeneeded when adding one.
+
+const DB_NAME = "fraud-dashboard";
+const DB_VERSION = 2;
+
+export const STORES = {
+  caseTriage: { keyPath: "prescription_id" }, // v1
+  responses: { keyPath: "key" }, // v2
+};
+
+let dbPromise = null;
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const [name, options] of Object.entries(STORES)) {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, options);
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Opens a single object store in a fresh transaction.
+export async function getStore(name, mode = "readonly") {
+  const db = await openDb();
+  return db.transaction(name, mode).objectStore(name);
+}
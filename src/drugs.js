@@ -0,0 +1,129 @@
+// src/drugs.js
+//
+// Per-drug analytics over flagged cases: quantity histogram, prescribing
+// doctors, quarterly trend and controlled-drug share.
+
+import { quarterLabel } from "./periods";
+
+export const HISTOGRAM_BINS = 8;
+
+export function sameDrug(a, b) {
+  const normalize = (name) => String(name || "").trim().toLowerCase();
+  return normalize(a) === normalize(b);
+}
+
+// Backends mark controlled substances under different names.
+export function isControlled(c) {
+  return Boolean(c.is_controlled ?? c.controlled ?? c.controlled_drug);
+}
+
+function hasControlledField(c) {
+  return ["is_controlled", "controlled", "controlled_drug"].some(
+    (k) => c[k] !== undefined
+  );
+}
+
+// "2024-05-03" -> { year: 2024, quarter: 2 }, or null when unparseable
+export function quarterOf(date) {
+  const time = Date.parse(date);
+  if (Number.isNaN(time)) return null;
+  const d = new Date(time);
+  return {
+    year: d.getUTCFullYear(),
+    quarter: Math.floor(d.getUTCMonth() / 3) + 1,
+  };
+}
+
+// Equal-width quantity bins: [{ label, from, to, count }]
+export function quantityHistogram(cases, bins = HISTOGRAM_BINS) {
+  const quantities = cases
+    .map((c) => c.quantity)
+    .filter((q) => typeof q === "number");
+  if (quantities.length === 0) return [];
+
+  const min = Math.min(...quantities);
+  const max = Math.max(...quantities);
+  if (min === max) {
+    return [
+      { label: String(min), from: min, to: max, count: quantities.length },
+    ];
+  }
+
+  const width = (max - min) / bins;
+  const histogram = Array.from({ length: bins }, (_, i) => {
+    const from = min + i * width;
+    const to = i === bins - 1 ? max : from + width;
+    return {
+      label: `${Math.round(from)}–${Math.round(to)}`,
+      from,
+      to,
+      count: 0,
+    };
+  });
+  for (const q of quantities) {
+    const i = Math.min(Math.floor((q - min) / width), bins - 1);
+    histogram[i].count += 1;
+  }
+  return histogram;
+}
+
+// [{ doctorId, count, maxScore }], most cases first
+export function doctorCounts(cases) {
+  const byDoctor = new Map();
+  for (const c of cases) {
+    const id = String(c.doctor_id);
+    const entry = byDoctor.get(id) || {
+      doctorId: id,
+      count: 0,
+      maxScore: null,
+    };
+    entry.count += 1;
+    if (typeof c.final_fraud_score === "number") {
+      entry.maxScore = Math.max(entry.maxScore ?? 0, c.final_fraud_score);
+    }
+    byDoctor.set(id, entry);
+  }
+  return [...byDoctor.values()].sort((a, b) => b.count - a.count);
+}
+
+// Flagged cases and mean score per quarter, oldest first, from the
+// case dates: [{ period, year, quarter, cases, meanScore }]
+export function drugQuarterlySeries(cases) {
+  const byQuarter = new Map();
+  for (const c of cases) {
+    const q = quarterOf(c.date);
+    if (!q) continue;
+    const key = q.year * 10 + q.quarter;
+    const entry = byQuarter.get(key) || { ...q, cases: 0, scores: [] };
+    entry.cases += 1;
+    if (typeof c.final_fraud_score === "number") {
+      entry.scores.push(c.final_fraud_score);
+    }
+    byQuarter.set(key, entry);
+  }
+
+  return [...byQuarter.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([, e]) => ({
+      period: quarterLabel(e),
+      year: e.year,
+      quarter: e.quarter,
+      cases: e.cases,
+      meanScore:
+        e.scores.length === 0
+          ? null
+          : Number(
+              (e.scores.reduce((s, v) => s + v, 0) / e.scores.length).toFixed(2)
+            ),
+    }));
+}
+
+// Share of the report's controlled-drug prescriptions taken by this
+// drug's flagged cases; null when the backend doesn't mark controlled
+// drugs or the report has none.
+export function controlledShare(cases, report) {
+  if (!report?.controlledDrugUse || !cases.some(hasControlledField)) {
+    return null;
+  }
+  return cases.filter(isControlled).length / report.controlledDrugUse;
+}
@@ -1,90 +1,196 @@
 // src/fraudApi.js
+import { describeApiError, getJson, postJson } from "./apiClient";
+import { cachedFetch } from "./responseCache";
+import { combineQuarterReports, coveringQuarters } from "./periods";
+import { mockMode } from "./mockMode";
+import {
+  normalizeFraudReport,
+  normalizeHospitals,
+  normalizeTopCases,
+  normalizeYears,
+} from "./schemas";
 
 
  const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "https://fraud-backend-pxg9.onrender.com";
 
 
-async function getJson(url) {
-  const res = await fetch(url);
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`API error ${res.status}: ${text}`);
-  }
-  return res.json();
+// "true" once the backend filters reports by start_date/end_date; until
+// then a date range is loaded as the quarters covering it.
+const DATE_RANGES_SUPPORTED = import.meta.env.VITE_API_DATE_RANGES === "true";
+
+// Every call takes an optional AbortSignal so callers can cancel
+// requests whose result is no longer wanted. GETs go through the
+// response cache (see responseCache.js); report and case calls accept an
+// onRevalidate callback that receives fresh data after a stale hit, and
+// refresh: true to bypass the cache (live updates). Report and case calls
+// take either year/quarter or a periodStart/periodEnd date range.
+
+// Cache key for one hospital/year/quarter or date range.
+function periodKey(hospitalId, year, quarter, periodStart, periodEnd) {
+  return periodStart
+    ? `${hospitalId}/${periodStart}..${periodEnd}`
+    : `${hospitalId}/${year}/${quarter ?? "all"}`;
+}
+
+// Mock responses are cached apart from real ones and per scenario.
+const CACHE_PREFIX = mockMode.enabled ? `mock:${mockMode.scenario}:` : "";
+
+function cachedGetJson(key, url, { signal, onRevalidate, refresh } = {}) {
+  return cachedFetch(CACHE_PREFIX + key, (sig) => getJson(url, { signal: sig }), {
+    signal,
+    onRevalidate,
+    refresh,
+  });
+}
+
+// Lists have nowhere to carry warnings, so they are only logged.
+function withWarnings({ value, warnings }) {
+  if (warnings.length > 0) console.warn("Data quality:", warnings);
+  return value;
 }
 
 // ---------------- Hospitals & Years ----------------
 
-export async function getHospitals() {
-  const data = await getJson(`${API_BASE_URL}/api/hospitals`);
+export async function getHospitals({ signal } = {}) {
+  const { data } = await cachedGetJson(
+    "hospitals",
+    `${API_BASE_URL}/api/hospitals`,
+    { signal }
+  );
   // backend returns: { hospitals: [ {id, name, label}, ... ] }
-  return data.hospitals || [];
+  return withWarnings(normalizeHospitals(data));
 }
 
-export async function getYears() {
-  const data = await getJson(`${API_BASE_URL}/api/years`);
+export async function getYears({ signal } = {}) {
+  const { data } = await cachedGetJson(
+    "years",
+    `${API_BASE_URL}/api/years`,
+    { signal }
+  );
   // backend returns: { years: [2021, 2022, ...] }
-  return data.years || [];
+  return withWarnings(normalizeYears(data));
 }
 
 // ---------------- Fraud report ----------------
 
-export async function runFraudCheck({ hospitalId, year, quarter }) {
+export async function runFraudCheck({
+  hospitalId,
+  year,
+  quarter,
+  periodStart,
+  periodEnd,
+  signal,
+  onRevalidate,
+  refresh,
+}) {
+  if (periodStart && !DATE_RANGES_SUPPORTED) {
+    return runQuarterlyRangeReport({
+      hospitalId,
+      periodStart,
+      periodEnd,
+      signal,
+      refresh,
+    });
+  }
+
   const params = new URLSearchParams({
     hospital_id: hospitalId,
     year: String(year),
   });
-  if (quarter !== undefined) {
+  if (periodStart) {
+    params.append("start_date", periodStart);
+    params.append("end_date", periodEnd);
+  } else if (quarter !== undefined) {
     params.append("quarter", String(quarter));
   }
 
-  const data = await getJson(
-    `${API_BASE_URL}/api/fraud-report?${params.toString()}`
+  // the response doesn't echo the range, so keep it on the report
+  const range = periodStart ? { periodStart, periodEnd } : {};
+  const { data, cachedAt } = await cachedGetJson(
+    `report:${periodKey(hospitalId, year, quarter, periodStart, periodEnd)}`,
+    `${API_BASE_URL}/api/fraud-report?${params.toString()}`,
+    {
+      signal,
+      refresh,
+      onRevalidate:
+        onRevalidate &&
+        ((fresh) => onRevalidate({ ...normalizeReport(fresh), ...range })),
+    }
   );
 
-  // risk_distribution can be an object {High, Medium, Low}
-  // or an array of {name, value}. Handle both.
-  let riskDistribution = data.risk_distribution || {};
-  if (Array.isArray(riskDistribution)) {
-    const obj = {};
-    for (const item of riskDistribution) {
-      if (!item) continue;
-      const name = (item.name || "").toLowerCase();
-      if (name.includes("high")) obj.High = item.value;
-      else if (name.includes("medium")) obj.Medium = item.value;
-      else if (name.includes("low")) obj.Low = item.value;
-    }
-    riskDistribution = obj;
-  }
+  return { ...normalizeReport(data), ...range, cachedAt };
+}
 
-  return {
-    hospitalId: data.hospital_id,
-    hospitalName: data.hospital_name,
-    year: data.year,
-    quarter: data.quarter,
-    totalPrescriptions: data.total_prescriptions,
-    highRiskCases: data.high_risk_cases,
-    mediumRiskCases: data.medium_risk_cases,
-    lowRiskCases: data.low_risk_cases,
-    controlledDrugUse: data.controlled_drug_use,
-    activeAlerts: data.active_alerts,
-    hospitalRiskLevel: data.risk_level || data.hospital_risk_level,
-    summary: data.summary || "",
-    trend: data.fraud_trend_last_3_months || data.trend_last_3_months || [],
-    topSuspiciousDrugs: data.top_suspicious_drugs || [],
-    riskDistribution,
-  };
+function normalizeReport(data) {
+  const { value, warnings } = normalizeFraudReport(data);
+  return { ...value, warnings, cachedAt: null };
+}
+
+// A date range from the reports of the quarters covering it; fails if
+// any of them does, since a partial total would be misleading.
+async function runQuarterlyRangeReport({
+  hospitalId,
+  periodStart,
+  periodEnd,
+  signal,
+  refresh,
+}) {
+  const quarters = coveringQuarters(periodStart, periodEnd);
+  const results = await settleWithConcurrency(quarters, 4, (q) =>
+    runFraudCheck({ hospitalId, ...q, signal, refresh })
+  );
+  signal?.throwIfAborted();
+  const failed = results.find((r) => r.status === "rejected");
+  if (failed) throw failed.reason;
+  return combineQuarterReports(
+    results.map((r) => r.value),
+    quarters,
+    periodStart,
+    periodEnd
+  );
 }
 
 // ---------------- Top suspicious cases ----------------
 
-export async function getTopCases({
+// Optional case filters -> backend query param names.
+const CASE_FILTER_PARAMS = {
+  sort: "sort_by",
+  order: "order",
+  riskBand: "risk_band",
+  drugName: "drug_name",
+  doctorId: "doctor_id",
+  startDate: "start_date",
+  endDate: "end_date",
+};
+
+export async function getCasesPage({
   hospitalId,
   year,
   quarter,
+  periodStart,
+  periodEnd,
   limit = 8,
+  offset = 0,
+  signal,
+  onRevalidate,
+  refresh,
+  ...filters
 }) {
+  if (periodStart) {
+    return getRangeCasesPage({
+      hospitalId,
+      periodStart,
+      periodEnd,
+      limit,
+      offset,
+      signal,
+      onRevalidate,
+      refresh,
+      ...filters,
+    });
+  }
+
   const params = new URLSearchParams({
     hospital_id: hospitalId,
     year: String(year),
@@ -93,11 +199,232 @@ export async function getTopCases({
   if (quarter !== undefined) {
     params.append("quarter", String(quarter));
   }
+  if (offset > 0) {
+    params.append("offset", String(offset));
+  }
+  for (const [key, param] of Object.entries(CASE_FILTER_PARAMS)) {
+    if (filters[key]) params.append(param, String(filters[key]));
+  }
 
-  const data = await getJson(
-    `${API_BASE_URL}/api/top-cases?${params.toString()}`
+  const { data, cachedAt } = await cachedGetJson(
+    `cases:${periodKey(hospitalId, year, quarter)}?${params.toString()}`,
+    `${API_BASE_URL}/api/top-cases?${params.toString()}`,
+    {
+      signal,
+      refresh,
+      onRevalidate:
+        onRevalidate &&
+        ((fresh) => onRevalidate(normalizePage(fresh, offset, limit))),
+    }
   );
 
-  // backend returns: { hospital_id, year, quarter, cases: [...] }
-  return data.cases || [];
+  return { ...normalizePage(data, offset, limit), cachedAt };
+}
+
+function normalizePage(data, offset, limit) {
+  const { value, warnings } = normalizeTopCases(data);
+  return { ...value, offset, limit, warnings, cachedAt: null };
+}
+
+// Case fields behind the CASE_SORT_FIELDS values.
+const SORT_FIELDS = {
+  score: "final_fraud_score",
+  date: "date",
+  quantity: "quantity",
+  drug: "drug_name",
+};
+
+function compareCases(sort = "score", order = "desc") {
+  const field = SORT_FIELDS[sort] || SORT_FIELDS.score;
+  const direction = order === "asc" ? 1 : -1;
+  return (a, b) => {
+    const x = a[field];
+    const y = b[field];
+    // missing values last in either order
+    const xMissing = x === null || x === undefined || x === "";
+    const yMissing = y === null || y === undefined || y === "";
+    if (xMissing || yMissing) return xMissing - yMissing;
+    if (x === y) return 0;
+    return (x < y ? -1 : 1) * direction;
+  };
+}
+
+// The case endpoint takes a year plus start_date/end_date filters, so a
+// range is the year's cases narrowed to it. The explorer's own date
+// filters can only narrow the range further. Ranges spanning years are
+// fetched per year and merged; each year's first offset + limit cases are
+// enough to know the page.
+async function getRangeCasesPage({
+  hospitalId,
+  periodStart,
+  periodEnd,
+  limit,
+  offset,
+  signal,
+  onRevalidate,
+  refresh,
+  ...filters
+}) {
+  const startDate =
+    filters.startDate > periodStart ? filters.startDate : periodStart;
+  const endDate =
+    filters.endDate && filters.endDate < periodEnd
+      ? filters.endDate
+      : periodEnd;
+  if (startDate > endDate) {
+    return { cases: [], total: 0, offset, limit, warnings: [], cachedAt: null };
+  }
+
+  const firstYear = Number(startDate.slice(0, 4));
+  const lastYear = Number(endDate.slice(0, 4));
+  const query = { hospitalId, signal, refresh, ...filters, startDate, endDate };
+  if (DATE_RANGES_SUPPORTED || firstYear === lastYear) {
+    return getCasesPage({
+      ...query,
+      year: lastYear,
+      limit,
+      offset,
+      onRevalidate,
+    });
+  }
+
+  const years = [];
+  for (let year = firstYear; year <= lastYear; year++) years.push(year);
+  const pages = await Promise.all(
+    years.map((year) =>
+      getCasesPage({ ...query, year, offset: 0, limit: offset + limit })
+    )
+  );
+  const cachedTimes = pages.map((p) => p.cachedAt).filter(Boolean);
+  return {
+    cases: pages
+      .flatMap((p) => p.cases)
+      .sort(compareCases(filters.sort, filters.order))
+      .slice(offset, offset + limit),
+    total: pages.every((p) => p.total !== null)
+      ? pages.reduce((sum, p) => sum + p.total, 0)
+      : null,
+    offset,
+    limit,
+    warnings: pages.flatMap((p) => p.warnings),
+    cachedAt: cachedTimes.length ? Math.min(...cachedTimes) : null,
+  };
+}
+
+export async function getTopCases(options) {
+  const page = await getCasesPage(options);
+  return page.cases;
+}
+
+// Pages through every case matching the filters, for exports.
+export async function getAllCases({
+  pageSize = 100,
+  maxCases = 5000,
+  ...options
+}) {
+  const cases = [];
+  const seen = new Set();
+  for (let offset = 0; offset < maxCases; offset += pageSize) {
+    const page = await getCasesPage({ ...options, offset, limit: pageSize });
+    // a backend that ignores offset keeps returning the first page
+    const fresh = page.cases.filter((c) => !seen.has(c.prescription_id));
+    if (fresh.length === 0) break;
+    fresh.forEach((c) => seen.add(c.prescription_id));
+    cases.push(...fresh);
+    const done =
+      page.total !== null
+        ? offset + pageSize >= page.total
+        : page.cases.length < pageSize;
+    if (done) break;
+  }
+  return cases.slice(0, maxCases);
+}
+
+// ---------------- Case triage ----------------
+
+export async function saveCaseTriage(record) {
+  // backend accepts: { prescription_id, status, note, reviewer, updated_at }
+  return postJson(`${API_BASE_URL}/api/case-triage`, record);
+}
+
+// ---------------- Multi-hospital comparison ----------------
+
+export async function compareHospitals({
+  hospitalIds,
+  year,
+  quarter,
+  signal,
+}) {
+  const results = await Promise.allSettled(
+    hospitalIds.map((hospitalId) =>
+      runFraudCheck({ hospitalId, year, quarter, signal })
+    )
+  );
+  signal?.throwIfAborted();
+
+  // Keep the hospitals that loaded; report the rest by id so one slow
+  // or failing site doesn't hide the whole comparison.
+  const reports = [];
+  const failures = [];
+  results.forEach((result, index) => {
+    if (result.status === "fulfilled") {
+      reports.push(result.value);
+    } else {
+      failures.push({
+        hospitalId: hospitalIds[index],
+        message: describeApiError(result.reason, "Request failed"),
+      });
+    }
+  });
+
+  return { reports, failures };
+}
+
+// ---------------- Quarterly history ----------------
+
+// Runs fn over items with at most `limit` calls in flight, so a long
+// history doesn't flood the backend. Resolves like Promise.allSettled.
+async function settleWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        const value = await fn(items[index]);
+        results[index] = { status: "fulfilled", value };
+      } catch (reason) {
+        results[index] = { status: "rejected", reason };
+      }
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+export async function getQuarterlyHistory({ hospitalId, years, signal }) {
+  const periods = [...years]
+    .sort((a, b) => a - b)
+    .flatMap((year) => [1, 2, 3, 4].map((quarter) => ({ year, quarter })));
+
+  const results = await settleWithConcurrency(periods, 4, (p) =>
+    runFraudCheck({ hospitalId, year: p.year, quarter: p.quarter, signal })
+  );
+  signal?.throwIfAborted();
+
+  // one entry per quarter, oldest first; report is null when it failed
+  return periods.map((p, index) => {
+    const result = results[index];
+    return result.status === "fulfilled"
+      ? { ...p, report: result.value, error: null }
+      : {
+          ...p,
+          report: null,
+          error: describeApiError(result.reason, "Request failed"),
+        };
+  });
 }
@@ -0,0 +1,508 @@
+// src/fraudApi.test.js
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  compareHospitals,
+  getAllCases,
+  getCasesPage,
+  getHospitals,
+  getQuarterlyHistory,
+  getTopCases,
+  getYears,
+  runFraudCheck,
+  saveCaseTriage,
+} from "./fraudApi";
+import { HttpError, MalformedResponseError } from "./apiClient";
+import { jsonResponse, requestsTo, stubFetch } from "./test/fetchMock";
+import hospitalsFixture from "./test/fixtures/hospitals.json";
+import yearsFixture from "./test/fixtures/years.json";
+import reportFixture from "./test/fixtures/fraud-report.json";
+import legacyReportFixture from "./test/fixtures/fraud-report-legacy.json";
+import casesFixture from "./test/fixtures/top-cases.json";
+
+// withWarnings() logs data-quality problems; keep the output readable
+beforeEach(() => {
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+// A /api/top-cases handler over `cases` that honours offset and limit.
+function pagedCases(cases, { total = cases.length } = {}) {
+  return (url) => {
+    const offset = Number(url.searchParams.get("offset") || 0);
+    const limit = Number(url.searchParams.get("limit"));
+    return { total, cases: cases.slice(offset, offset + limit) };
+  };
+}
+
+function makeCases(count, prefix = "RX") {
+  return Array.from({ length: count }, (_, i) => ({
+    ...casesFixture.cases[0],
+    prescription_id: `${prefix}-${i + 1}`,
+  }));
+}
+
+describe("getHospitals", () => {
+  it("normalizes the hospital list and drops entries without an id", async () => {
+    stubFetch({ "/api/hospitals": hospitalsFixture });
+
+    const hospitals = await getHospitals();
+
+    expect(hospitals).toEqual([
+      {
+        id: 1,
+        name: "King Fahad Hospital",
+        label: "King Fahad Hospital (Riyadh)",
+      },
+      {
+        id: 2,
+        name: "Al Noor Specialist Hospital",
+        label: "Al Noor Specialist Hospital",
+        region: "Makkah",
+      },
+      {
+        id: "3",
+        name: "Dammam Medical Complex",
+        label: "Dammam Medical Complex",
+      },
+    ]);
+    expect(console.warn).toHaveBeenCalledWith(
+      "Data quality:",
+      expect.arrayContaining(["hospitals[3]: dropped, no id"])
+    );
+  });
+
+  it("answers repeat calls from the response cache", async () => {
+    const fetch = stubFetch({ "/api/hospitals": hospitalsFixture });
+
+    await getHospitals();
+    const again = await getHospitals();
+
+    expect(again).toHaveLength(3);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("getYears", () => {
+  it("returns the years as sorted numbers", async () => {
+    stubFetch({ "/api/years": yearsFixture });
+
+    expect(await getYears()).toEqual([2022, 2023, 2024]);
+  });
+
+  it("returns an empty list when the payload has no years", async () => {
+    stubFetch({ "/api/years": { available: [] } });
+
+    expect(await getYears()).toEqual([]);
+  });
+});
+
+describe("runFraudCheck", () => {
+  it("requests one quarter and maps the report fields", async () => {
+    const fetch = stubFetch({ "/api/fraud-report": reportFixture });
+
+    const report = await runFraudCheck({
+      hospitalId: 1,
+      year: 2024,
+      quarter: 2,
+    });
+
+    const [url] = requestsTo(fetch, "/api/fraud-report");
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      hospital_id: "1",
+      year: "2024",
+      quarter: "2",
+    });
+    expect(report).toMatchObject({
+      hospitalId: 1,
+      hospitalName: "King Fahad Hospital",
+      year: 2024,
+      quarter: 2,
+      totalPrescriptions: 4820,
+      highRiskCases: 37,
+      mediumRiskCases: 112,
+      lowRiskCases: 4671,
+      controlledDrugUse: 603,
+      activeAlerts: 9,
+      hospitalRiskLevel: "MEDIUM",
+      riskDistribution: { High: 37, Medium: 112, Low: 4671 },
+      warnings: [],
+      cachedAt: null,
+    });
+    expect(report.trend.map((p) => p.month)).toEqual([
+      "2024-04",
+      "2024-05",
+      "2024-06",
+    ]);
+    expect(report.topSuspiciousDrugs[0]).toEqual({
+      drug_name: "Oxycodone",
+      avg_fraud_score: 0.81,
+    });
+  });
+
+  it("leaves out the quarter for a full year", async () => {
+    const fetch = stubFetch({ "/api/fraud-report": reportFixture });
+
+    await runFraudCheck({ hospitalId: 1, year: 2024 });
+
+    const [url] = requestsTo(fetch, "/api/fraud-report");
+    expect(url.searchParams.has("quarter")).toBe(false);
+  });
+
+  it("accepts the legacy field names and an array risk distribution", async () => {
+    stubFetch({ "/api/fraud-report": legacyReportFixture });
+
+    const report = await runFraudCheck({ hospitalId: 2, year: 2023 });
+
+    expect(report.hospitalRiskLevel).toBe("LOW");
+    expect(report.trend).toHaveLength(3);
+    expect(report.totalPrescriptions).toBe(2150);
+    expect(report.riskDistribution).toEqual({
+      High: 12,
+      Medium: 40,
+      Low: 2098,
+    });
+    expect(report.warnings).toEqual(
+      expect.arrayContaining([
+        'fraud-report.total_prescriptions: expected a number, got string "2150"',
+        'fraud-report.risk_distribution.Medium: expected a number, got string "40"',
+      ])
+    );
+  });
+
+  it("fills defaults and warns when the payload is not an object", async () => {
+    stubFetch({ "/api/fraud-report": [] });
+
+    const report = await runFraudCheck({ hospitalId: 1, year: 2024 });
+
+    expect(report.totalPrescriptions).toBe(0);
+    expect(report.hospitalRiskLevel).toBe("");
+    expect(report.riskDistribution).toEqual({ High: 0, Medium: 0, Low: 0 });
+    expect(report.warnings[0]).toBe(
+      "fraud-report: expected an object, got array"
+    );
+  });
+
+  it("loads a date range as its covering quarters and combines them", async () => {
+    const fetch = stubFetch({
+      "/api/fraud-report": (url) => ({
+        ...reportFixture,
+        quarter: Number(url.searchParams.get("quarter")),
+      }),
+    });
+
+    const report = await runFraudCheck({
+      hospitalId: 1,
+      periodStart: "2024-05-01",
+      periodEnd: "2024-08-31",
+    });
+
+    const quarters = requestsTo(fetch, "/api/fraud-report").map((url) =>
+      url.searchParams.get("quarter")
+    );
+    expect(quarters.sort()).toEqual(["2", "3"]);
+    expect(report).toMatchObject({
+      approximate: true,
+      coveredQuarters: ["2024 Q2", "2024 Q3"],
+      periodStart: "2024-05-01",
+      periodEnd: "2024-08-31",
+      totalPrescriptions: 2 * 4820,
+      riskDistribution: { High: 74, Medium: 224, Low: 9342 },
+    });
+    // April is outside the range
+    expect(report.trend.map((p) => p.month)).toEqual(["2024-05", "2024-06"]);
+  });
+
+  it("rejects with an HttpError when the server fails", async () => {
+    stubFetch({
+      "/api/fraud-report": new Response("Internal error", { status: 500 }),
+    });
+
+    const request = runFraudCheck({ hospitalId: 1, year: 2024 });
+
+    await expect(request).rejects.toBeInstanceOf(HttpError);
+    await expect(request).rejects.toMatchObject({ status: 500 });
+  });
+
+  it("rejects with a MalformedResponseError on invalid JSON", async () => {
+    stubFetch({
+      "/api/fraud-report": new Response("<html>Bad gateway</html>"),
+    });
+
+    await expect(
+      runFraudCheck({ hospitalId: 1, year: 2024 })
+    ).rejects.toBeInstanceOf(MalformedResponseError);
+  });
+});
+
+describe("getCasesPage", () => {
+  it("sends paging and filters and normalizes the cases", async () => {
+    const fetch = stubFetch({ "/api/top-cases": casesFixture });
+
+    const page = await getCasesPage({
+      hospitalId: 1,
+      year: 2024,
+      quarter: 2,
+      limit: 25,
+      offset: 50,
+      sort: "date",
+      order: "asc",
+      riskBand: "High",
+      drugName: "Oxy",
+      doctorId: "",
+    });
+
+    const [url] = requestsTo(fetch, "/api/top-cases");
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      hospital_id: "1",
+      year: "2024",
+      quarter: "2",
+      limit: "25",
+      offset: "50",
+      sort_by: "date",
+      order: "asc",
+      risk_band: "High",
+      drug_name: "Oxy",
+    });
+    expect(page).toMatchObject({ total: 3, offset: 50, limit: 25 });
+    expect(page.cases.map((c) => c.prescription_id)).toEqual([
+      "RX-24-00981",
+      "RX-24-01377",
+    ]);
+    // extra fields are kept for the drill-down
+    expect(page.cases[0]).toMatchObject({
+      days_supply: 10,
+      is_controlled: true,
+    });
+    expect(page.cases[1].quantity).toBe(90);
+    expect(page.warnings).toContain(
+      "top-cases.cases[2]: dropped, no prescription_id"
+    );
+  });
+
+  it("keeps unknown case fields but reports them once", async () => {
+    const [first, second] = casesFixture.cases;
+    stubFetch({
+      "/api/top-cases": {
+        ...casesFixture,
+        cases: [
+          { ...first, pharmacy_code: "PH-1" },
+          { ...second, pharmacy_code: "PH-2", refill: true },
+        ],
+      },
+    });
+
+    const page = await getCasesPage({ hospitalId: 1, year: 2024 });
+
+    expect(page.cases[0].pharmacy_code).toBe("PH-1");
+    expect(page.warnings.filter((w) => w.includes("unknown field"))).toEqual([
+      "top-cases.cases: unknown field(s) pharmacy_code, refill",
+    ]);
+  });
+
+  it("merges the years of a range that spans New Year", async () => {
+    const byYear = {
+      2023: [
+        {
+          ...casesFixture.cases[0],
+          prescription_id: "A",
+          date: "2023-12-20",
+          final_fraud_score: 0.8,
+        },
+      ],
+      2024: [
+        {
+          ...casesFixture.cases[0],
+          prescription_id: "B",
+          date: "2024-01-03",
+          final_fraud_score: 0.95,
+        },
+        {
+          ...casesFixture.cases[0],
+          prescription_id: "C",
+          date: "2024-01-09",
+          final_fraud_score: 0.6,
+        },
+      ],
+    };
+    const fetch = stubFetch({
+      "/api/top-cases": (url) => ({
+        total: byYear[url.searchParams.get("year")].length,
+        cases: byYear[url.searchParams.get("year")],
+      }),
+    });
+
+    const page = await getCasesPage({
+      hospitalId: 1,
+      periodStart: "2023-12-01",
+      periodEnd: "2024-01-31",
+      limit: 2,
+    });
+
+    const requests = requestsTo(fetch, "/api/top-cases");
+    expect(requests.map((url) => url.searchParams.get("year")).sort()).toEqual([
+      "2023",
+      "2024",
+    ]);
+    expect(requests[0].searchParams.get("start_date")).toBe("2023-12-01");
+    expect(requests[0].searchParams.get("end_date")).toBe("2024-01-31");
+    expect(page.total).toBe(3);
+    expect(page.cases.map((c) => c.prescription_id)).toEqual(["B", "A"]);
+  });
+
+  it("sorts cases without a score last when merging years", async () => {
+    const withScore = (id, date, score) => ({
+      ...casesFixture.cases[0],
+      prescription_id: id,
+      date,
+      final_fraud_score: score,
+    });
+    const byYear = {
+      2023: [withScore("A", "2023-12-05", null)],
+      2024: [
+        withScore("B", "2024-01-03", null),
+        withScore("C", "2024-01-09", 0.6),
+      ],
+    };
+    stubFetch({
+      "/api/top-cases": (url) => ({
+        total: byYear[url.searchParams.get("year")].length,
+        cases: byYear[url.searchParams.get("year")],
+      }),
+    });
+
+    const page = await getCasesPage({
+      hospitalId: 1,
+      periodStart: "2023-12-01",
+      periodEnd: "2024-01-31",
+      limit: 3,
+    });
+
+    expect(page.cases.map((c) => c.prescription_id)).toEqual(["C", "A", "B"]);
+  });
+});
+
+describe("getTopCases", () => {
+  it("returns only the cases of the page", async () => {
+    stubFetch({ "/api/top-cases": casesFixture });
+
+    const cases = await getTopCases({ hospitalId: 1, year: 2024 });
+
+    expect(cases).toHaveLength(2);
+    expect(cases[0].prescription_id).toBe("RX-24-00981");
+  });
+});
+
+describe("getAllCases", () => {
+  it("pages until the reported total", async () => {
+    const fetch = stubFetch({ "/api/top-cases": pagedCases(makeCases(250)) });
+
+    const cases = await getAllCases({ hospitalId: 1, year: 2024 });
+
+    expect(cases).toHaveLength(250);
+    expect(requestsTo(fetch, "/api/top-cases")).toHaveLength(3);
+  });
+
+  it("stops when the backend ignores the offset", async () => {
+    const fetch = stubFetch({
+      "/api/top-cases": { total: null, cases: makeCases(100) },
+    });
+
+    const cases = await getAllCases({ hospitalId: 1, year: 2024 });
+
+    expect(cases).toHaveLength(100);
+    expect(requestsTo(fetch, "/api/top-cases")).toHaveLength(2);
+  });
+
+  it("caps the export at maxCases", async () => {
+    stubFetch({ "/api/top-cases": pagedCases(makeCases(300)) });
+
+    const cases = await getAllCases({
+      hospitalId: 1,
+      year: 2024,
+      pageSize: 50,
+      maxCases: 120,
+    });
+
+    expect(cases).toHaveLength(120);
+  });
+});
+
+describe("saveCaseTriage", () => {
+  it("posts the record as JSON", async () => {
+    const record = {
+      prescription_id: "RX-24-00981",
+      status: "confirmed_fraud",
+      note: "Pharmacy confirmed duplicate fills",
+      reviewer: "Local user",
+      updated_at: "2024-07-01T09:00:00.000Z",
+    };
+    const fetch = stubFetch({
+      "/api/case-triage": (url, init) => jsonResponse(JSON.parse(init.body)),
+    });
+
+    expect(await saveCaseTriage(record)).toEqual(record);
+    const [, init] = fetch.mock.calls[0];
+    expect(init.method).toBe("POST");
+    expect(init.headers["Content-Type"]).toBe("application/json");
+  });
+});
+
+describe("compareHospitals", () => {
+  it("keeps the hospitals that loaded and lists the failures", async () => {
+    stubFetch({
+      "/api/fraud-report": (url) =>
+        url.searchParams.get("hospital_id") === "2"
+          ? new Response("Unavailable", { status: 503 })
+          : {
+              ...reportFixture,
+              hospital_id: Number(url.searchParams.get("hospital_id")),
+            },
+    });
+
+    const { reports, failures } = await compareHospitals({
+      hospitalIds: ["1", "2", "3"],
+      year: 2024,
+      quarter: 2,
+    });
+
+    expect(reports.map((r) => r.hospitalId)).toEqual([1, 3]);
+    expect(failures).toEqual([
+      {
+        hospitalId: "2",
+        message: "The server had a problem (503). Please try again later.",
+      },
+    ]);
+  });
+});
+
+describe("getQuarterlyHistory", () => {
+  it("returns every quarter oldest first, with errors for failed ones", async () => {
+    stubFetch({
+      "/api/fraud-report": (url) =>
+        url.searchParams.get("year") === "2024" &&
+        url.searchParams.get("quarter") === "4"
+          ? new Response("", { status: 404 })
+          : reportFixture,
+    });
+
+    const history = await getQuarterlyHistory({
+      hospitalId: 1,
+      years: [2024, 2023],
+    });
+
+    expect(history.map((h) => `${h.year} Q${h.quarter}`)).toEqual([
+      "2023 Q1",
+      "2023 Q2",
+      "2023 Q3",
+      "2023 Q4",
+      "2024 Q1",
+      "2024 Q2",
+      "2024 Q3",
+      "2024 Q4",
+    ]);
+    expect(history[0].report.totalPrescriptions).toBe(4820);
+    expect(history[7]).toMatchObject({
+      report: null,
+      error: "No data was found for this selection.",
+    });
+  });
+});
@@ -0,0 +1,174 @@
+// src/hospitalSearch.js
+//
+// Searching and organising the hospital list on the filter screen: fuzzy
+// matching on name/label, grouping by region or type when the backend
+// sends them, and the locally stored favourites, recently viewed
+// hospitals and last-used report selection.
+
+const FAVOURITES_KEY = "fraud-dashboard:favourite-hospitals";
+const RECENTS_KEY = "fraud-dashboard:recent-hospitals";
+const LAST_SELECTION_KEY = "fraud-dashboard:last-selection";
+
+const MAX_RECENTS = 5;
+
+// optional hospital fields to group by, in order of preference
+export const GROUP_FIELDS = ["region", "type"];
+
+// ---------------- Matching ----------------
+
+// lower case, without accents or Arabic diacritics
+function fold(text) {
+  return String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, "")
+    .toLowerCase()
+    .trim();
+}
+
+// How well `query` matches `text`, higher is better, or null for no
+// match. Substrings beat scattered letters, and matches at the start of
+// the text or of a word beat matches in the middle of one.
+export function fuzzyScore(query, text) {
+  const q = fold(query);
+  const s = fold(text);
+  if (!q) return 0;
+  if (!s) return null;
+
+  const index = s.indexOf(q);
+  if (index === 0) return 1000 - s.length;
+  if (index > 0) {
+    const wordStart = /[\s\-_/(]/.test(s[index - 1]);
+    return (wordStart ? 800 : 600) - index;
+  }
+
+  // every query letter in order; reward runs, penalise gaps
+  let score = 0;
+  let run = 0;
+  let from = 0;
+  for (const ch of q) {
+    if (ch === " ") continue;
+    const at = s.indexOf(ch, from);
+    if (at === -1) return null;
+    run = at === from ? run + 1 : 1;
+    score += run * 2 - (at - from);
+    from = at + 1;
+  }
+  return Math.min(score, 500);
+}
+
+function hospitalScore(query, hospital) {
+  const scores = [hospital.name, hospital.label]
+    .map((text) => fuzzyScore(query, text))
+    .filter((score) => score !== null);
+  return scores.length ? Math.max(...scores) : null;
+}
+
+// Hospitals matching `query`, best match first.
+export function searchHospitals(hospitals, query) {
+  if (!fold(query)) return hospitals;
+  return hospitals
+    .map((hospital) => ({ hospital, score: hospitalScore(query, hospital) }))
+    .filter((m) => m.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map((m) => m.hospital);
+}
+
+// ---------------- Grouping ----------------
+
+// First of GROUP_FIELDS that any hospital has a value for, or null.
+export function groupField(hospitals) {
+  return (
+    GROUP_FIELDS.find((field) =>
+      hospitals.some((h) => h[field] !== undefined && h[field] !== "")
+    ) || null
+  );
+}
+
+// [{ name, hospitals }] in first-seen order; hospitals without a value
+// for the field go into a trailing group named "".
+export function groupHospitals(hospitals, field) {
+  const groups = new Map();
+  for (const hospital of hospitals) {
+    const value = hospital[field];
+    const name = value === undefined || value === null ? "" : String(value);
+    if (!groups.has(name)) groups.set(name, []);
+    groups.get(name).push(hospital);
+  }
+  const ungrouped = groups.get("");
+  groups.delete("");
+  const result = [...groups].map(([name, list]) => ({
+    name,
+    hospitals: list,
+  }));
+  if (ungrouped) result.push({ name: "", hospitals: ungrouped });
+  return result;
+}
+
+// ---------------- Storage ----------------
+
+function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function writeJson(key, value) {
+  localStorage.setItem(key, JSON.stringify(value));
+}
+
+// hospital ids are kept as strings, like <select> values
+export function loadFavouriteHospitals() {
+  return readJson(FAVOURITES_KEY, []);
+}
+
+export function toggleFavouriteHospital(id) {
+  const key = String(id);
+  const favourites = loadFavouriteHospitals();
+  const updated = favourites.includes(key)
+    ? favourites.filter((f) => f !== key)
+    : [...favourites, key];
+  writeJson(FAVOURITES_KEY, updated);
+  return updated;
+}
+
+// most recent first
+export function loadRecentHospitals() {
+  return readJson(RECENTS_KEY, []);
+}
+
+export function recordRecentHospital(id) {
+  const key = String(id);
+  const updated = [
+    key,
+    ...loadRecentHospitals().filter((r) => r !== key),
+  ].slice(0, MAX_RECENTS);
+  writeJson(RECENTS_KEY, updated);
+  return updated;
+}
+
+// report parameters of the last report run plus the period preset it
+// was picked with (see periods.js), or null
+export function loadLastSelection() {
+  return readJson(LAST_SELECTION_KEY, null);
+}
+
+export function saveLastSelection({
+  hospitalId,
+  year,
+  quarter,
+  periodStart = "",
+  periodEnd = "",
+  preset,
+}) {
+  writeJson(LAST_SELECTION_KEY, {
+    hospitalId: String(hospitalId),
+    year,
+    quarter,
+    periodStart,
+    periodEnd,
+    preset,
+  });
+}
@@ -0,0 +1,158 @@
+// src/i18n.js
+//
+// Message catalogs, the active locale and locale-aware formatting. The
+// locale lives at module level so plain modules (API errors, PDF export)
+// can translate too; components re-render through useI18n().
+//
+// Catalog values are strings with {name} placeholders, or plural objects
+// keyed by Intl.PluralRules categories ("zero", "one", "two", "few",
+// "many", "other") that are picked with the `count` param.
+
+import { useSyncExternalStore } from "react";
+import en from "./locales/en";
+import ar from "./locales/ar";
+
+const LOCALE_KEY = "fraud-dashboard:locale";
+
+export const LOCALES = [
+  { value: "en", label: "English", dir: "ltr", catalog: en },
+  { value: "ar", label: "العربية", dir: "rtl", catalog: ar },
+];
+
+const DEFAULT_LOCALE = "en";
+
+function localeInfo(locale) {
+  return LOCALES.find((l) => l.value === locale) || LOCALES[0];
+}
+
+function initialLocale() {
+  const saved = localStorage.getItem(LOCALE_KEY);
+  if (saved && LOCALES.some((l) => l.value === saved)) return saved;
+  const browser = (navigator.language || "").slice(0, 2);
+  return LOCALES.some((l) => l.value === browser) ? browser : DEFAULT_LOCALE;
+}
+
+let currentLocale = initialLocale();
+const listeners = new Set();
+
+function applyToDocument() {
+  document.documentElement.lang = currentLocale;
+  document.documentElement.dir = localeInfo(currentLocale).dir;
+}
+
+applyToDocument();
+
+export function getLocale() {
+  return currentLocale;
+}
+
+export function getDirection() {
+  return localeInfo(currentLocale).dir;
+}
+
+export function setLocale(locale) {
+  if (locale === currentLocale || !LOCALES.some((l) => l.value === locale)) {
+    return;
+  }
+  currentLocale = locale;
+  localStorage.setItem(LOCALE_KEY, locale);
+  applyToDocument();
+  for (const listener of listeners) listener();
+}
+
+export function subscribeLocale(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// ---------------- Messages ----------------
+
+function lookup(catalog, key) {
+  let node = catalog;
+  for (const part of key.split(".")) {
+    if (node === null || typeof node !== "object") return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+const pluralRules = new Map();
+
+function pluralForm(message, count, locale) {
+  if (!pluralRules.has(locale)) {
+    pluralRules.set(locale, new Intl.PluralRules(locale));
+  }
+  // Arabic uses "zero" for 0; catalogs without it fall through to other
+  const category = pluralRules.get(locale).select(count);
+  return message[category] ?? message.other;
+}
+
+// Translates `key` for the current locale, falling back to English and
+// then to the key itself, so a missing entry is visible but harmless.
+export function t(key, params = {}) {
+  let locale = currentLocale;
+  let message = lookup(localeInfo(locale).catalog, key);
+  if (message === undefined) {
+    locale = DEFAULT_LOCALE;
+    message = lookup(en, key);
+  }
+  if (message === undefined) return key;
+  if (typeof message === "object") {
+    message = pluralForm(message, Number(params.count) || 0, locale);
+  }
+  return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? formatParam(name, params[name]) : match
+  );
+}
+
+// Label for a value the backend or a module constant supplies, such as a
+// risk level or triage status: `namespace.value` when the catalogs have
+// it, otherwise the value itself.
+export function tValue(namespace, value) {
+  if (value === null || value === undefined || value === "") return value;
+  const key = `${namespace}.${value}`;
+  const message = t(key);
+  return message === key ? String(value) : message;
+}
+
+// Counts get locale digits and grouping; other params (years, IDs) are
+// inserted as they are, so format them first where that matters.
+function formatParam(name, value) {
+  return name === "count" && typeof value === "number"
+    ? formatNumber(value)
+    : String(value);
+}
+
+// ---------------- Formatting ----------------
+
+export function formatNumber(value, options) {
+  if (typeof value !== "number" || Number.isNaN(value)) return "–";
+  return new Intl.NumberFormat(currentLocale, options).format(value);
+}
+
+export function formatDate(value, options = { dateStyle: "medium" }) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value ?? "–");
+  return new Intl.DateTimeFormat(currentLocale, options).format(date);
+}
+
+export function formatDateTime(value) {
+  return formatDate(value, { dateStyle: "medium", timeStyle: "short" });
+}
+
+// ---------------- React ----------------
+
+// Re-renders the caller when the language changes. The returned helpers
+// are the module functions; they always use the current locale.
+export function useI18n() {
+  const locale = useSyncExternalStore(subscribeLocale, getLocale);
+  return {
+    locale,
+    dir: localeInfo(locale).dir,
+    t,
+    tValue,
+    formatNumber,
+    formatDate,
+    formatDateTime,
+  };
+}
@@ -0,0 +1,175 @@
+// src/liveUpdates.js
+//
+// Live mode for a loaded report: refreshes it on an interval, or whenever
+// a server-sent events / WebSocket endpoint says something changed, and
+// works out what moved since the previous refresh. Nothing runs while the
+// browser tab is hidden; the report is refreshed once it is shown again.
+//
+// Stream messages are only change notifications. The data itself is
+// always re-fetched through the authorized API, so the stream carries no
+// patient data and needs no bearer token.
+
+// e.g. "wss://host/api/live?hospital_id={hospitalId}&year={year}"; http(s)
+// URLs are opened as server-sent events, ws(s) URLs as WebSockets.
+const STREAM_URL_TEMPLATE = import.meta.env.VITE_LIVE_STREAM_URL || "";
+
+const SETTINGS_KEY = "fraud-dashboard:live";
+
+// seconds
+export const DEFAULT_LIVE_INTERVAL =
+  Number(import.meta.env.VITE_LIVE_INTERVAL_SECONDS) || 60;
+
+export const LIVE_INTERVALS = [
+  ...new Set([15, 30, 60, 300, DEFAULT_LIVE_INTERVAL]),
+].sort((a, b) => a - b);
+
+// report fields compared between refreshes
+export const LIVE_METRICS = [
+  "totalPrescriptions",
+  "highRiskCases",
+  "mediumRiskCases",
+  "lowRiskCases",
+  "controlledDrugUse",
+  "activeAlerts",
+];
+
+export const hasLiveStream = STREAM_URL_TEMPLATE !== "";
+
+// Stream URL for one report, with {hospitalId}, {year}, {quarter},
+// {periodStart} and {periodEnd} filled in (empty when not applicable).
+export function liveStreamUrl({
+  hospitalId,
+  year,
+  quarter,
+  periodStart,
+  periodEnd,
+}) {
+  const values = {
+    hospitalId,
+    year,
+    quarter: quarter ?? "",
+    periodStart: periodStart ?? "",
+    periodEnd: periodEnd ?? "",
+  };
+  return STREAM_URL_TEMPLATE.replace(/\{(\w+)\}/g, (match, name) =>
+    name in values ? encodeURIComponent(values[name]) : match
+  );
+}
+
+// { enabled, intervalSeconds }, remembered across sessions
+export function loadLiveSettings() {
+  const defaults = { enabled: false, intervalSeconds: DEFAULT_LIVE_INTERVAL };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...defaults, ...saved };
+  } catch {
+    return defaults;
+  }
+}
+
+export function saveLiveSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// ---------------- Changes ----------------
+
+// { metric: change } for every metric that differs between two reports.
+export function reportDeltas(previous, next) {
+  const deltas = {};
+  if (!previous || !next) return deltas;
+  for (const key of LIVE_METRICS) {
+    const before = previous[key];
+    const after = next[key];
+    if (typeof before === "number" && typeof after === "number") {
+      if (after !== before) deltas[key] = after - before;
+    }
+  }
+  return deltas;
+}
+
+// prescription_ids in nextCases that previousCases did not have.
+export function newCaseIds(previousCases, nextCases) {
+  const known = new Set(previousCases.map((c) => c.prescription_id));
+  return new Set(
+    nextCases
+      .map((c) => c.prescription_id)
+      .filter((id) => !known.has(id))
+  );
+}
+
+// ---------------- Page visibility ----------------
+
+export function isPageVisible() {
+  return document.visibilityState !== "hidden";
+}
+
+export function subscribeVisibility(listener) {
+  document.addEventListener("visibilitychange", listener);
+  return () => document.removeEventListener("visibilitychange", listener);
+}
+
+// ---------------- Scheduling ----------------
+
+function openStream(url, onMessage, onDrop) {
+  if (/^wss?:/i.test(url)) {
+    const socket = new WebSocket(url);
+    socket.onmessage = onMessage;
+    socket.onclose = (e) => {
+      if (!e.wasClean) onDrop();
+    };
+    return socket;
+  }
+  // EventSource reconnects on its own after errors
+  const source = new EventSource(url);
+  source.onmessage = onMessage;
+  return source;
+}
+
+// Calls onRefresh every intervalSeconds, or on every stream message when
+// streamUrl is given, until the returned function is called. A WebSocket
+// that drops falls back to polling until the tab is next shown.
+export function startLiveUpdates({ intervalSeconds, streamUrl, onRefresh }) {
+  let timer = null;
+  let stream = null;
+
+  function poll() {
+    timer = setInterval(onRefresh, intervalSeconds * 1000);
+  }
+
+  function connect() {
+    if (!isPageVisible()) return;
+    if (streamUrl) {
+      stream = openStream(streamUrl, () => onRefresh(), () => {
+        stream = null;
+        poll();
+      });
+    } else {
+      poll();
+    }
+  }
+
+  function disconnect() {
+    clearInterval(timer);
+    timer = null;
+    if (stream) {
+      stream.onclose = null;
+      stream.close();
+      stream = null;
+    }
+  }
+
+  function onVisibilityChange() {
+    disconnect();
+    if (isPageVisible()) {
+      onRefresh();
+      connect();
+    }
+  }
+
+  connect();
+  document.addEventListener("visibilitychange", onVisibilityChange);
+  return () => {
+    document.removeEventListener("visibilitychange", onVisibilityChange);
+    disconnect();
+  };
+}
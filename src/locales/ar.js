@@ -0,0 +1,578 @@
+// src/locales/ar.js
+//
+// Arabic messages. Keys missing here fall back to English (see i18n.js).
+
+const ar = {
+  common: {
+    close: "✕ إغلاق",
+    all: "الكل",
+    unknown: "غير معروف",
+    notAvailable: "غير متوفر",
+    backToFilters: "→ العودة إلى عوامل التصفية",
+    loadingAllCases: "جارٍ تحميل جميع الحالات...",
+    cases: {
+      zero: "لا حالات",
+      one: "حالة واحدة",
+      two: "حالتان",
+      few: "{count} حالات",
+      many: "{count} حالة",
+      other: "{count} حالة",
+    },
+  },
+
+  app: {
+    title: "كاشف الاحتيال في الوصفات الطبية",
+    subtitle:
+      "اكتشف أنماط الوصف غير المعتادة عبر المستشفيات باستخدام تقييم قائم على الذكاء الاصطناعي.",
+    signInSubtitle: "سجّل الدخول لعرض تقارير الاحتيال.",
+    language: "اللغة",
+    signOut: "تسجيل الخروج",
+  },
+
+  roles: {
+    viewer: "مشاهد",
+    reviewer: "مراجع",
+    admin: "مسؤول",
+  },
+
+  filters: {
+    title: "عوامل التصفية",
+    loading: "جارٍ تحميل المستشفيات والسنوات...",
+    loadFailed: "تعذّر تحميل المستشفيات أو السنوات من الخادم. {reason}",
+    mode: "الوضع",
+    single: "مستشفى واحد",
+    compare: "مقارنة المستشفيات",
+    hospital: "المستشفى",
+    hospitalsSelected: "المستشفيات ({count} محددة)",
+    year: "السنة",
+    selectYear: "اختر السنة",
+    quarter: "الربع",
+    running: "جارٍ التشغيل...",
+    compareButton: "مقارنة المستشفيات",
+    runButton: "تشغيل كاشف الاحتيال",
+    needHospitalAndYear: "يرجى اختيار مستشفى وسنة.",
+    needTwoHospitals: "يرجى اختيار مستشفيين على الأقل وسنة.",
+    needYear: "يرجى اختيار سنة.",
+    needRange: "يرجى اختيار تاريخ البداية وتاريخ النهاية.",
+    rangeOrder: "يجب ألا يكون تاريخ البداية بعد تاريخ النهاية.",
+    compareNeedsQuarter:
+      "تشمل مقارنة المستشفيات سنة كاملة أو ربعًا؛ اختر أحدهما.",
+  },
+
+  periods: {
+    label: "الفترة",
+    year: "السنة كاملة",
+    quarter: "ربع سنة",
+    month: "شهر",
+    last30: "آخر 30 يومًا",
+    last90: "آخر 90 يومًا",
+    custom: "نطاق مخصص",
+    from: "من",
+    to: "إلى",
+    quarterLabel: "الربع {quarter} {year}",
+  },
+
+  hospitals: {
+    search: "ابحث عن مستشفى...",
+    matches: "النتائج",
+    favourites: "المفضلة",
+    recent: "تمت مشاهدتها مؤخرًا",
+    all: "جميع المستشفيات",
+    ungrouped: "أخرى",
+    pin: "تثبيت في المفضلة",
+    noMatch: "لا توجد مستشفيات مطابقة لهذا البحث.",
+  },
+
+  errors: {
+    runFailed: "تعذّر تشغيل كاشف الاحتيال.",
+    compareFailed: "تعذّرت مقارنة المستشفيات.",
+    noHospitalsLoaded: "تعذّر تحميل أي من المستشفيات المحددة.",
+    casesFailed: "تعذّر تحميل الحالات.",
+    pdfFailed: "تعذّر تصدير ملف PDF. يرجى المحاولة مرة أخرى.",
+    exportFailed: "تعذّر تصدير البيانات. يرجى المحاولة مرة أخرى.",
+  },
+
+  errorBoundary: {
+    title: "تعذّر عرض هذا التقرير.",
+    unexpectedShape: "البيانات التي أعادها الخادم بتنسيق غير متوقع ({reason}).",
+  },
+
+  api: {
+    generic: "حدث خطأ ما.",
+    network:
+      "لا يمكن الوصول إلى خادم كشف الاحتيال. تحقق من اتصالك وحاول مرة أخرى.",
+    timeout:
+      "استغرق الخادم وقتًا طويلًا للرد. قد يكون قيد التشغيل — يرجى المحاولة بعد دقيقة.",
+    malformed: "أرسل الخادم بيانات تعذّر على لوحة المعلومات قراءتها.",
+    unauthorized: "انتهت جلستك. يرجى تسجيل الدخول مرة أخرى.",
+    forbidden: "لا يملك حسابك صلاحية الوصول إلى هذه البيانات.",
+    notFound: "لم يتم العثور على بيانات لهذا الاختيار.",
+    rejected: "تم رفض الطلب ({status}).",
+    serverError: "واجه الخادم مشكلة ({status}). يرجى المحاولة لاحقًا.",
+  },
+
+  dashboard: {
+    hospital: "المستشفى:",
+    period: "الفترة:",
+    comparing: "المقارنة:",
+    privacyToggle: "🔒 وضع الخصوصية (إخفاء هوية المرضى والأطباء)",
+    privacyWatermark: "وضع الخصوصية",
+    cached: "مخزّن مؤقتًا منذ {time}",
+    offlineCached: "غير متصل — مخزّن مؤقتًا منذ {time}",
+    approximatePeriod:
+      "تغطي المجاميع والرسوم البيانية {quarters} بالكامل؛ لا يمكن للخادم تصفية التقارير حسب التاريخ بعد. تقتصر الحالات على النطاق المحدد بدقة.",
+    dataQuality: {
+      zero: "جودة البيانات: لا توجد مشكلات في استجابة الخادم.",
+      one: "جودة البيانات: مشكلة واحدة في استجابة الخادم. تم ملء بعض القيم بقيم افتراضية.",
+      two: "جودة البيانات: مشكلتان في استجابة الخادم. تم ملء بعض القيم بقيم افتراضية.",
+      few: "جودة البيانات: {count} مشكلات في استجابة الخادم. تم ملء بعض القيم بقيم افتراضية.",
+      other:
+        "جودة البيانات: {count} مشكلة في استجابة الخادم. تم ملء بعض القيم بقيم افتراضية.",
+    },
+    riskLevel: "مستوى خطورة المستشفى",
+    yoy: "{change} مقارنة بـ {period}",
+    exporting: "جارٍ التصدير...",
+    exportPdf: "📄 تصدير PDF",
+    exportFormats: {
+      csv: "CSV",
+      json: "JSON",
+    },
+    casesIntro:
+      "الوصفات المشبوهة في {hospital} خلال {period}. رتّب الحالات أدناه وصفّها؛ ينبغي أن يراجع الفريق السريري / الصيدلي الحالات ذات الدرجات المرتفعة.",
+  },
+
+  tabs: {
+    overview: "الملخص",
+    cases: "أبرز الحالات",
+    prescribers: "الأطباء الواصفون",
+    patients: "المرضى",
+    drugs: "الأدوية",
+    trends: "الاتجاهات",
+  },
+
+  riskLevels: {
+    HIGH: "مرتفع",
+    MEDIUM: "متوسط",
+    LOW: "منخفض",
+  },
+
+  riskBands: {
+    High: "مرتفع",
+    Medium: "متوسط",
+    Low: "منخفض",
+  },
+
+  metrics: {
+    totalPrescriptions: "إجمالي الوصفات",
+    highRiskCases: "حالات عالية الخطورة",
+    mediumRiskCases: "حالات متوسطة الخطورة",
+    lowRiskCases: "حالات منخفضة الخطورة",
+    controlledDrugUse: "وصفات الأدوية الخاضعة للرقابة",
+    activeAlerts: "التنبيهات النشطة",
+  },
+
+  charts: {
+    topDrugs: "أكثر الأدوية اشتباهًا",
+    fraudTrend: "اتجاه الاحتيال (آخر 3 أشهر)",
+    riskDistribution: "توزيع الخطورة",
+    noData: "لا توجد بيانات لهذا الاختيار.",
+    noMonths: "لا تتوفر بيانات شهرية.",
+    noDistribution: "لا توجد بيانات لتوزيع الخطورة.",
+  },
+
+  layout: {
+    view: "التخطيط",
+    unsavedView: "تخطيط غير محفوظ",
+    customize: "⚙ تخصيص",
+    done: "تم",
+    hint: "اسحب العناصر فوق بعضها أو استخدم الأسهم لإعادة ترتيبها. العناصر المخفية لا تظهر في ملف PDF أيضًا.",
+    name: "اسم العرض",
+    namePlaceholder: "مثال: الإدارة التنفيذية",
+    saveView: "حفظ العرض",
+    deleteView: "حذف العرض",
+    reset: "استعادة الافتراضي",
+    exportJson: "تصدير JSON",
+    importJson: "استيراد JSON",
+    importFailed: "تعذّر استيراد التخطيطات: {reason}",
+    moveEarlier: "نقل {widget} إلى الأمام",
+    moveLater: "نقل {widget} إلى الخلف",
+    size: "حجم {widget}",
+    sizes: {
+      small: "صغير",
+      medium: "متوسط",
+      large: "كبير",
+      full: "كامل العرض",
+    },
+    show: "إظهار",
+    hiddenWidget: "مخفي",
+    viewAllCases: "عرض كل الحالات ←",
+    widgets: {
+      riskBanner: "شريط الخطورة",
+      topCases: "أعلى الحالات درجةً",
+    },
+    errors: {
+      notLayoutList: "يجب أن يحتوي الملف على قائمة تخطيطات.",
+      missingName: "يجب أن يكون لكل تخطيط اسم.",
+      noWidgets: "التخطيط «{name}» لا يحتوي على قائمة عناصر.",
+    },
+  },
+
+  cases: {
+    columns: {
+      risk_band: "الخطورة",
+      drug_name: "الدواء",
+      quantity: "الكمية",
+      patient_id: "رقم المريض",
+      doctor_id: "رقم الطبيب",
+      date: "التاريخ",
+      final_fraud_score: "درجة الاحتيال",
+      recommended_action: "الإجراء",
+      status: "الحالة",
+    },
+    sort: {
+      score: "درجة الاحتيال",
+      date: "التاريخ",
+      quantity: "الكمية",
+      drug: "الدواء",
+    },
+    riskBand: "فئة الخطورة",
+    drugName: "اسم الدواء",
+    doctorId: "رقم الطبيب",
+    from: "من",
+    to: "إلى",
+    apply: "تطبيق",
+    clear: "مسح",
+    status: "الحالة",
+    allStatuses: "جميع الحالات",
+    hideResolved: "إخفاء الحالات المغلقة",
+    loading: "جارٍ تحميل الحالات...",
+    none: "لم يتم العثور على وصفات مشبوهة لهذه الفترة.",
+    noMatch: "لا توجد حالات تطابق عوامل التصفية الحالية.",
+    showPatient: "عرض وصفات هذا المريض",
+    range: "{start}–{end}",
+    rangeOf: "{start}–{end} من {total}",
+    perPage: "لكل صفحة",
+    sortBy: "ترتيب حسب",
+    previous: "→ السابق",
+    next: "التالي ←",
+  },
+
+  triage: {
+    new: "جديدة",
+    under_review: "قيد المراجعة",
+    confirmed_fraud: "احتيال مؤكد",
+    false_positive: "إنذار كاذب",
+    escalated: "مُصعّدة",
+  },
+
+  caseDetail: {
+    dialog: "الحالة {id}",
+    title: "الوصفة {id}",
+    review: "المراجعة",
+    status: "الحالة",
+    reviewer: "المراجع",
+    reviewerPlaceholder: "اسمك",
+    note: "ملاحظة",
+    lastSaved: "آخر حفظ {time}",
+    savedBy: " بواسطة {reviewer}",
+    localOnly: " (محلي فقط)",
+    saveFailed: "تعذّر حفظ قرار المراجعة.",
+    saving: "جارٍ الحفظ...",
+    save: "حفظ القرار",
+    fields: "حقول الحالة",
+    quantityHeading: "الكمية مقارنة بالمعتاد لدواء {drug}",
+    noTypical: "لا تتوفر كمية معتادة لهذا الدواء.",
+    quantity: "الكمية",
+    vsTypical: "مقابل المعتاد",
+    source: "(من {source})",
+    sources: {
+      "top suspicious drugs": "أكثر الأدوية اشتباهًا",
+      "other flagged cases": "الحالات المشبوهة الأخرى",
+    },
+    typicalAmount: "من الكمية المعتادة",
+    drugAverage: "متوسط درجة الاحتيال للدواء: {score}",
+    byDoctor: "حالات أخرى للطبيب {id}",
+    byPatient: "حالات أخرى للمريض {id}",
+    noRelated: "لا توجد حالات مشبوهة أخرى في هذا التقرير.",
+    relatedSummary: "{drug} · الكمية {quantity} · الدرجة {score} · {date}",
+  },
+
+  prescribers: {
+    loadFailed: "تعذّر تحميل حالات الأطباء الواصفين.",
+    none: "لا توجد حالات مشبوهة تحمل رقم طبيب واصف.",
+    intro: "{prescribers} طبيب واصف عبر {cases} حالة مشبوهة. اختر طبيبًا لعرض ملفه.",
+    doctorId: "رقم الطبيب",
+    cases: "الحالات",
+    meanScore: "متوسط الدرجة",
+    maxScore: "أعلى درجة",
+    bands: "مرتفع / متوسط / منخفض",
+    topDrug: "الدواء الأبرز",
+    doctor: "الطبيب {id}",
+    viewCases: "عرض {count} حالة في أبرز الحالات ←",
+    flaggedCases: "الحالات المشبوهة",
+    hospitalScore: "المستشفى {score}",
+    percentile: "مئين متوسط الدرجة",
+    ofPrescribers: "من بين {count} طبيبًا واصفًا",
+    bandMix: "توزيع فئات الخطورة مقارنة بالمستشفى (%)",
+    thisDoctor: "هذا الطبيب",
+    hospitalWide: "المستشفى كاملًا",
+    topDrugs: "الأدوية الأكثر اشتباهًا",
+    drugCases: "{drug} — {count} حالة",
+    timeline: "الخط الزمني للوصفات المشبوهة",
+    noTimeline: "لا توجد حالات مؤرخة لعرضها.",
+    date: "التاريخ",
+    score: "الدرجة",
+  },
+
+  patients: {
+    loadFailed: "تعذّر تحميل حالات المرضى.",
+    flags: {
+      multiplePrescribers: "أطباء واصفون متعددون",
+      overlappingSupply: "تداخل في الإمداد",
+      risingQuantity: "كميات متزايدة",
+    },
+    flagDetail: {
+      multiplePrescribers: {
+        zero: "لا أطباء واصفون",
+        one: "طبيب واصف واحد",
+        two: "طبيبان واصفان",
+        few: "{count} أطباء واصفين",
+        many: "{count} طبيبًا واصفًا",
+        other: "{count} طبيب واصف",
+      },
+      overlappingSupply: {
+        zero: "لا عمليات صرف قبل نفاد الإمداد السابق",
+        one: "عملية صرف واحدة قبل نفاد الإمداد السابق",
+        two: "عمليتا صرف قبل نفاد الإمداد السابق",
+        few: "{count} عمليات صرف قبل نفاد الإمداد السابق",
+        many: "{count} عملية صرف قبل نفاد الإمداد السابق",
+        other: "{count} عملية صرف قبل نفاد الإمداد السابق",
+      },
+      risingQuantity: "متزايدة: {drugs}",
+    },
+    patient: "المريض {id}",
+    noFlags: "لا توجد مؤشرات سلوك متكرر.",
+    date: "التاريخ",
+    drug: "الدواء",
+    quantity: "الكمية",
+    doctorId: "رقم الطبيب",
+    fraudScore: "درجة الاحتيال",
+    prescription: "الوصفة",
+    legend:
+      "الصفوف المظللة صُرفت قبل نفاد الإمداد السابق من الدواء نفسه (days_supply، أو {days} يومًا عند غيابه). يشير ↑ إلى الأدوية ذات الكميات المتزايدة.",
+    intro:
+      "{patients} مريض عبر {cases} حالة مشبوهة؛ يُظهر {flagged} منهم أنماط سلوك متكرر.",
+    flaggedOnly: "المرضى الذين لديهم مؤشرات فقط",
+    noMatch: "لا يوجد مرضى مطابقون.",
+    patientId: "رقم المريض",
+    prescriptions: "الوصفات",
+    prescribers: "الأطباء الواصفون",
+    maxScore: "أعلى درجة",
+    flagsColumn: "المؤشرات",
+    selectPatient: "اختر مريضًا لعرض خطه الزمني.",
+  },
+
+  drugs: {
+    searchPlaceholder: "ابحث عن أي اسم دواء",
+    drugName: "اسم الدواء",
+    open: "فتح",
+    loadFailed: "تعذّر تحميل حالات {drug}.",
+    loading: "جارٍ تحميل حالات {drug}...",
+    flaggedCases: "الحالات المشبوهة",
+    meanScore: "متوسط درجة الاحتيال",
+    reportAverage: "متوسط التقرير {score}",
+    controlledShare: "الحصة من استخدام الأدوية الخاضعة للرقابة",
+    notMarked: "غير محدد من الخادم",
+    prescriptionShare: "الحصة من إجمالي الوصفات",
+    quantityDistribution: "توزيع الكميات",
+    noQuantities: "لم تُسجّل كميات.",
+    casesSeries: "الحالات",
+    trend: "الاتجاه عبر الأرباع",
+    noDated: "لا توجد حالات مؤرخة.",
+    meanScoreSeries: "متوسط الدرجة",
+    doctorId: "رقم الطبيب",
+    cases: "الحالات",
+    maxScore: "أعلى درجة",
+    date: "التاريخ",
+    quantity: "الكمية",
+    patientId: "رقم المريض",
+    score: "الدرجة",
+    title: "تحليلات الأدوية",
+    pick: "اختر دواءً أعلاه، أو انقر على عمود في أكثر الأدوية اشتباهًا، أو ابحث عن أي اسم دواء.",
+  },
+
+  trends: {
+    loadFailed: "تعذّر تحميل السجل الزمني.",
+    loading: "جارٍ تحميل السجل الربعي ({count} ربعًا)...",
+    couldNotLoad: "تعذّر تحميل {periods}.",
+    title: "الاتجاه الربعي",
+    none: "لا تتوفر بيانات ربعية.",
+    legend: "تشير العلامات المجوفة إلى تغيّرات ربعية بنسبة 25% أو أكثر.",
+    quarter: "الربع",
+  },
+
+  comparison: {
+    hospitals: "{count} مستشفيات",
+    couldNotLoad: "تعذّر تحميل: {hospitals}",
+    none: "لا توجد تقارير مستشفيات للمقارنة.",
+    rank: "الترتيب",
+    hospital: "المستشفى",
+    riskLevel: "مستوى الخطورة",
+    highRiskRate: "نسبة الخطورة المرتفعة",
+    metrics: {
+      highRiskCases: "خطورة مرتفعة",
+      mediumRiskCases: "خطورة متوسطة",
+      lowRiskCases: "خطورة منخفضة",
+      controlledDrugUse: "الأدوية الخاضعة للرقابة",
+      activeAlerts: "التنبيهات النشطة",
+    },
+    outlier: {
+      above: "أعلى بكثير من وسيط المجموعة ({median})",
+      below: "أدنى بكثير من وسيط المجموعة ({median})",
+    },
+    groupMedian: "وسيط المجموعة",
+    riskByHospital: "حالات الخطورة حسب المستشفى",
+    usage: "الأدوية الخاضعة للرقابة والتنبيهات النشطة",
+  },
+
+  alerts: {
+    bell: "🔔 التنبيهات",
+    bellLabel: "التنبيهات، {count} غير مقروءة",
+    title: "التنبيهات",
+    notifications: "الإشعارات ({count})",
+    rules: "القواعد ({count})",
+    markAllRead: "تعليم الكل كمقروء",
+    clearHistory: "مسح السجل",
+    noAlerts: "لا توجد تنبيهات بعد. يتم فحص القواعد في كل مرة يُحمّل فيها تقرير.",
+    addRule: "+ إضافة قاعدة",
+    exportJson: "تصدير JSON",
+    importJson: "استيراد JSON",
+    importFailed: "تعذّر استيراد القواعد: {reason}",
+    noRules: "لا توجد قواعد. أضف قاعدة لتصلك إشعارات عندما يتجاوز تقرير حدًا معينًا.",
+    enabled: "مفعّلة",
+    delete: "حذف",
+    name: "الاسم",
+    condition: "الشرط",
+    metric: "المقياس",
+    drugAny: "الدواء (اتركه فارغًا لأي دواء)",
+    threshold: "الحد",
+    thresholdPercent: "الحد (%)",
+    types: {
+      metric: "مقياس يتجاوز الحد",
+      controlled_share: "حصة الأدوية الخاضعة للرقابة تتجاوز %",
+      case_score: "درجة حالة تتجاوز الحد",
+      risk_level_change: "تغيّر مستوى الخطورة منذ آخر تشغيل",
+    },
+    describe: {
+      metric: "{metric} > {threshold}",
+      controlled_share: "حصة الأدوية الخاضعة للرقابة > {threshold}%",
+      case_score: "أي حالة بدرجة > {threshold}",
+      case_score_drug: "أي حالة للدواء {drug} بدرجة > {threshold}",
+    },
+    fired: {
+      metric: "{rule} (القيمة {value})",
+      controlled_share: "{rule} (القيمة {share}%)",
+      case_score: {
+        zero: "{rule}: لا حالات",
+        one: "{rule}: حالة واحدة، مثل {examples}",
+        two: "{rule}: حالتان، مثل {examples}",
+        few: "{rule}: {count} حالات، مثل {examples}",
+        many: "{rule}: {count} حالة، مثل {examples}",
+        other: "{rule}: {count} حالة، مثل {examples}",
+      },
+      risk_level_change: "تغيّر مستوى الخطورة من {from} إلى {to}",
+    },
+    errors: {
+      notRuleList: "يجب أن يحتوي الملف على قائمة قواعد.",
+      unknownType: "نوع قاعدة غير معروف: {type}",
+    },
+  },
+
+  live: {
+    toggle: "تحديثات مباشرة",
+    interval: "فترة التحديث",
+    everySeconds: {
+      zero: "كل {count} ثانية",
+      one: "كل ثانية",
+      two: "كل ثانيتين",
+      few: "كل {count} ثوانٍ",
+      many: "كل {count} ثانية",
+      other: "كل {count} ثانية",
+    },
+    everyMinutes: {
+      zero: "كل {count} دقيقة",
+      one: "كل دقيقة",
+      two: "كل دقيقتين",
+      few: "كل {count} دقائق",
+      many: "كل {count} دقيقة",
+      other: "كل {count} دقيقة",
+    },
+    waiting: "جارٍ مراقبة التغييرات",
+    streaming: "متصل — في انتظار التحديثات",
+    updatedAt: "آخر تحديث {time}",
+    paused: "متوقف مؤقتًا أثناء إخفاء علامة التبويب",
+    failed: "فشل التحديث: {reason}",
+    delta: "التغير منذ التحديث السابق",
+    newCase: "جديدة منذ التحديث السابق",
+    newCases: {
+      zero: "لا حالات جديدة",
+      one: "حالة جديدة واحدة",
+      two: "حالتان جديدتان",
+      few: "{count} حالات جديدة",
+      many: "{count} حالة جديدة",
+      other: "{count} حالة جديدة",
+    },
+  },
+
+  mock: {
+    badge: "بيانات تجريبية",
+    scenario: "السيناريو التجريبي",
+    hint: "الاستجابات من بيانات مدمجة وليست من الواجهة البرمجية الفعلية.",
+    scenarios: {
+      normal: "مستشفى عادي",
+      "high-risk": "مستشفى عالي الخطورة",
+      empty: "فترة بلا بيانات",
+      malformed: "بيانات غير سليمة",
+      slow: "خادم بطيء",
+      failing: "خادم متعطل",
+    },
+  },
+
+  login: {
+    title: "تسجيل الدخول",
+    redirecting: "جارٍ التحويل...",
+    sso: "تسجيل الدخول الموحّد",
+    token: "رمز الوصول",
+    tokenPlaceholder: "الصق رمز الوصول (bearer token)",
+    submit: "تسجيل الدخول",
+    startFailed: "تعذّر بدء تسجيل الدخول. {reason}",
+    failed: "فشل تسجيل الدخول. {reason}",
+    signingIn: "جارٍ تسجيل الدخول...",
+  },
+
+  pdf: {
+    title: "تقرير الاحتيال في الوصفات الطبية",
+    hospital: "المستشفى: {name}",
+    period: "الفترة: {period}",
+    riskLevel: "مستوى الخطورة: {level}",
+    summary: "الملخص",
+    generated: "تاريخ الإنشاء {time}",
+    keyMetrics: "المؤشرات الرئيسية",
+    topCases: "أبرز الحالات ({count})",
+    noCases: "لم يتم العثور على وصفات مشبوهة لهذه الفترة.",
+    page: "صفحة {page} من {total}",
+    privacyWatermark: "وضع الخصوصية - المعرفات مستعارة",
+    columns: {
+      risk_band: "الخطورة",
+      drug_name: "الدواء",
+      quantity: "الكمية",
+      patient_id: "رقم المريض",
+      doctor_id: "رقم الطبيب",
+      date: "التاريخ",
+      final_fraud_score: "الدرجة",
+      recommended_action: "الإجراء",
+    },
+  },
+};
+
+export default ar;
@@ -0,0 +1,538 @@
+// src/locales/en.js
+//
+// English messages; also the fallback for keys missing from other
+// catalogs. Plural messages are objects keyed by plural category.
+
+const en = {
+  common: {
+    close: "✕ Close",
+    all: "All",
+    unknown: "Unknown",
+    notAvailable: "N/A",
+    backToFilters: "← Back to filters",
+    loadingAllCases: "Loading all cases...",
+    cases: { one: "{count} case", other: "{count} cases" },
+  },
+
+  app: {
+    title: "Prescription Fraud Detector",
+    subtitle:
+      "Detect unusual prescribing patterns across hospitals using AI-driven scoring.",
+    signInSubtitle: "Sign in to view fraud reports.",
+    language: "Language",
+    signOut: "Sign out",
+  },
+
+  roles: {
+    viewer: "viewer",
+    reviewer: "reviewer",
+    admin: "admin",
+  },
+
+  filters: {
+    title: "Filters",
+    loading: "Loading hospitals & years...",
+    loadFailed: "Failed to load hospitals or years from backend. {reason}",
+    mode: "Mode",
+    single: "Single hospital",
+    compare: "Compare hospitals",
+    hospital: "Hospital",
+    hospitalsSelected: "Hospitals ({count} selected)",
+    year: "Year",
+    selectYear: "Select year",
+    quarter: "Quarter",
+    running: "Running...",
+    compareButton: "Compare Hospitals",
+    runButton: "Run Fraud Detector",
+    needHospitalAndYear: "Please select a hospital and year.",
+    needTwoHospitals: "Please select at least two hospitals and a year.",
+    needYear: "Please select a year.",
+    needRange: "Please choose both a start and an end date.",
+    rangeOrder: "The start date must not be after the end date.",
+    compareNeedsQuarter:
+      "Hospital comparison covers a full year or a quarter; pick one of those.",
+  },
+
+  periods: {
+    label: "Period",
+    year: "Full year",
+    quarter: "Quarter",
+    month: "Month",
+    last30: "Last 30 days",
+    last90: "Last 90 days",
+    custom: "Custom range",
+    from: "From",
+    to: "To",
+    quarterLabel: "{year} Q{quarter}",
+  },
+
+  hospitals: {
+    search: "Search hospitals...",
+    matches: "Matches",
+    favourites: "Favourites",
+    recent: "Recently viewed",
+    all: "All hospitals",
+    ungrouped: "Other",
+    pin: "Pin to favourites",
+    noMatch: "No hospitals match this search.",
+  },
+
+  errors: {
+    runFailed: "Failed to run fraud detector.",
+    compareFailed: "Failed to compare hospitals.",
+    noHospitalsLoaded: "Failed to load any of the selected hospitals.",
+    casesFailed: "Failed to load cases.",
+    pdfFailed: "Failed to export PDF. Please try again.",
+    exportFailed: "Failed to export data. Please try again.",
+  },
+
+  errorBoundary: {
+    title: "This report could not be displayed.",
+    unexpectedShape:
+      "The data returned by the backend has an unexpected shape ({reason}).",
+  },
+
+  api: {
+    generic: "Something went wrong.",
+    network:
+      "Cannot reach the fraud detection server. Check your connection and try again.",
+    timeout:
+      "The server took too long to respond. It may be starting up — please try again in a minute.",
+    malformed: "The server sent data the dashboard could not read.",
+    unauthorized: "Your session has expired. Please sign in again.",
+    forbidden: "Your account does not have access to this data.",
+    notFound: "No data was found for this selection.",
+    rejected: "The request was rejected ({status}).",
+    serverError: "The server had a problem ({status}). Please try again later.",
+  },
+
+  dashboard: {
+    hospital: "Hospital:",
+    period: "Period:",
+    comparing: "Comparing:",
+    privacyToggle: "🔒 Privacy mode (pseudonymize patient & doctor IDs)",
+    privacyWatermark: "Privacy mode",
+    cached: "Cached as of {time}",
+    offlineCached: "Offline — cached as of {time}",
+    approximatePeriod:
+      "Totals and charts cover the whole of {quarters}; the server can't filter reports by date yet. Cases are limited to the exact range.",
+    dataQuality: {
+      one: "Data quality: {count} issue in the backend response. Some values were filled with defaults.",
+      other:
+        "Data quality: {count} issues in the backend response. Some values were filled with defaults.",
+    },
+    riskLevel: "Hospital Risk Level",
+    yoy: "{change} vs {period}",
+    exporting: "Exporting...",
+    exportPdf: "📄 Export PDF",
+    exportFormats: {
+      csv: "CSV",
+      json: "JSON",
+    },
+    casesIntro:
+      "Suspicious prescriptions for {hospital} in {period}. Sort and filter the cases below; high scoring cases should be reviewed by the clinical / pharmacy team.",
+  },
+
+  tabs: {
+    overview: "Summary",
+    cases: "Top Cases",
+    prescribers: "Prescribers",
+    patients: "Patients",
+    drugs: "Drugs",
+    trends: "Trends",
+  },
+
+  riskLevels: {
+    HIGH: "HIGH",
+    MEDIUM: "MEDIUM",
+    LOW: "LOW",
+  },
+
+  riskBands: {
+    High: "High",
+    Medium: "Medium",
+    Low: "Low",
+  },
+
+  metrics: {
+    totalPrescriptions: "Total Prescriptions",
+    highRiskCases: "High Risk Cases",
+    mediumRiskCases: "Medium Risk Cases",
+    lowRiskCases: "Low Risk Cases",
+    controlledDrugUse: "Controlled Drug Prescriptions",
+    activeAlerts: "Active Alerts",
+  },
+
+  charts: {
+    topDrugs: "Top Suspicious Drugs",
+    fraudTrend: "Fraud Trend (Last 3 Months)",
+    riskDistribution: "Risk Distribution",
+    noData: "No data for this selection.",
+    noMonths: "No month data available.",
+    noDistribution: "No risk distribution data.",
+  },
+
+  layout: {
+    view: "Layout",
+    unsavedView: "Unsaved layout",
+    customize: "⚙ Customize",
+    done: "Done",
+    hint: "Drag widgets onto each other or use the arrows to reorder them. Hidden widgets are left out of the PDF too.",
+    name: "View name",
+    namePlaceholder: "e.g. Executive",
+    saveView: "Save view",
+    deleteView: "Delete view",
+    reset: "Reset to default",
+    exportJson: "Export JSON",
+    importJson: "Import JSON",
+    importFailed: "Could not import layouts: {reason}",
+    moveEarlier: "Move {widget} earlier",
+    moveLater: "Move {widget} later",
+    size: "Size of {widget}",
+    sizes: {
+      small: "Small",
+      medium: "Medium",
+      large: "Large",
+      full: "Full width",
+    },
+    show: "Show",
+    hiddenWidget: "Hidden",
+    viewAllCases: "View all cases →",
+    widgets: {
+      riskBanner: "Risk Banner",
+      topCases: "Top Cases by Score",
+    },
+    errors: {
+      notLayoutList: "Expected an array of layouts.",
+      missingName: "Every layout needs a name.",
+      noWidgets: 'Layout "{name}" has no widget list.',
+    },
+  },
+
+  cases: {
+    columns: {
+      risk_band: "Risk",
+      drug_name: "Drug",
+      quantity: "Quantity",
+      patient_id: "Patient ID",
+      doctor_id: "Doctor ID",
+      date: "Date",
+      final_fraud_score: "Fraud Score",
+      recommended_action: "Action",
+      status: "Status",
+    },
+    sort: {
+      score: "Fraud Score",
+      date: "Date",
+      quantity: "Quantity",
+      drug: "Drug",
+    },
+    riskBand: "Risk band",
+    drugName: "Drug name",
+    doctorId: "Doctor ID",
+    from: "From",
+    to: "To",
+    apply: "Apply",
+    clear: "Clear",
+    status: "Status",
+    allStatuses: "All statuses",
+    hideResolved: "Hide resolved cases",
+    loading: "Loading cases...",
+    none: "No suspicious prescriptions found for this period.",
+    noMatch: "No cases match the current filters.",
+    showPatient: "Show this patient's prescriptions",
+    range: "{start}–{end}",
+    rangeOf: "{start}–{end} of {total}",
+    perPage: "Per page",
+    sortBy: "Sort by",
+    previous: "← Previous",
+    next: "Next →",
+  },
+
+  triage: {
+    new: "New",
+    under_review: "Under review",
+    confirmed_fraud: "Confirmed fraud",
+    false_positive: "False positive",
+    escalated: "Escalated",
+  },
+
+  caseDetail: {
+    dialog: "Case {id}",
+    title: "Prescription {id}",
+    review: "Review",
+    status: "Status",
+    reviewer: "Reviewer",
+    reviewerPlaceholder: "Your name",
+    note: "Note",
+    lastSaved: "Last saved {time}",
+    savedBy: " by {reviewer}",
+    localOnly: " (local only)",
+    saveFailed: "Failed to save review decision.",
+    saving: "Saving...",
+    save: "Save decision",
+    fields: "Case fields",
+    quantityHeading: "Quantity vs. typical for {drug}",
+    noTypical: "No typical quantity available for this drug.",
+    quantity: "Quantity",
+    vsTypical: "vs. typical",
+    source: "(from {source})",
+    sources: {
+      "top suspicious drugs": "top suspicious drugs",
+      "other flagged cases": "other flagged cases",
+    },
+    typicalAmount: "the typical amount",
+    drugAverage: "Drug average fraud score: {score}",
+    byDoctor: "Other cases by doctor {id}",
+    byPatient: "Other cases for patient {id}",
+    noRelated: "No other flagged cases in this report.",
+    relatedSummary: "{drug} · qty {quantity} · score {score} · {date}",
+  },
+
+  prescribers: {
+    loadFailed: "Failed to load prescriber cases.",
+    none: "No flagged cases with a prescriber ID.",
+    intro: "{prescribers} prescriber(s) across {cases} flagged case(s). Select a doctor to see their profile.",
+    doctorId: "Doctor ID",
+    cases: "Cases",
+    meanScore: "Mean score",
+    maxScore: "Max score",
+    bands: "High / Medium / Low",
+    topDrug: "Top drug",
+    doctor: "Doctor {id}",
+    viewCases: "View {count} case(s) in Top Cases →",
+    flaggedCases: "Flagged cases",
+    hospitalScore: "hospital {score}",
+    percentile: "Mean score percentile",
+    ofPrescribers: "of {count} prescribers",
+    bandMix: "Risk Band Mix vs. Hospital (%)",
+    thisDoctor: "This doctor",
+    hospitalWide: "Hospital-wide",
+    topDrugs: "Most-Flagged Drugs",
+    drugCases: "{drug} — {count} case(s)",
+    timeline: "Flagged Prescriptions Timeline",
+    noTimeline: "No dated cases to plot.",
+    date: "Date",
+    score: "Score",
+  },
+
+  patients: {
+    loadFailed: "Failed to load patient cases.",
+    flags: {
+      multiplePrescribers: "Multiple prescribers",
+      overlappingSupply: "Overlapping supply",
+      risingQuantity: "Rising quantities",
+    },
+    flagDetail: {
+      multiplePrescribers: {
+        one: "{count} prescriber",
+        other: "{count} prescribers",
+      },
+      overlappingSupply: {
+        one: "{count} fill before the previous supply ran out",
+        other: "{count} fills before the previous supply ran out",
+      },
+      risingQuantity: "Rising: {drugs}",
+    },
+    patient: "Patient {id}",
+    noFlags: "No repeat-behaviour flags.",
+    date: "Date",
+    drug: "Drug",
+    quantity: "Quantity",
+    doctorId: "Doctor ID",
+    fraudScore: "Fraud Score",
+    prescription: "Prescription",
+    legend:
+      "Highlighted rows were filled before the previous supply of the same drug ran out (days_supply, or {days} days when missing). ↑ marks drugs with rising quantities.",
+    intro:
+      "{patients} patient(s) across {cases} flagged case(s); {flagged} show repeat-behaviour patterns.",
+    flaggedOnly: "Only patients with flags",
+    noMatch: "No patients match.",
+    patientId: "Patient ID",
+    prescriptions: "Prescriptions",
+    prescribers: "Prescribers",
+    maxScore: "Max score",
+    flagsColumn: "Flags",
+    selectPatient: "Select a patient to see their timeline.",
+  },
+
+  drugs: {
+    searchPlaceholder: "Search any drug name",
+    drugName: "Drug name",
+    open: "Open",
+    loadFailed: "Failed to load cases for {drug}.",
+    loading: "Loading cases for {drug}...",
+    flaggedCases: "Flagged cases",
+    meanScore: "Mean fraud score",
+    reportAverage: "report avg {score}",
+    controlledShare: "Share of controlled-drug use",
+    notMarked: "not marked by backend",
+    prescriptionShare: "Share of all prescriptions",
+    quantityDistribution: "Quantity Distribution",
+    noQuantities: "No quantities reported.",
+    casesSeries: "Cases",
+    trend: "Trend Across Quarters",
+    noDated: "No dated cases.",
+    meanScoreSeries: "Mean score",
+    doctorId: "Doctor ID",
+    cases: "Cases",
+    maxScore: "Max score",
+    date: "Date",
+    quantity: "Quantity",
+    patientId: "Patient ID",
+    score: "Score",
+    title: "Drug analytics",
+    pick: "Pick a drug above, click a bar in Top Suspicious Drugs, or search for any drug name.",
+  },
+
+  trends: {
+    loadFailed: "Failed to load trend history.",
+    loading: "Loading quarterly history ({count} quarters)...",
+    couldNotLoad: "Could not load {periods}.",
+    title: "Quarterly Trend",
+    none: "No quarterly data available.",
+    legend: "Hollow markers show quarter-over-quarter changes of 25% or more.",
+    quarter: "Quarter",
+  },
+
+  comparison: {
+    hospitals: "{count} hospitals",
+    couldNotLoad: "Could not load: {hospitals}",
+    none: "No hospital reports to compare.",
+    rank: "Rank",
+    hospital: "Hospital",
+    riskLevel: "Risk Level",
+    highRiskRate: "High Risk %",
+    metrics: {
+      highRiskCases: "High Risk",
+      mediumRiskCases: "Medium Risk",
+      lowRiskCases: "Low Risk",
+      controlledDrugUse: "Controlled Drugs",
+      activeAlerts: "Active Alerts",
+    },
+    outlier: {
+      above: "Far above group median ({median})",
+      below: "Far below group median ({median})",
+    },
+    groupMedian: "Group median",
+    riskByHospital: "Risk Cases by Hospital",
+    usage: "Controlled Drugs & Active Alerts",
+  },
+
+  alerts: {
+    bell: "🔔 Alerts",
+    bellLabel: "Alerts, {count} unread",
+    title: "Alerts",
+    notifications: "Notifications ({count})",
+    rules: "Rules ({count})",
+    markAllRead: "Mark all read",
+    clearHistory: "Clear history",
+    noAlerts: "No alerts yet. Rules are checked every time a report loads.",
+    addRule: "+ Add rule",
+    exportJson: "Export JSON",
+    importJson: "Import JSON",
+    importFailed: "Could not import rules: {reason}",
+    noRules:
+      "No rules configured. Add one to get notified when a report crosses a threshold.",
+    enabled: "Enabled",
+    delete: "Delete",
+    name: "Name",
+    condition: "Condition",
+    metric: "Metric",
+    drugAny: "Drug (blank for any)",
+    threshold: "Threshold",
+    thresholdPercent: "Threshold (%)",
+    types: {
+      metric: "Metric above threshold",
+      controlled_share: "Controlled-drug share above %",
+      case_score: "Case score above threshold",
+      risk_level_change: "Risk level changed since last run",
+    },
+    describe: {
+      metric: "{metric} > {threshold}",
+      controlled_share: "Controlled-drug share > {threshold}%",
+      case_score: "Any case with score > {threshold}",
+      case_score_drug: "Any case for {drug} with score > {threshold}",
+    },
+    fired: {
+      metric: "{rule} (is {value})",
+      controlled_share: "{rule} (is {share}%)",
+      case_score: {
+        one: "{rule}: {count} case, e.g. {examples}",
+        other: "{rule}: {count} cases, e.g. {examples}",
+      },
+      risk_level_change: "Risk level changed from {from} to {to}",
+    },
+    errors: {
+      notRuleList: "Expected an array of rules.",
+      unknownType: "Unknown rule type: {type}",
+    },
+  },
+
+  live: {
+    toggle: "Live updates",
+    interval: "Refresh interval",
+    everySeconds: { one: "Every {count} second", other: "Every {count} seconds" },
+    everyMinutes: { one: "Every minute", other: "Every {count} minutes" },
+    waiting: "Watching for changes",
+    streaming: "Connected — waiting for updates",
+    updatedAt: "Updated {time}",
+    paused: "Paused while this tab is hidden",
+    failed: "Refresh failed: {reason}",
+    delta: "Change since the previous refresh",
+    newCase: "New since the previous refresh",
+    newCases: { one: "{count} new case", other: "{count} new cases" },
+  },
+
+  mock: {
+    badge: "Mock data",
+    scenario: "Mock scenario",
+    hint: "Responses come from built-in fixtures, not the live API.",
+    scenarios: {
+      normal: "Normal hospital",
+      "high-risk": "High-risk hospital",
+      empty: "Empty period",
+      malformed: "Malformed payloads",
+      slow: "Slow server",
+      failing: "Failing server",
+    },
+  },
+
+  login: {
+    title: "Sign in",
+    redirecting: "Redirecting...",
+    sso: "Sign in with single sign-on",
+    token: "Access token",
+    tokenPlaceholder: "Paste a bearer token",
+    submit: "Sign in",
+    startFailed: "Could not start sign-in. {reason}",
+    failed: "Sign-in failed. {reason}",
+    signingIn: "Signing in...",
+  },
+
+  pdf: {
+    title: "Prescription Fraud Report",
+    hospital: "Hospital: {name}",
+    period: "Period: {period}",
+    riskLevel: "Risk level: {level}",
+    summary: "Summary",
+    generated: "Generated {time}",
+    keyMetrics: "Key Metrics",
+    topCases: "Top Cases ({count})",
+    noCases: "No suspicious prescriptions found for this period.",
+    page: "Page {page} of {total}",
+    privacyWatermark: "PRIVACY MODE - IDs PSEUDONYMIZED",
+    columns: {
+      risk_band: "Risk",
+      drug_name: "Drug",
+      quantity: "Qty",
+      patient_id: "Patient ID",
+      doctor_id: "Doctor ID",
+      date: "Date",
+      final_fraud_score: "Score",
+      recommended_action: "Action",
+    },
+  },
+};
+
+export default en;
@@ -0,0 +1,429 @@
+// src/mockBackend.js
+//
+// In-browser stand-in for the fraud backend, used by apiClient.js when
+// mock mode is on (see mockMode.js). It answers the same endpoints with
+// seeded fixtures, so a hospital/period always returns the same data and
+// the report, cases and drug lists agree with each other.
+//
+// Scenarios:
+//   normal     – mostly low-risk hospitals, a few medium and one high
+//   high-risk  – every hospital flags several times more prescriptions
+//   empty      – hospitals and years exist but no period has any data
+//   malformed  – valid JSON with wrong types and missing fields, to
+//                exercise the schema warnings
+//   slow       – normal data after several seconds
+//   failing    – every request fails with 503
+//
+// Requests honour the caller's AbortSignal, so timeouts and cancelled
+// loads behave as they do against the real server.
+
+import { mockMode } from "./mockMode";
+
+const LATENCY_MS = { normal: [150, 450], slow: [5000, 8000] };
+
+const HOSPITALS = [
+  { id: 101, name: "Northgate General Hospital", region: "Central", type: "General", volume: 9000, risk: 0.012 },
+  { id: 102, name: "Riverside Medical Center", region: "Central", type: "General", volume: 7200, risk: 0.015 },
+  { id: 103, name: "Al Noor Specialist Hospital", region: "Central", type: "Specialist", volume: 3800, risk: 0.045 },
+  { id: 104, name: "Eastern Province Children's Hospital", region: "Eastern", type: "Specialist", volume: 2600, risk: 0.008 },
+  { id: 105, name: "Gulf Coast General Hospital", region: "Eastern", type: "General", volume: 6400, risk: 0.02 },
+  { id: 106, name: "Harbor Community Clinic", region: "Eastern", type: "Clinic", volume: 1500, risk: 0.03 },
+  { id: 107, name: "Western Heights Hospital", region: "Western", type: "General", volume: 8100, risk: 0.014 },
+  { id: 108, name: "Red Sea Rehabilitation Center", region: "Western", type: "Specialist", volume: 1900, risk: 0.08 },
+  { id: 109, name: "Old Town Family Clinic", region: "Western", type: "Clinic", volume: 1200, risk: 0.011 },
+  { id: 110, name: "Northern Border Regional Hospital", region: "Northern", type: "General", volume: 4300, risk: 0.018 },
+  { id: 111, name: "Highland Orthopedic Institute", region: "Northern", type: "Specialist", volume: 2200, risk: 0.025 },
+  { id: 112, name: "Oasis Primary Care Clinic", region: "Northern", type: "Clinic", volume: 900, risk: 0.01 },
+];
+
+// usual quantity and days of supply per prescription
+const DRUGS = [
+  { name: "Oxycodone", controlled: true, quantity: 30, days: 10, weight: 3 },
+  { name: "Tramadol", controlled: true, quantity: 40, days: 10, weight: 4 },
+  { name: "Alprazolam", controlled: true, quantity: 30, days: 30, weight: 3 },
+  { name: "Methylphenidate", controlled: true, quantity: 30, days: 30, weight: 2 },
+  { name: "Pregabalin", controlled: true, quantity: 60, days: 30, weight: 3 },
+  { name: "Codeine", controlled: true, quantity: 24, days: 6, weight: 2 },
+  { name: "Morphine", controlled: true, quantity: 20, days: 5, weight: 1 },
+  { name: "Diazepam", controlled: true, quantity: 20, days: 10, weight: 2 },
+  { name: "Amoxicillin", controlled: false, quantity: 21, days: 7, weight: 2 },
+  { name: "Metformin", controlled: false, quantity: 60, days: 30, weight: 1 },
+  { name: "Atorvastatin", controlled: false, quantity: 30, days: 30, weight: 1 },
+  { name: "Omeprazole", controlled: false, quantity: 28, days: 28, weight: 1 },
+  { name: "Ibuprofen", controlled: false, quantity: 30, days: 10, weight: 1 },
+  { name: "Salbutamol", controlled: false, quantity: 2, days: 30, weight: 1 },
+];
+
+const FIRST_NAMES = ["Ahmed", "Sara", "Omar", "Layla", "Khalid", "Noura", "Faisal", "Huda", "Yousef", "Mona", "Ali", "Reem"];
+const LAST_NAMES = ["Al-Harbi", "Al-Qahtani", "Al-Otaibi", "Al-Zahrani", "Al-Shehri", "Al-Ghamdi", "Al-Dosari", "Al-Mutairi"];
+
+const ACTIONS = {
+  High: "Suspend dispensing and refer to the fraud unit",
+  Medium: "Review with the prescribing doctor",
+  Low: "Monitor; no action needed",
+};
+
+const MAX_CASES_PER_QUARTER = 250;
+
+// ---------------- Seeded randomness ----------------
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: small, fast and good enough for fixtures
+function seededRandom(seed) {
+  let state = hashString(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(random, items) {
+  return items[Math.floor(random() * items.length)];
+}
+
+function pickWeighted(random, items) {
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  let roll = random() * total;
+  for (const item of items) {
+    roll -= item.weight;
+    if (roll < 0) return item;
+  }
+  return items[items.length - 1];
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ---------------- Fixtures ----------------
+
+function currentYear() {
+  return new Date().getFullYear();
+}
+
+function hospitalById(id) {
+  return HOSPITALS.find((h) => String(h.id) === String(id)) || null;
+}
+
+function riskBand(score) {
+  return score >= 0.75 ? "High" : score >= 0.5 ? "Medium" : "Low";
+}
+
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+const quarterCache = new Map();
+
+// Every flagged prescription of one hospital and quarter, plus the
+// quarter's prescription counts. Quarters that haven't started are empty.
+function quarterData(hospital, year, quarter, scenario) {
+  const key = `${scenario}|${hospital.id}|${year}|${quarter}`;
+  if (quarterCache.has(key)) return quarterCache.get(key);
+
+  const start = new Date(Date.UTC(year, (quarter - 1) * 3, 1));
+  const end = new Date(Date.UTC(year, quarter * 3, 1));
+  const empty = { total: 0, controlled: 0, cases: [] };
+  if (scenario === "empty" || start > new Date()) {
+    quarterCache.set(key, empty);
+    return empty;
+  }
+
+  const random = seededRandom(key);
+  const highRisk = scenario === "high-risk";
+  const total = Math.round(hospital.volume * (0.85 + random() * 0.3));
+  const riskiness = hospital.risk * (highRisk ? 4 : 1);
+  const flagged = Math.min(
+    MAX_CASES_PER_QUARTER,
+    Math.round(total * riskiness * (0.8 + random() * 0.4))
+  );
+  const controlled = Math.round(
+    total * (highRisk ? 0.28 : 0.1 + hospital.risk * 2) * (0.9 + random() * 0.2)
+  );
+
+  // small pools so patients and doctors recur across prescriptions
+  const doctors = Array.from({ length: 6 + (hospital.id % 9) }, (_, i) => ({
+    id: `D${hospital.id}${String(i + 1).padStart(2, "0")}`,
+    name: `Dr. ${pick(random, FIRST_NAMES)} ${pick(random, LAST_NAMES)}`,
+  }));
+  const patients = Array.from(
+    { length: Math.max(3, Math.round(flagged * 0.6)) },
+    (_, i) => ({
+      id: `P${hospital.id}${String(i + 1).padStart(4, "0")}`,
+      name: `${pick(random, FIRST_NAMES)} ${pick(random, LAST_NAMES)}`,
+    })
+  );
+  const span = end - start;
+
+  const cases = Array.from({ length: flagged }, (_, i) => {
+    const drug = pickWeighted(random, DRUGS);
+    // skewed towards low scores; high-risk hospitals skew the other way
+    const score = round2(1 - random() ** (highRisk ? 2.5 : 0.7) * 0.7);
+    const excess = score >= 0.75 ? 1 + random() * 3 : 1 + random() * 0.4;
+    const patient = pick(random, patients);
+    const doctor = pick(random, doctors);
+    const band = riskBand(score);
+    return {
+      prescription_id: `RX-${hospital.id}-${year}Q${quarter}-${String(
+        i + 1
+      ).padStart(4, "0")}`,
+      drug_name: drug.name,
+      is_controlled: drug.controlled,
+      quantity: Math.round(drug.quantity * excess),
+      days_supply: drug.days,
+      patient_id: patient.id,
+      patient_name: patient.name,
+      doctor_id: doctor.id,
+      doctor_name: doctor.name,
+      date: isoDate(new Date(start.getTime() + random() * span)),
+      final_fraud_score: score,
+      risk_band: band,
+      recommended_action: ACTIONS[band],
+    };
+  });
+
+  const data = { total, controlled, cases };
+  quarterCache.set(key, data);
+  return data;
+}
+
+function periodQuarters(quarter) {
+  return quarter ? [Number(quarter)] : [1, 2, 3, 4];
+}
+
+function periodCases(hospital, year, quarter, scenario) {
+  return periodQuarters(quarter).flatMap(
+    (q) => quarterData(hospital, year, q, scenario).cases
+  );
+}
+
+function topDrugs(cases) {
+  const byDrug = new Map();
+  for (const c of cases) {
+    const scores = byDrug.get(c.drug_name) || [];
+    scores.push(c.final_fraud_score);
+    byDrug.set(c.drug_name, scores);
+  }
+  return [...byDrug]
+    .map(([drug_name, scores]) => ({
+      drug_name,
+      avg_fraud_score: round2(scores.reduce((a, b) => a + b, 0) / scores.length),
+    }))
+    .sort((a, b) => b.avg_fraud_score - a.avg_fraud_score)
+    .slice(0, 5);
+}
+
+// flagged prescriptions per month for the period's last three months
+function lastThreeMonths(cases, year, quarter) {
+  const lastMonth = quarter ? Number(quarter) * 3 : 12;
+  return [lastMonth - 2, lastMonth - 1, lastMonth].map((m) => {
+    const month = `${year}-${String(m).padStart(2, "0")}`;
+    return {
+      month,
+      value: cases.filter((c) => c.date.startsWith(month)).length,
+    };
+  });
+}
+
+function fraudReport(hospital, year, quarter, scenario) {
+  const quarters = periodQuarters(quarter).map((q) =>
+    quarterData(hospital, year, q, scenario)
+  );
+  const cases = quarters.flatMap((q) => q.cases);
+  const total = quarters.reduce((sum, q) => sum + q.total, 0);
+  const high = cases.filter((c) => c.risk_band === "High").length;
+  const medium = cases.filter((c) => c.risk_band === "Medium").length;
+  const low = total - high - medium;
+  const highShare = total ? high / total : 0;
+  const level =
+    highShare > 0.015 ? "high" : highShare > 0.005 ? "medium" : "low";
+  const period = quarter ? `Q${quarter} ${year}` : String(year);
+
+  return {
+    hospital_id: hospital.id,
+    hospital_name: hospital.name,
+    year,
+    quarter: quarter ? Number(quarter) : null,
+    total_prescriptions: total,
+    high_risk_cases: high,
+    medium_risk_cases: medium,
+    low_risk_cases: low,
+    controlled_drug_use: quarters.reduce((sum, q) => sum + q.controlled, 0),
+    active_alerts: Math.round(high * 0.4),
+    risk_level: level,
+    summary: total
+      ? `${hospital.name} dispensed ${total} prescriptions in ${period}; ` +
+        `${high} were flagged as high risk and ${medium} as medium risk.`
+      : `No prescriptions were recorded for ${period}.`,
+    fraud_trend_last_3_months: total ? lastThreeMonths(cases, year, quarter) : [],
+    top_suspicious_drugs: topDrugs(cases),
+    risk_distribution: { High: high, Medium: medium, Low: low },
+  };
+}
+
+// Wrong types and missing fields of the kinds the schema layer repairs.
+function malformReport(report) {
+  return {
+    ...report,
+    total_prescriptions: String(report.total_prescriptions),
+    medium_risk_cases: null,
+    active_alerts: "n/a",
+    risk_level: undefined,
+    fraud_trend_last_3_months: { months: report.fraud_trend_last_3_months },
+    top_suspicious_drugs: report.top_suspicious_drugs.map((d, i) =>
+      i === 0 ? { avg_fraud_score: String(d.avg_fraud_score) } : d
+    ),
+    risk_distribution: `High ${report.high_risk_cases}`,
+  };
+}
+
+function malformCases(cases) {
+  return cases.map((c, i) => {
+    if (i % 7 === 0) return { ...c, prescription_id: undefined };
+    if (i % 5 === 0) return { ...c, final_fraud_score: String(c.final_fraud_score), quantity: "?" };
+    return c;
+  });
+}
+
+// Query param -> case field for sort_by.
+const SORT_FIELDS = {
+  score: "final_fraud_score",
+  date: "date",
+  quantity: "quantity",
+  drug: "drug_name",
+};
+
+function topCases(hospital, params, scenario) {
+  const year = Number(params.get("year"));
+  const quarter = params.get("quarter");
+  const limit = Number(params.get("limit")) || 8;
+  const offset = Number(params.get("offset")) || 0;
+  const riskBandFilter = params.get("risk_band");
+  const drugName = (params.get("drug_name") || "").toLowerCase();
+  const doctorId = params.get("doctor_id");
+  const startDate = params.get("start_date");
+  const endDate = params.get("end_date");
+  const field = SORT_FIELDS[params.get("sort_by")] || SORT_FIELDS.score;
+  const direction = params.get("order") === "asc" ? 1 : -1;
+
+  const matching = periodCases(hospital, year, quarter, scenario)
+    .filter(
+      (c) =>
+        (!riskBandFilter || c.risk_band === riskBandFilter) &&
+        (!drugName || c.drug_name.toLowerCase().includes(drugName)) &&
+        (!doctorId || c.doctor_id === doctorId) &&
+        (!startDate || c.date >= startDate) &&
+        (!endDate || c.date <= endDate)
+    )
+    .sort((a, b) =>
+      a[field] === b[field] ? 0 : (a[field] < b[field] ? -1 : 1) * direction
+    );
+
+  const page = matching.slice(offset, offset + limit);
+  return {
+    hospital_id: hospital.id,
+    year,
+    quarter: quarter ? Number(quarter) : null,
+    total: matching.length,
+    cases: scenario === "malformed" ? malformCases(page) : page,
+  };
+}
+
+// ---------------- Routing ----------------
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+function notFound(message) {
+  return json({ detail: message }, 404);
+}
+
+async function route(url, init, scenario) {
+  const { pathname, searchParams: params } = url;
+
+  if (scenario === "failing") {
+    return new Response("Service unavailable (mock failing scenario)", {
+      status: 503,
+    });
+  }
+
+  if (pathname.endsWith("/api/hospitals")) {
+    return json({
+      hospitals: HOSPITALS.map(({ id, name, region, type }) => ({
+        id,
+        name,
+        label: name,
+        region,
+        type,
+      })),
+    });
+  }
+
+  if (pathname.endsWith("/api/years")) {
+    const year = currentYear();
+    return json({ years: [year - 3, year - 2, year - 1, year] });
+  }
+
+  if (pathname.endsWith("/api/fraud-report")) {
+    const hospital = hospitalById(params.get("hospital_id"));
+    if (!hospital) return notFound("Unknown hospital");
+    const report = fraudReport(
+      hospital,
+      Number(params.get("year")),
+      params.get("quarter"),
+      scenario
+    );
+    return json(scenario === "malformed" ? malformReport(report) : report);
+  }
+
+  if (pathname.endsWith("/api/top-cases")) {
+    const hospital = hospitalById(params.get("hospital_id"));
+    if (!hospital) return notFound("Unknown hospital");
+    return json(topCases(hospital, params, scenario));
+  }
+
+  if (pathname.endsWith("/api/case-triage") && init?.method === "POST") {
+    return json(JSON.parse(init.body || "{}"));
+  }
+
+  return notFound(`No mock for ${pathname}`);
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const aborted = () =>
+      new DOMException("The request was aborted", "AbortError");
+    if (signal?.aborted) return reject(aborted());
+    const abort = () => {
+      clearTimeout(timer);
+      reject(aborted());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", abort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", abort, { once: true });
+  });
+}
+
+// fetch() replacement: same arguments, same Response/AbortError results.
+export async function mockFetch(input, init = {}) {
+  const scenario = mockMode.scenario || "normal";
+  const [min, max] = LATENCY_MS[scenario] || LATENCY_MS.normal;
+  await delay(min + Math.random() * (max - min), init.signal);
+  const url = new URL(String(input), window.location.href);
+  return route(url, init, scenario);
+}
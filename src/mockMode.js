@@ -0,0 +1,46 @@
+// src/mockMode.js
+//
+// Switch for the built-in mock backend (mockBackend.js), for local
+// development and demos without the real API. It is on when
+//   VITE_MOCK_API is "true" or a scenario name (whole build / dev server)
+//   the URL has ?mock or ?mock=<scenario> (just this tab)
+// The query flag wins, so a mock build can still switch scenarios.
+// Kept apart from the fixture generators so those are only downloaded
+// when mock mode is actually on.
+
+export const MOCK_SCENARIOS = [
+  "normal",
+  "high-risk",
+  "empty",
+  "malformed",
+  "slow",
+  "failing",
+];
+
+const DEFAULT_SCENARIO = "normal";
+
+function scenarioFrom(value) {
+  return MOCK_SCENARIOS.includes(value) ? value : DEFAULT_SCENARIO;
+}
+
+function detectMockMode() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has("mock") && params.get("mock") !== "off") {
+    return { enabled: true, scenario: scenarioFrom(params.get("mock")) };
+  }
+  const env = import.meta.env.VITE_MOCK_API || "";
+  if (env && env !== "false" && params.get("mock") !== "off") {
+    return { enabled: true, scenario: scenarioFrom(env) };
+  }
+  return { enabled: false, scenario: null };
+}
+
+// { enabled, scenario }, fixed for the page's lifetime
+export const mockMode = detectMockMode();
+
+// This page's URL with another scenario selected.
+export function mockScenarioUrl(scenario) {
+  const url = new URL(window.location.href);
+  url.searchParams.set("mock", scenario);
+  return url.href;
+}
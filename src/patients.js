@@ -0,0 +1,136 @@
+// src/patients.js
+//
+// Groups flagged cases by patient and applies simple heuristics for
+// doctor shopping and repeat fills. These only see the flagged cases the
+// backend returns, so they point reviewers at patients worth a closer
+// look rather than proving anything.
+
+// Distinct prescribers at or above this count are flagged.
+export const MULTIPLE_PRESCRIBERS = 2;
+
+// Supply length assumed when a case has no days_supply field.
+export const DEFAULT_SUPPLY_DAYS = 30;
+
+// Consecutive fills of one drug with increasing quantity before flagging.
+export const RISING_FILLS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Labels live in the catalogs under `patients.flags.<flag>`, and the
+// details under `patients.flagDetail.<flag>`.
+export const PATIENT_FLAGS = [
+  "multiplePrescribers",
+  "overlappingSupply",
+  "risingQuantity",
+];
+
+function supplyDays(c) {
+  return typeof c.days_supply === "number" && c.days_supply > 0
+    ? c.days_supply
+    : DEFAULT_SUPPLY_DAYS;
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Prescription ids filled while an earlier fill of the same drug should
+// still have been running. timeline must be sorted by date.
+export function findOverlaps(timeline) {
+  const overlapping = new Set();
+  for (const fills of groupBy(timeline, (c) => c.drug_name).values()) {
+    let runsUntil = null;
+    for (const c of fills) {
+      const start = Date.parse(c.date);
+      if (Number.isNaN(start)) continue;
+      if (runsUntil !== null && start < runsUntil) {
+        overlapping.add(c.prescription_id);
+      }
+      runsUntil = Math.max(runsUntil ?? 0, start + supplyDays(c) * DAY_MS);
+    }
+  }
+  return overlapping;
+}
+
+// Drug names with RISING_FILLS or more consecutive fills of increasing
+// quantity. timeline must be sorted by date.
+export function findRisingQuantities(timeline) {
+  const rising = [];
+  for (const [drug, fills] of groupBy(timeline, (c) => c.drug_name)) {
+    const quantities = fills
+      .map((c) => c.quantity)
+      .filter((q) => typeof q === "number");
+    let run = 1;
+    for (let i = 1; i < quantities.length; i++) {
+      run = quantities[i] > quantities[i - 1] ? run + 1 : 1;
+      if (run >= RISING_FILLS) {
+        rising.push(drug);
+        break;
+      }
+    }
+  }
+  return rising;
+}
+
+// One entry per patient_id, flagged patients first:
+// { patientId, timeline, doctors, maxScore, overlapping, risingDrugs, flags }
+// flags maps PATIENT_FLAGS to what triggered them, { count, drugs? },
+// or null.
+export function buildPatientPatterns(cases) {
+  const withPatient = cases.filter(
+    (c) => c.patient_id !== "" && c.patient_id !== null
+  );
+
+  const patients = [
+    ...groupBy(withPatient, (c) => String(c.patient_id)),
+  ].map(([patientId, patientCases]) => {
+    const timeline = [...patientCases].sort((a, b) =>
+      String(a.date).localeCompare(String(b.date))
+    );
+    const doctors = [...new Set(timeline.map((c) => String(c.doctor_id)))];
+    const overlapping = findOverlaps(timeline);
+    const risingDrugs = findRisingQuantities(timeline);
+    const scores = timeline
+      .map((c) => c.final_fraud_score)
+      .filter((s) => typeof s === "number");
+
+    return {
+      patientId,
+      timeline,
+      doctors,
+      maxScore: scores.length > 0 ? Math.max(...scores) : null,
+      overlapping,
+      risingDrugs,
+      flags: {
+        multiplePrescribers:
+          doctors.length >= MULTIPLE_PRESCRIBERS
+            ? { count: doctors.length }
+            : null,
+        overlappingSupply:
+          overlapping.size > 0 ? { count: overlapping.size } : null,
+        risingQuantity:
+          risingDrugs.length > 0
+            ? { count: risingDrugs.length, drugs: risingDrugs }
+            : null,
+      },
+    };
+  });
+
+  const flagCount = (p) => Object.values(p.flags).filter(Boolean).length;
+  return patients.sort(
+    (a, b) =>
+      flagCount(b) - flagCount(a) ||
+      b.timeline.length - a.timeline.length ||
+      (b.maxScore ?? 0) - (a.maxScore ?? 0)
+  );
+}
+
+export function isFlagged(patient) {
+  return Object.values(patient.flags).some(Boolean);
+}
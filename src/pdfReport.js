@@ -0,0 +1,515 @@
+// src/pdfReport.js
+//
+// Builds the exported fraud report with jsPDF text and drawing
+// primitives: a cover page, the metric cards, one image per chart and a
+// case table that paginates with repeating headers. Only the charts are
+// rasterized; everything else is selectable text.
+
+import jsPDF from "jspdf";
+import html2canvas from "html2canvas";
+import amiriRegularUrl from "@expo-google-fonts/amiri/400Regular/Amiri_400Regular.ttf?url";
+import amiriBoldUrl from "@expo-google-fonts/amiri/700Bold/Amiri_700Bold.ttf?url";
+import { formatDateRange } from "./periods";
+import {
+  formatDateTime,
+  formatNumber,
+  getDirection,
+  getLocale,
+  t,
+  tValue,
+} from "./i18n";
+
+const PAGE_MARGIN = 14; // mm
+const FOOTER_HEIGHT = 10;
+const LINE_HEIGHT = 5;
+
+const RISK_COLORS = {
+  HIGH: [255, 77, 79],
+  MEDIUM: [255, 169, 64],
+  LOW: [82, 196, 26],
+};
+
+// The standard PDF fonts only cover Latin text, so locales with other
+// scripts embed a TTF. Files are fetched on first export, not bundled
+// into the main chunk.
+const LOCALE_FONTS = {
+  ar: {
+    family: "Amiri",
+    files: { normal: amiriRegularUrl, bold: amiriBoldUrl },
+  },
+};
+
+// labels come from the "metrics" catalog section
+const METRICS = [
+  "totalPrescriptions",
+  "highRiskCases",
+  "mediumRiskCases",
+  "lowRiskCases",
+  "controlledDrugUse",
+  "activeAlerts",
+];
+
+// width is a share of the usable page width; labels are "pdf.columns.*"
+const CASE_COLUMNS = [
+  { key: "risk_band", width: 0.08 },
+  { key: "drug_name", width: 0.16 },
+  { key: "quantity", width: 0.06 },
+  { key: "patient_id", width: 0.12 },
+  { key: "doctor_id", width: 0.12 },
+  { key: "date", width: 0.11 },
+  { key: "final_fraud_score", width: 0.08 },
+  { key: "recommended_action", width: 0.27 },
+];
+
+export function periodLabel(report) {
+  if (report.periodStart) {
+    return formatDateRange(report.periodStart, report.periodEnd);
+  }
+  return report.quarter ? `${report.year} ${report.quarter}` : `${report.year}`;
+}
+
+export function reportFileName(report, extension) {
+  const name = (report.hospitalName || "Hospital").replace(/[^\w-]+/g, "_");
+  const period = report.periodStart
+    ? `${report.periodStart}_${report.periodEnd}`
+    : `${report.year}${report.quarter ? "_" + report.quarter : ""}`;
+  return `Fraud_Report_${name}_${period}.${extension}`;
+}
+
+function formatCell(value, key) {
+  if (value === null || value === undefined) return "–";
+  if (key === "final_fraud_score" && typeof value === "number") {
+    return value.toFixed(2);
+  }
+  if (key === "risk_band") return tValue("riskBands", value);
+  return String(value);
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = "";
+  // chunked: String.fromCharCode(...bytes) overflows the stack on fonts
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+const fontFiles = new Map();
+
+async function loadFontFile(url) {
+  if (!fontFiles.has(url)) {
+    const promise = fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error(`Failed to load font ${url}`);
+        return res.arrayBuffer();
+      })
+      .then(toBase64);
+    // forget failures so the next export retries
+    promise.catch(() => fontFiles.delete(url));
+    fontFiles.set(url, promise);
+  }
+  return fontFiles.get(url);
+}
+
+// Rasterizes every element marked with data-pdf-chart inside container,
+// one image per chart, titled by the attribute value. data-pdf-chart-id
+// becomes the image's id, used to place it by layout.
+export async function captureCharts(container) {
+  if (!container) return [];
+  const elements = [...container.querySelectorAll("[data-pdf-chart]")];
+  const charts = [];
+  for (const el of elements) {
+    const canvas = await html2canvas(el, {
+      scale: 2,
+      useCORS: true,
+      backgroundColor: "#ffffff",
+    });
+    charts.push({
+      id: el.dataset.pdfChartId,
+      title: el.dataset.pdfChart,
+      dataUrl: canvas.toDataURL("image/png"),
+      width: canvas.width,
+      height: canvas.height,
+    });
+  }
+  return charts;
+}
+
+class ReportWriter {
+  constructor({ rtl = false } = {}) {
+    this.pdf = new jsPDF("p", "mm", "a4");
+    this.pageWidth = this.pdf.internal.pageSize.getWidth();
+    this.pageHeight = this.pdf.internal.pageSize.getHeight();
+    this.contentWidth = this.pageWidth - PAGE_MARGIN * 2;
+    this.bottom = this.pageHeight - PAGE_MARGIN - FOOTER_HEIGHT;
+    this.y = PAGE_MARGIN;
+    this.fontFamily = "helvetica";
+    this.rtl = rtl;
+  }
+
+  // Embeds a TTF family and makes it the font for all later text.
+  async useFont({ family, files }) {
+    for (const [style, url] of Object.entries(files)) {
+      const fileName = `${family}-${style}.ttf`;
+      this.pdf.addFileToVFS(fileName, await loadFontFile(url));
+      this.pdf.addFont(fileName, family, style);
+    }
+    this.fontFamily = family;
+  }
+
+  setFont(style) {
+    this.pdf.setFont(this.fontFamily, style);
+  }
+
+  // Layout is written left-to-right; in RTL every x is mirrored across
+  // the page so the report reads from the right.
+  text(content, x, y, { align = "left", ...options } = {}) {
+    if (!this.rtl) {
+      this.pdf.text(content, x, y, { align, ...options });
+      return;
+    }
+    const mirrored = { left: "right", right: "left" }[align] || align;
+    this.pdf.text(content, this.pageWidth - x, y, {
+      ...options,
+      align: mirrored,
+      // strings are in logical order; jsPDF draws glyphs in visual order
+      isInputVisual: false,
+      isOutputVisual: true,
+      isInputRtl: true,
+      isOutputRtl: false,
+    });
+  }
+
+  // x of a box `width` wide that starts at x in left-to-right layout
+  boxX(x, width) {
+    return this.rtl ? this.pageWidth - x - width : x;
+  }
+
+  newPage() {
+    this.pdf.addPage();
+    this.y = PAGE_MARGIN;
+  }
+
+  // Starts a new page when the next block of `height` mm would not fit.
+  ensureSpace(height) {
+    if (this.y + height > this.bottom) {
+      this.newPage();
+      return true;
+    }
+    return false;
+  }
+
+  heading(text, size = 14) {
+    this.ensureSpace(size / 2 + 4);
+    this.setFont("bold");
+    this.pdf.setFontSize(size);
+    this.pdf.setTextColor(17, 24, 39);
+    this.text(text, PAGE_MARGIN, this.y + size / 2.8);
+    this.y += size / 2 + 4;
+  }
+
+  paragraph(text, { size = 10, color = [55, 65, 81] } = {}) {
+    this.setFont("normal");
+    this.pdf.setFontSize(size);
+    this.pdf.setTextColor(...color);
+    const lines = this.pdf.splitTextToSize(text, this.contentWidth);
+    for (const line of lines) {
+      this.ensureSpace(LINE_HEIGHT);
+      this.text(line, PAGE_MARGIN, this.y + 3.5);
+      this.y += LINE_HEIGHT;
+    }
+    this.y += 2;
+  }
+
+  // riskLevel: false leaves out the risk badge and summary
+  cover(report, generatedAt, { riskLevel = true } = {}) {
+    const { pdf } = this;
+    this.y = 50;
+    this.setFont("bold");
+    pdf.setFontSize(24);
+    pdf.setTextColor(17, 24, 39);
+    this.text(t("pdf.title"), PAGE_MARGIN, this.y);
+    this.y += 16;
+
+    this.paragraph(
+      t("pdf.hospital", { name: report.hospitalName || report.hospitalId }),
+      { size: 13, color: [17, 24, 39] }
+    );
+    this.paragraph(t("pdf.period", { period: periodLabel(report) }), {
+      size: 13,
+      color: [17, 24, 39],
+    });
+    if (report.approximate) {
+      this.paragraph(
+        t("dashboard.approximatePeriod", {
+          quarters: report.coveredQuarters.join(", "),
+        }),
+        { size: 9 }
+      );
+    }
+
+    if (riskLevel) this.riskLevel(report);
+
+    this.paragraph(t("pdf.generated", { time: formatDateTime(generatedAt) }), {
+      size: 9,
+      color: [107, 114, 128],
+    });
+  }
+
+  // risk level badge and the report's summary
+  riskLevel(report) {
+    const { pdf } = this;
+    const level = report.hospitalRiskLevel;
+    const badgeWidth = 60;
+    pdf.setFillColor(...(RISK_COLORS[level] || [156, 163, 175]));
+    pdf.roundedRect(
+      this.boxX(PAGE_MARGIN, badgeWidth),
+      this.y + 2,
+      badgeWidth,
+      10,
+      3,
+      3,
+      "F"
+    );
+    this.setFont("bold");
+    pdf.setFontSize(11);
+    pdf.setTextColor(255, 255, 255);
+    this.text(
+      t("pdf.riskLevel", {
+        level: level ? tValue("riskLevels", level) : t("common.notAvailable"),
+      }),
+      PAGE_MARGIN + 4,
+      this.y + 8.5
+    );
+    this.y += 20;
+
+    if (report.summary) {
+      this.heading(t("pdf.summary"), 12);
+      this.paragraph(report.summary);
+    }
+  }
+
+  // keys: the metrics to show, three cards per row
+  metricCards(report, keys = METRICS, { heading = true } = {}) {
+    const { pdf } = this;
+    const cols = 3;
+    const gap = 4;
+    const cardWidth = (this.contentWidth - gap * (cols - 1)) / cols;
+    const cardHeight = 20;
+
+    if (heading) this.heading(t("pdf.keyMetrics"));
+    keys.forEach((key, i) => {
+      const col = i % cols;
+      if (col === 0 && i > 0) this.y += cardHeight + gap;
+      if (col === 0) this.ensureSpace(cardHeight);
+      const x = PAGE_MARGIN + col * (cardWidth + gap);
+
+      pdf.setFillColor(249, 250, 251);
+      pdf.setDrawColor(229, 231, 235);
+      pdf.roundedRect(
+        this.boxX(x, cardWidth),
+        this.y,
+        cardWidth,
+        cardHeight,
+        2,
+        2,
+        "FD"
+      );
+      this.setFont("normal");
+      pdf.setFontSize(8);
+      pdf.setTextColor(107, 114, 128);
+      this.text(t(`metrics.${key}`), x + 3, this.y + 6);
+      this.setFont("bold");
+      pdf.setFontSize(14);
+      pdf.setTextColor(17, 24, 39);
+      this.text(formatNumber(report[key]), x + 3, this.y + 15);
+    });
+    this.y += cardHeight + 8;
+  }
+
+  chart({ title, dataUrl, width, height }) {
+    const imgWidth = this.contentWidth;
+    const imgHeight = Math.min(
+      (height * imgWidth) / width,
+      this.bottom - PAGE_MARGIN - 12
+    );
+    this.ensureSpace(imgHeight + 12);
+    this.heading(title, 12);
+    this.pdf.addImage(dataUrl, "PNG", PAGE_MARGIN, this.y, imgWidth, imgHeight);
+    this.y += imgHeight + 6;
+  }
+
+  tableHeader(columns) {
+    const { pdf } = this;
+    const height = 8;
+    pdf.setFillColor(37, 99, 235);
+    pdf.rect(PAGE_MARGIN, this.y, this.contentWidth, height, "F");
+    this.setFont("bold");
+    pdf.setFontSize(8);
+    pdf.setTextColor(255, 255, 255);
+    let x = PAGE_MARGIN;
+    for (const col of columns) {
+      this.text(t(`pdf.columns.${col.key}`), x + 1.5, this.y + 5.5);
+      x += col.width * this.contentWidth;
+    }
+    this.y += height;
+  }
+
+  table(columns, rows) {
+    const { pdf } = this;
+    this.ensureSpace(16);
+    this.tableHeader(columns);
+
+    rows.forEach((row, index) => {
+      this.setFont("normal");
+      pdf.setFontSize(8);
+      const cells = columns.map((col) =>
+        pdf.splitTextToSize(
+          formatCell(row[col.key], col.key),
+          col.width * this.contentWidth - 3
+        )
+      );
+      const lines = Math.max(...cells.map((c) => c.length));
+      const height = lines * 4 + 3;
+
+      if (this.ensureSpace(height)) this.tableHeader(columns);
+
+      if (index % 2 === 1) {
+        pdf.setFillColor(243, 244, 246);
+        pdf.rect(PAGE_MARGIN, this.y, this.contentWidth, height, "F");
+      }
+      this.setFont("normal");
+      pdf.setFontSize(8);
+      pdf.setTextColor(17, 24, 39);
+      let x = PAGE_MARGIN;
+      cells.forEach((cellLines, i) => {
+        this.text(cellLines, x + 1.5, this.y + 4.5);
+        x += columns[i].width * this.contentWidth;
+      });
+      this.y += height;
+    });
+    this.y += 6;
+  }
+
+  // Diagonal stamp across every page. It is drawn over the content, so
+  // it is kept faint enough to read through.
+  watermark(text) {
+    const { pdf } = this;
+    const total = pdf.getNumberOfPages();
+    for (let page = 1; page <= total; page++) {
+      pdf.setPage(page);
+      pdf.saveGraphicsState();
+      pdf.setGState(new pdf.GState({ opacity: 0.12 }));
+      this.setFont("bold");
+      pdf.setFontSize(40);
+      pdf.setTextColor(185, 28, 28);
+      this.text(text, this.pageWidth / 2, this.pageHeight / 2, {
+        align: "center",
+        angle: 45,
+      });
+      pdf.restoreGraphicsState();
+    }
+  }
+
+  footers(report, generatedAt) {
+    const { pdf } = this;
+    const total = pdf.getNumberOfPages();
+    for (let page = 1; page <= total; page++) {
+      pdf.setPage(page);
+      this.setFont("normal");
+      pdf.setFontSize(8);
+      pdf.setTextColor(107, 114, 128);
+      const y = this.pageHeight - PAGE_MARGIN + 2;
+      this.text(
+        `${report.hospitalName || ""} · ${periodLabel(report)} · ${t(
+          "pdf.generated",
+          { time: formatDateTime(generatedAt) }
+        )}`,
+        PAGE_MARGIN,
+        y
+      );
+      this.text(
+        t("pdf.page", { page: formatNumber(page), total: formatNumber(total) }),
+        this.pageWidth - PAGE_MARGIN,
+        y,
+        { align: "right" }
+      );
+    }
+  }
+}
+
+// The report body in order: { metrics: [keys] } for a run of metric
+// cards, { chart } for a captured chart and { cases: true } for the case
+// table. Without a layout: all metrics, every chart, then the cases.
+function bodySections(layout, charts) {
+  if (!layout) {
+    return [
+      { metrics: METRICS },
+      ...charts.map((chart) => ({ chart })),
+      { cases: true },
+    ];
+  }
+  const sections = [];
+  for (const id of layout) {
+    const last = sections[sections.length - 1];
+    if (METRICS.includes(id)) {
+      if (last?.metrics) last.metrics.push(id);
+      else sections.push({ metrics: [id] });
+    } else if (id === "topCases") {
+      sections.push({ cases: true });
+    } else {
+      // charts with nothing to plot were not captured
+      const chart = charts.find((c) => c.id === id);
+      if (chart) sections.push({ chart });
+    }
+  }
+  return sections;
+}
+
+// Resolves to a jsPDF document; call .save(name) on it to download. Text
+// is in the current UI language, laid out right-to-left for RTL locales.
+// watermark (e.g. for privacy mode) is stamped across every page.
+// layout: the dashboard's widget ids in order (see widgetLayout.js);
+// when given, only those sections are written, in that order.
+export async function buildFraudReportPdf({
+  report,
+  cases = [],
+  charts = [],
+  generatedAt = new Date(),
+  watermark = "",
+  layout,
+}) {
+  const writer = new ReportWriter({ rtl: getDirection() === "rtl" });
+  const font = LOCALE_FONTS[getLocale()];
+  if (font) await writer.useFont(font);
+
+  writer.cover(report, generatedAt, {
+    riskLevel: !layout || layout.includes("riskBanner"),
+  });
+
+  writer.newPage();
+  let metricsHeading = true;
+  for (const section of bodySections(layout, charts)) {
+    if (section.metrics) {
+      writer.metricCards(report, section.metrics, {
+        heading: metricsHeading,
+      });
+      metricsHeading = false;
+    } else if (section.chart) {
+      writer.chart(section.chart);
+    } else {
+      writer.ensureSpace(30);
+      writer.heading(t("pdf.topCases", { count: cases.length }));
+      if (cases.length === 0) {
+        writer.paragraph(t("pdf.noCases"));
+      } else {
+        writer.table(CASE_COLUMNS, cases);
+      }
+    }
+  }
+
+  writer.footers(report, generatedAt);
+  if (watermark) writer.watermark(watermark);
+  return writer.pdf;
+}
@@ -0,0 +1,302 @@
+// src/periods.js
+//
+// Report periods. The filter screen picks a preset (full year, quarter,
+// month, last 30/90 days or a custom range), which resolves to the
+// parameters a report is loaded with:
+//   { year, quarter, periodStart, periodEnd }
+// where quarter is "" for the full year and periodStart/periodEnd are
+// ISO dates ("YYYY-MM-DD") for date ranges, "" otherwise.
+//
+// Backends without date-range support only report whole quarters, so a
+// range is then loaded as the quarters covering it and combined here.
+
+import { formatDate, t } from "./i18n";
+
+export const PERIOD_PRESETS = [
+  "year",
+  "quarter",
+  "month",
+  "last30",
+  "last90",
+  "custom",
+];
+
+// presets that resolve to a date range rather than a year/quarter
+export const RANGE_PRESETS = ["month", "last30", "last90", "custom"];
+
+const RISK_LEVEL_ORDER = ["LOW", "MEDIUM", "HIGH"];
+
+const REPORT_TOTALS = [
+  "totalPrescriptions",
+  "highRiskCases",
+  "mediumRiskCases",
+  "lowRiskCases",
+  "controlledDrugUse",
+  "activeAlerts",
+];
+
+// ---------------- Dates ----------------
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function isoDate(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Local calendar date, so "today" matches the user's clock.
+export function toIsoDate(date) {
+  return isoDate(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+export function isIsoDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || "");
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function addDays(iso, days) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d + days));
+  return isoDate(
+    date.getUTCFullYear(),
+    date.getUTCMonth() + 1,
+    date.getUTCDate()
+  );
+}
+
+// Same day `years` later (Feb 29 becomes Feb 28).
+function addYears(iso, years) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return isoDate(y + years, m, Math.min(d, daysInMonth(y + years, m)));
+}
+
+// "1 Mar 2024 – 15 Apr 2024" in the current locale. ISO dates are read
+// as local calendar days; new Date("YYYY-MM-DD") would mean UTC midnight.
+export function formatDateRange(start, end) {
+  const local = (iso) => {
+    const [y, m, d] = iso.split("-").map(Number);
+    return new Date(y, m - 1, d);
+  };
+  return `${formatDate(local(start))} – ${formatDate(local(end))}`;
+}
+
+// [{ year, quarter }] for every quarter overlapping start..end.
+export function coveringQuarters(start, end) {
+  const quarters = [];
+  let year = Number(start.slice(0, 4));
+  let quarter = Math.ceil(Number(start.slice(5, 7)) / 3);
+  const lastYear = Number(end.slice(0, 4));
+  const lastQuarter = Math.ceil(Number(end.slice(5, 7)) / 3);
+  while (year < lastYear || (year === lastYear && quarter <= lastQuarter)) {
+    quarters.push({ year, quarter });
+    quarter += 1;
+    if (quarter > 4) {
+      quarter = 1;
+      year += 1;
+    }
+  }
+  return quarters;
+}
+
+// ---------------- Presets ----------------
+
+export function isRangePeriod(params) {
+  return !!params?.periodStart;
+}
+
+// Filter-screen state -> report parameters. `period` is
+// { preset, year, quarter, month, startDate, endDate } with month 1-12;
+// only the fields the preset uses need to be set.
+export function resolvePeriod(period, today = new Date()) {
+  const { preset } = period;
+  if (preset === "year" || preset === "quarter") {
+    return {
+      year: Number(period.year),
+      quarter: preset === "quarter" ? Number(period.quarter) || 1 : "",
+      periodStart: "",
+      periodEnd: "",
+    };
+  }
+
+  let start = "";
+  let end = "";
+  if (preset === "month" && period.year && period.month) {
+    const y = Number(period.year);
+    const m = Number(period.month);
+    start = isoDate(y, m, 1);
+    end = isoDate(y, m, daysInMonth(y, m));
+  } else if (preset === "last30" || preset === "last90") {
+    end = toIsoDate(today);
+    start = addDays(end, preset === "last30" ? -29 : -89);
+  } else if (preset === "custom") {
+    start = period.startDate || "";
+    end = period.endDate || "";
+  }
+  return {
+    year: isIsoDate(end) ? Number(end.slice(0, 4)) : Number(period.year),
+    quarter: "",
+    periodStart: start,
+    periodEnd: end,
+  };
+}
+
+// Catalog key describing what is missing or wrong in filter-screen
+// state, or "" when it resolves to a usable period.
+export function periodError(period) {
+  if (!RANGE_PRESETS.includes(period.preset)) {
+    return period.year ? "" : "filters.needYear";
+  }
+  const { periodStart, periodEnd } = resolvePeriod(period);
+  if (!isIsoDate(periodStart) || !isIsoDate(periodEnd)) {
+    return "filters.needRange";
+  }
+  return periodStart > periodEnd ? "filters.rangeOrder" : "";
+}
+
+// Report parameters (from a route or the last session) -> filter-screen
+// state. Whole months come back as the month preset, other ranges as
+// custom, since "last 30 days" no longer means the same dates.
+export function periodFromParams(params) {
+  const base = {
+    preset: "year",
+    year: params.year ?? null,
+    quarter: 1,
+    month: 1,
+    startDate: "",
+    endDate: "",
+  };
+  if (isRangePeriod(params)) {
+    const { periodStart: start, periodEnd: end } = params;
+    const [y, m] = start.split("-").map(Number);
+    const wholeMonth =
+      start.endsWith("-01") &&
+      end === isoDate(y, m, daysInMonth(y, m));
+    return wholeMonth
+      ? { ...base, preset: "month", year: y, month: m }
+      : { ...base, preset: "custom", startDate: start, endDate: end };
+  }
+  if (params.quarter !== "" && params.quarter !== undefined) {
+    return { ...base, preset: "quarter", quarter: Number(params.quarter) };
+  }
+  return base;
+}
+
+// The same period `years` earlier or later, for year-over-year deltas.
+export function shiftPeriod(params, years) {
+  if (!isRangePeriod(params)) {
+    return { ...params, year: params.year + years };
+  }
+  return {
+    ...params,
+    year: params.year + years,
+    periodStart: addYears(params.periodStart, years),
+    periodEnd: addYears(params.periodEnd, years),
+  };
+}
+
+// "2024 Q2" in the current language.
+export function quarterLabel({ year, quarter }) {
+  return t("periods.quarterLabel", { year, quarter });
+}
+
+// ---------------- Combining quarterly reports ----------------
+
+// Averages each drug's score over the quarters that list it.
+function combineDrugs(reports) {
+  const drugs = new Map();
+  for (const report of reports) {
+    for (const drug of report.topSuspiciousDrugs) {
+      const entry = drugs.get(drug.drug_name) || { ...drug, scores: [] };
+      entry.scores.push(drug.avg_fraud_score);
+      drugs.set(drug.drug_name, entry);
+    }
+  }
+  const limit = Math.max(
+    0,
+    ...reports.map((r) => r.topSuspiciousDrugs.length)
+  );
+  return [...drugs.values()]
+    .map(({ scores, ...drug }) => ({
+      ...drug,
+      avg_fraud_score: scores.reduce((a, b) => a + b, 0) / scores.length,
+    }))
+    .sort((a, b) => b.avg_fraud_score - a.avg_fraud_score)
+    .slice(0, limit);
+}
+
+// Monthly points from every quarter; months given as "YYYY-MM" outside
+// the range are dropped, other labels are kept as they are.
+function combineTrend(reports, start, end) {
+  const seen = new Set();
+  const trend = [];
+  for (const report of reports) {
+    for (const point of report.trend) {
+      if (seen.has(point.month)) continue;
+      const month = /^\d{4}-\d{2}/.exec(point.month)?.[0];
+      if (month && (month < start.slice(0, 7) || month > end.slice(0, 7))) {
+        continue;
+      }
+      seen.add(point.month);
+      trend.push(point);
+    }
+  }
+  return trend;
+}
+
+// One report for start..end built from the reports of the quarters
+// covering it (in the order of `quarters`). Counts are those of the whole
+// quarters, so the result is marked approximate.
+export function combineQuarterReports(reports, quarters, start, end) {
+  const [first] = reports;
+  const cachedTimes = reports.map((r) => r.cachedAt).filter(Boolean);
+  const combined = {
+    ...first,
+    year: Number(end.slice(0, 4)),
+    quarter: null,
+    periodStart: start,
+    periodEnd: end,
+    approximate: true,
+    coveredQuarters: quarters.map(quarterLabel),
+    warnings: reports.flatMap((r) => r.warnings || []),
+    // the oldest cached part, if any came from the cache
+    cachedAt: cachedTimes.length ? Math.min(...cachedTimes) : null,
+  };
+
+  for (const key of REPORT_TOTALS) {
+    combined[key] = reports.reduce((sum, r) => sum + (r[key] || 0), 0);
+  }
+
+  combined.riskDistribution = {};
+  for (const report of reports) {
+    for (const [band, count] of Object.entries(report.riskDistribution)) {
+      combined.riskDistribution[band] =
+        (combined.riskDistribution[band] || 0) + count;
+    }
+  }
+
+  combined.hospitalRiskLevel = reports
+    .map((r) => r.hospitalRiskLevel)
+    .reduce(
+      (worst, level) =>
+        RISK_LEVEL_ORDER.indexOf(level) > RISK_LEVEL_ORDER.indexOf(worst)
+          ? level
+          : worst,
+      ""
+    );
+
+  combined.summary =
+    reports.length === 1
+      ? first.summary
+      : reports
+          .map((r, i) =>
+            r.summary ? `${quarterLabel(quarters[i])}: ${r.summary}` : ""
+          )
+          .filter(Boolean)
+          .join(" ");
+
+  combined.topSuspiciousDrugs = combineDrugs(reports);
+  combined.trend = combineTrend(reports, start, end);
+  return combined;
+}
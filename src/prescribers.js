@@ -0,0 +1,95 @@
+// src/prescribers.js
+//
+// Groups flagged cases by prescribing doctor so a single prescriber
+// behind a cluster of suspicious scripts stands out.
+
+const BANDS = ["High", "Medium", "Low"];
+
+// "HIGH", "high risk", ... -> "High"; anything else -> null
+export function bandOf(riskBand) {
+  const key = String(riskBand || "").toLowerCase();
+  return BANDS.find((b) => key.includes(b.toLowerCase())) || null;
+}
+
+function mean(values) {
+  return values.length === 0
+    ? null
+    : values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Share of each band, { High, Medium, Low } summing to 1 (or all 0).
+export function bandShares(counts) {
+  const total = BANDS.reduce((sum, b) => sum + (counts[b] || 0), 0);
+  return Object.fromEntries(
+    BANDS.map((b) => [b, total === 0 ? 0 : (counts[b] || 0) / total])
+  );
+}
+
+// One profile per doctor_id, most cases first:
+// { doctorId, caseCount, meanScore, maxScore, bands, topDrugs, cases }
+// cases are sorted by date for the timeline.
+export function buildPrescriberProfiles(cases) {
+  const byDoctor = new Map();
+  for (const c of cases) {
+    if (c.doctor_id === "" || c.doctor_id === null) continue;
+    const id = String(c.doctor_id);
+    if (!byDoctor.has(id)) byDoctor.set(id, []);
+    byDoctor.get(id).push(c);
+  }
+
+  const profiles = [...byDoctor.entries()].map(([doctorId, doctorCases]) => {
+    const scores = doctorCases
+      .map((c) => c.final_fraud_score)
+      .filter((s) => typeof s === "number");
+
+    const bands = { High: 0, Medium: 0, Low: 0 };
+    const drugs = new Map();
+    for (const c of doctorCases) {
+      const band = bandOf(c.risk_band);
+      if (band) bands[band] += 1;
+      drugs.set(c.drug_name, (drugs.get(c.drug_name) || 0) + 1);
+    }
+
+    return {
+      doctorId,
+      caseCount: doctorCases.length,
+      meanScore: mean(scores),
+      maxScore: scores.length > 0 ? Math.max(...scores) : null,
+      bands,
+      topDrugs: [...drugs.entries()]
+        .map(([drugName, count]) => ({ drugName, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 5),
+      cases: [...doctorCases].sort((a, b) =>
+        String(a.date).localeCompare(String(b.date))
+      ),
+    };
+  });
+
+  return profiles.sort(
+    (a, b) =>
+      b.caseCount - a.caseCount || (b.meanScore ?? 0) - (a.meanScore ?? 0)
+  );
+}
+
+// Hospital-wide baseline the doctor is compared against: the mean score
+// over all flagged cases and the report's risk distribution.
+export function hospitalBaseline(cases, riskDistribution) {
+  return {
+    meanScore: mean(
+      cases
+        .map((c) => c.final_fraud_score)
+        .filter((s) => typeof s === "number")
+    ),
+    shares: bandShares(riskDistribution || {}),
+  };
+}
+
+// Fraction of prescribers whose mean score is below this one's.
+export function scorePercentile(profile, profiles) {
+  if (profile.meanScore === null || profiles.length < 2) return null;
+  const below = profiles.filter(
+    (p) => p.meanScore !== null && p.meanScore < profile.meanScore
+  ).length;
+  return below / (profiles.length - 1);
+}
@@ -0,0 +1,142 @@
+// src/privacy.js
+//
+// Privacy mode: patient and doctor identifiers are replaced with aliases
+// derived from a salted hash, so the same patient keeps the same alias
+// for the whole browser session while the real ID can't be read off a
+// screen, export or PDF. The salt is random per session and never leaves
+// the browser. Free-text identifying fields are blanked out entirely.
+
+const MODE_KEY = "fraud-dashboard:privacy-mode";
+const SALT_KEY = "fraud-dashboard:privacy-salt";
+const LINKS_KEY = "fraud-dashboard:privacy-links";
+
+// field -> alias prefix
+const PSEUDONYM_FIELDS = { patient_id: "P", doctor_id: "D" };
+const MASKED_FIELDS = [
+  "patient_name",
+  "doctor_name",
+  "national_id",
+  "phone",
+  "email",
+];
+const MASK = "•••";
+
+function sessionSalt() {
+  let salt = sessionStorage.getItem(SALT_KEY);
+  if (!salt) {
+    const bytes = crypto.getRandomValues(new Uint32Array(4));
+    salt = Array.from(bytes, (n) => n.toString(36)).join("");
+    sessionStorage.setItem(SALT_KEY, salt);
+  }
+  return salt;
+}
+
+// cyrb53: fast 53-bit string hash, good enough to keep aliases distinct;
+// the secret salt is what stops aliases being mapped back to IDs.
+function hash53(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507);
+  h1 ^= Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507);
+  h2 ^= Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+const aliases = new Map();
+
+// Stable alias for one identifier field, e.g. pseudonym("patient_id", 42)
+// -> "P-7K2M9Q".
+export function pseudonym(field, value) {
+  if (value === null || value === undefined || value === "") return value;
+  const key = `${field}:${value}`;
+  if (!aliases.has(key)) {
+    const code = hash53(`${sessionSalt()}|${key}`)
+      .toString(36)
+      .toUpperCase()
+      .padStart(6, "0")
+      .slice(-6);
+    aliases.set(key, `${PSEUDONYM_FIELDS[field] || "X"}-${code}`);
+  }
+  return aliases.get(key);
+}
+
+// Alias for an identifier that is written somewhere it must be read back
+// from later, e.g. the URL. The mapping is kept for the browser session
+// so the alias still resolves after a reload.
+export function linkedAlias(field, value) {
+  const alias = pseudonym(field, value);
+  if (alias === value) return alias;
+  const links = readLinks();
+  if (links[alias] !== String(value)) {
+    links[alias] = String(value);
+    sessionStorage.setItem(LINKS_KEY, JSON.stringify(links));
+  }
+  return alias;
+}
+
+function readLinks() {
+  try {
+    return JSON.parse(sessionStorage.getItem(LINKS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// The identifier behind an alias handed out this session (e.g. one read
+// from the URL or typed into a filter); anything else is returned as it
+// is.
+export function resolveAlias(field, alias) {
+  if (!alias) return alias;
+  const prefix = `${field}:`;
+  for (const [key, value] of aliases) {
+    if (value === alias && key.startsWith(prefix)) {
+      return key.slice(prefix.length);
+    }
+  }
+  const linked = readLinks()[alias];
+  return linked !== undefined && alias.startsWith(PSEUDONYM_FIELDS[field])
+    ? linked
+    : alias;
+}
+
+// The value to show for an identifier field in the current mode.
+export function displayId(field, value, privacy) {
+  return privacy ? pseudonym(field, value) : value;
+}
+
+const maskedCases = new WeakSet();
+
+// Copy of a case with identifiers replaced. Already-masked cases are
+// returned as they are, so masking twice doesn't re-hash aliases.
+export function maskCase(caseItem) {
+  if (!caseItem || maskedCases.has(caseItem)) return caseItem;
+  const masked = { ...caseItem };
+  for (const field of Object.keys(PSEUDONYM_FIELDS)) {
+    if (field in masked) masked[field] = pseudonym(field, masked[field]);
+  }
+  for (const field of MASKED_FIELDS) {
+    if (masked[field] !== undefined && masked[field] !== null) {
+      masked[field] = MASK;
+    }
+  }
+  maskedCases.add(masked);
+  return masked;
+}
+
+export function maskCases(cases, privacy = true) {
+  return privacy ? cases.map(maskCase) : cases;
+}
+
+export function loadPrivacyMode() {
+  return sessionStorage.getItem(MODE_KEY) === "on";
+}
+
+export function savePrivacyMode(on) {
+  sessionStorage.setItem(MODE_KEY, on ? "on" : "off");
+}
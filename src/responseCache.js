@@ -0,0 +1,94 @@
+// src/responseCache.js
+//
+// IndexedDB cache for backend payloads with a TTL and
+// stale-while-revalidate: fresh entries are served without a request,
+// stale ones are served immediately and refreshed in the background.
+// Any stored entry is used when the network is unavailable. Entries are
+// cleared on sign-out so the next user can't read them.
+
+import { getStore, promisify } from "./db";
+import { isAbortError } from "./apiClient";
+import { onLogout } from "./auth";
+
+const STORE = "responses";
+
+const DEFAULT_TTL_MS =
+  (Number(import.meta.env.VITE_CACHE_TTL_MINUTES) || 10) * 60 * 1000;
+
+// Entries older than this are dropped instead of served offline.
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+async function readEntry(key) {
+  try {
+    const store = await getStore(STORE);
+    const entry = await promisify(store.get(key));
+    if (!entry || Date.now() - entry.storedAt > MAX_AGE_MS) return null;
+    return entry;
+  } catch (err) {
+    console.warn("Response cache unavailable", err);
+    return null;
+  }
+}
+
+async function writeEntry(key, data) {
+  try {
+    const store = await getStore(STORE, "readwrite");
+    await promisify(store.put({ key, data, storedAt: Date.now() }));
+  } catch (err) {
+    console.warn("Failed to write response cache", err);
+  }
+}
+
+async function fetchAndStore(key, fetcher, signal) {
+  const data = await fetcher(signal);
+  await writeEntry(key, data);
+  return data;
+}
+
+function isOffline() {
+  return typeof navigator !== "undefined" && navigator.onLine === false;
+}
+
+// Returns { data, cachedAt } where cachedAt is the time (ms) the served
+// payload was stored, or null when it came straight from the network.
+// onRevalidate(data) is called when a stale entry has been refreshed.
+// refresh skips the cache read (the response still replaces the entry),
+// for callers that need what the backend has right now.
+export async function cachedFetch(
+  key,
+  fetcher,
+  { ttlMs = DEFAULT_TTL_MS, signal, onRevalidate, refresh = false } = {}
+) {
+  const entry = refresh ? null : await readEntry(key);
+
+  if (entry && Date.now() - entry.storedAt < ttlMs) {
+    return { data: entry.data, cachedAt: entry.storedAt };
+  }
+
+  if (entry) {
+    if (!isOffline()) {
+      fetchAndStore(key, fetcher, signal)
+        .then((data) => onRevalidate?.(data))
+        .catch((err) => {
+          if (!isAbortError(err)) {
+            console.warn(`Failed to revalidate ${key}`, err);
+          }
+        });
+    }
+    return { data: entry.data, cachedAt: entry.storedAt };
+  }
+
+  const data = await fetchAndStore(key, fetcher, signal);
+  return { data, cachedAt: null };
+}
+
+export async function clearResponseCache() {
+  try {
+    const store = await getStore(STORE, "readwrite");
+    await promisify(store.clear());
+  } catch (err) {
+    console.warn("Failed to clear response cache", err);
+  }
+}
+
+onLogout(clearResponseCache);
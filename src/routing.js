@@ -0,0 +1,133 @@
+// src/routing.js
+//
+// Hash routes for the dashboard screens:
+//   #/                                        filter screen
+//   #/hospital/:id/:year/:period[/:tab]       single hospital report
+//   #/hospital/:id/:year/:period/drugs/:drug  drug analytics page
+//   #/compare/:year/:period/:id,:id,...       hospital comparison
+// where :period is "year" for the full year, "q1".."q4", or a date range
+// "YYYY-MM-DD..YYYY-MM-DD" (reports only; :year is then the end year).
+// Hash routing keeps deep links working on static hosting without
+// server rewrites; case explorer filters stay in the query string.
+
+export const FILTERS_ROUTE = { name: "filters" };
+
+const REPORT_TABS = [
+  "overview",
+  "cases",
+  "prescribers",
+  "patients",
+  "drugs",
+  "trends",
+];
+
+const RANGE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/;
+
+// -> { quarter, periodStart, periodEnd }; quarter is "" for the full year
+// or a range, and the dates are "" unless it is a range.
+function parsePeriod(segment) {
+  const range = RANGE_PATTERN.exec(segment || "");
+  if (range) {
+    return { quarter: "", periodStart: range[1], periodEnd: range[2] };
+  }
+  const match = /^q([1-4])$/i.exec(segment || "");
+  return {
+    quarter: match ? Number(match[1]) : "",
+    periodStart: "",
+    periodEnd: "",
+  };
+}
+
+function formatPeriod({ quarter, periodStart, periodEnd }) {
+  if (periodStart) return `${periodStart}..${periodEnd}`;
+  return quarter === "" || quarter === undefined ? "year" : `q${quarter}`;
+}
+
+export function parseRoute(hash = window.location.hash) {
+  const parts = hash
+    .replace(/^#\/?/, "")
+    .split("/")
+    .filter(Boolean);
+
+  if (parts[0] === "hospital" && parts.length >= 3) {
+    const year = Number(parts[2]);
+    if (!parts[1] || !Number.isInteger(year)) return FILTERS_ROUTE;
+    const tab = REPORT_TABS.includes(parts[4]) ? parts[4] : "overview";
+    return {
+      name: "report",
+      hospitalId: decodeURIComponent(parts[1]),
+      year,
+      ...parsePeriod(parts[3]),
+      tab,
+      drug: tab === "drugs" && parts[5] ? decodeURIComponent(parts[5]) : "",
+    };
+  }
+
+  if (parts[0] === "compare" && parts.length >= 4) {
+    const year = Number(parts[1]);
+    const hospitalIds = parts[3]
+      .split(",")
+      .filter(Boolean)
+      .map(decodeURIComponent);
+    if (!Number.isInteger(year) || hospitalIds.length === 0) {
+      return FILTERS_ROUTE;
+    }
+    return {
+      name: "compare",
+      year,
+      quarter: parsePeriod(parts[2]).quarter,
+      hospitalIds,
+    };
+  }
+
+  return FILTERS_ROUTE;
+}
+
+export function buildHash(route) {
+  const enc = encodeURIComponent;
+  switch (route.name) {
+    case "report": {
+      const period = formatPeriod(route);
+      const base = `#/hospital/${enc(route.hospitalId)}/${route.year}/${period}`;
+      if (route.tab === "drugs" && route.drug) {
+        return `${base}/drugs/${enc(route.drug)}`;
+      }
+      return route.tab && route.tab !== "overview"
+        ? `${base}/${route.tab}`
+        : base;
+    }
+    case "compare": {
+      const period = formatPeriod({ quarter: route.quarter });
+      const ids = route.hospitalIds.map(enc).join(",");
+      return `#/compare/${route.year}/${period}/${ids}`;
+    }
+    default:
+      return "#/";
+  }
+}
+
+// Updates the hash route. Pushes a history entry by default so
+// back/forward move between screens; pass { replace: true } for
+// changes that shouldn't add one.
+export function navigate(route, { replace = false } = {}) {
+  const url = new URL(window.location.href);
+  url.hash = buildHash(route);
+  if (url.href === window.location.href) return;
+  if (replace) {
+    window.history.replaceState(null, "", url);
+  } else {
+    window.history.pushState(null, "", url);
+  }
+}
+
+export function sameReport(a, b) {
+  return (
+    !!a &&
+    !!b &&
+    String(a.hospitalId) === String(b.hospitalId) &&
+    Number(a.year) === Number(b.year) &&
+    String(a.quarter ?? "") === String(b.quarter ?? "") &&
+    (a.periodStart || "") === (b.periodStart || "") &&
+    (a.periodEnd || "") === (b.periodEnd || "")
+  );
+}
@@ -0,0 +1,346 @@
+// src/schemas.js
+//
+// Runtime validation and normalization of backend payloads. Each
+// normalize* function takes the raw JSON and returns { value, warnings }:
+// value always has the documented shape (safe defaults filled in) and
+// warnings lists what was missing, mistyped or unexpected so the UI can
+// show a data-quality notice instead of crashing.
+
+// Field spec: { type, default, aliases?, optional?, nullable? }
+// type is "string" | "number" | "id" (string or number) | "array" | "any".
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function coerce(value, spec, where, warnings) {
+  if (value === null && spec.nullable) return null;
+
+  switch (spec.type) {
+    case "number": {
+      if (typeof value === "number" && Number.isFinite(value)) return value;
+      const n = typeof value === "string" ? Number(value) : NaN;
+      if (value !== "" && Number.isFinite(n)) {
+        warnings.push(`${where}: expected a number, got string "${value}"`);
+        return n;
+      }
+      break;
+    }
+    case "string":
+      if (typeof value === "string") return value;
+      if (typeof value === "number") return String(value);
+      break;
+    case "id":
+      if (typeof value === "string" || typeof value === "number") {
+        return value;
+      }
+      break;
+    case "array":
+      if (Array.isArray(value)) return value;
+      break;
+    default:
+      return value;
+  }
+
+  warnings.push(
+    `${where}: expected ${spec.type}, got ${typeOf(value)}; using default`
+  );
+  return spec.default;
+}
+
+// Normalizes a flat object against a field spec map. Returns the object
+// keyed by spec names; fields outside the spec are reported unless listed
+// in `expected` and, with passthrough, kept as they are. Passing an
+// `unknown` Set collects their names instead of reporting them.
+function normalizeFields(
+  raw,
+  fields,
+  where,
+  warnings,
+  { passthrough = false, expected = [], unknown } = {}
+) {
+  if (typeOf(raw) !== "object") {
+    warnings.push(`${where}: expected an object, got ${typeOf(raw)}`);
+    raw = {};
+  }
+
+  const out = {};
+  const known = new Set();
+
+  for (const [name, spec] of Object.entries(fields)) {
+    const keys = [name, ...(spec.aliases || [])];
+    keys.forEach((k) => known.add(k));
+    const key = keys.find((k) => raw[k] !== undefined);
+
+    if (key === undefined) {
+      if (!spec.optional) {
+        warnings.push(`${where}: missing "${name}"`);
+      }
+      out[name] = spec.default;
+    } else {
+      out[name] = coerce(raw[key], spec, `${where}.${key}`, warnings);
+    }
+  }
+
+  const extra = Object.keys(raw).filter((k) => !known.has(k));
+  if (passthrough) {
+    for (const k of extra) out[k] = raw[k];
+  }
+  const unexpected = extra.filter((k) => !expected.includes(k));
+  if (unknown) {
+    unexpected.forEach((k) => unknown.add(k));
+  } else if (unexpected.length > 0) {
+    warnings.push(`${where}: unknown field(s) ${unexpected.join(", ")}`);
+  }
+
+  return out;
+}
+
+// Unknown fields are reported once for the whole list, not per item.
+function normalizeList(items, fields, where, warnings, options) {
+  const unknown = new Set();
+  const list = items.map((item, i) =>
+    normalizeFields(item, fields, `${where}[${i}]`, warnings, {
+      ...options,
+      unknown,
+    })
+  );
+  if (unknown.size > 0) {
+    warnings.push(`${where}: unknown field(s) ${[...unknown].join(", ")}`);
+  }
+  return list;
+}
+
+// ---------------- Hospitals & Years ----------------
+
+const HOSPITAL_FIELDS = {
+  id: { type: "id", default: "" },
+  name: { type: "string", default: "" },
+  label: { type: "string", default: "", optional: true },
+};
+
+export function normalizeHospitals(data) {
+  const warnings = [];
+  const root = normalizeFields(
+    data,
+    { hospitals: { type: "array", default: [] } },
+    "hospitals",
+    warnings
+  );
+
+  const value = normalizeList(
+    root.hospitals,
+    HOSPITAL_FIELDS,
+    "hospitals",
+    warnings,
+    // grouped by in the hospital picker (hospitalSearch.GROUP_FIELDS)
+    { passthrough: true, expected: ["region", "type"] }
+  )
+    .filter((h, i) => {
+      if (h.id === "") {
+        warnings.push(`hospitals[${i}]: dropped, no id`);
+        return false;
+      }
+      return true;
+    })
+    .map((h) => ({ ...h, label: h.label || h.name || String(h.id) }));
+
+  return { value, warnings };
+}
+
+export function normalizeYears(data) {
+  const warnings = [];
+  const root = normalizeFields(
+    data,
+    { years: { type: "array", default: [] } },
+    "years",
+    warnings
+  );
+
+  const value = root.years
+    .map((y, i) => coerce(y, { type: "number" }, `years[${i}]`, warnings))
+    .filter((y) => Number.isInteger(y))
+    .sort((a, b) => a - b);
+
+  return { value, warnings };
+}
+
+// ---------------- Fraud report ----------------
+
+const TREND_FIELDS = {
+  month: { type: "string", default: "" },
+  value: { type: "number", default: 0 },
+};
+
+const DRUG_FIELDS = {
+  drug_name: { type: "string", default: "Unknown" },
+  avg_fraud_score: { type: "number", default: 0 },
+};
+
+const REPORT_FIELDS = {
+  hospital_id: { type: "id", default: "" },
+  hospital_name: { type: "string", default: "" },
+  year: { type: "number", default: null },
+  quarter: { type: "any", default: null, optional: true },
+  total_prescriptions: { type: "number", default: 0 },
+  high_risk_cases: { type: "number", default: 0 },
+  medium_risk_cases: { type: "number", default: 0 },
+  low_risk_cases: { type: "number", default: 0 },
+  controlled_drug_use: { type: "number", default: 0 },
+  active_alerts: { type: "number", default: 0 },
+  risk_level: {
+    type: "string",
+    default: "",
+    aliases: ["hospital_risk_level"],
+  },
+  summary: { type: "string", default: "", optional: true },
+  fraud_trend_last_3_months: {
+    type: "array",
+    default: [],
+    aliases: ["trend_last_3_months"],
+  },
+  top_suspicious_drugs: { type: "array", default: [] },
+  risk_distribution: { type: "any", default: {} },
+};
+
+// risk_distribution can be an object {High, Medium, Low}
+// or an array of {name, value}. Handle both.
+function normalizeRiskDistribution(raw, warnings) {
+  const out = { High: 0, Medium: 0, Low: 0 };
+  const entries = Array.isArray(raw)
+    ? raw.filter(Boolean).map((item) => [item.name, item.value])
+    : typeOf(raw) === "object"
+    ? Object.entries(raw)
+    : null;
+
+  if (!entries) {
+    warnings.push(
+      `fraud-report.risk_distribution: expected an object or array, got ${typeOf(
+        raw
+      )}`
+    );
+    return out;
+  }
+
+  for (const [name, value] of entries) {
+    const key = String(name || "").toLowerCase();
+    const band = key.includes("high")
+      ? "High"
+      : key.includes("medium")
+      ? "Medium"
+      : key.includes("low")
+      ? "Low"
+      : null;
+    if (!band) {
+      warnings.push(`fraud-report.risk_distribution: unknown band "${name}"`);
+      continue;
+    }
+    out[band] = coerce(
+      value,
+      { type: "number", default: 0 },
+      `fraud-report.risk_distribution.${band}`,
+      warnings
+    );
+  }
+  return out;
+}
+
+export function normalizeFraudReport(data) {
+  const warnings = [];
+  const r = normalizeFields(data, REPORT_FIELDS, "fraud-report", warnings);
+
+  const value = {
+    hospitalId: r.hospital_id,
+    hospitalName: r.hospital_name,
+    year: r.year,
+    quarter: r.quarter,
+    totalPrescriptions: r.total_prescriptions,
+    highRiskCases: r.high_risk_cases,
+    mediumRiskCases: r.medium_risk_cases,
+    lowRiskCases: r.low_risk_cases,
+    controlledDrugUse: r.controlled_drug_use,
+    activeAlerts: r.active_alerts,
+    hospitalRiskLevel: r.risk_level.toUpperCase(),
+    summary: r.summary,
+    trend: normalizeList(
+      r.fraud_trend_last_3_months,
+      TREND_FIELDS,
+      "fraud-report.trend",
+      warnings,
+      { passthrough: true }
+    ),
+    topSuspiciousDrugs: normalizeList(
+      r.top_suspicious_drugs,
+      DRUG_FIELDS,
+      "fraud-report.top_suspicious_drugs",
+      warnings,
+      // typical quantity for the case drill-down (caseDetails.js)
+      {
+        passthrough: true,
+        expected: ["typical_quantity", "median_quantity", "avg_quantity"],
+      }
+    ),
+    riskDistribution: normalizeRiskDistribution(r.risk_distribution, warnings),
+  };
+
+  return { value, warnings };
+}
+
+// ---------------- Top cases ----------------
+
+const CASE_FIELDS = {
+  prescription_id: { type: "id", default: "" },
+  drug_name: { type: "string", default: "" },
+  quantity: { type: "number", default: null, nullable: true },
+  patient_id: { type: "id", default: "" },
+  doctor_id: { type: "id", default: "" },
+  date: { type: "string", default: "" },
+  final_fraud_score: { type: "number", default: null, nullable: true },
+  risk_band: { type: "string", default: "" },
+  recommended_action: { type: "string", default: "" },
+};
+
+// optional case fields the analytics and privacy mode read
+const CASE_EXTRA_FIELDS = [
+  "is_controlled",
+  "controlled",
+  "controlled_drug",
+  "days_supply",
+  "patient_name",
+  "doctor_name",
+  "national_id",
+  "phone",
+  "email",
+];
+
+const CASES_PAGE_FIELDS = {
+  hospital_id: { type: "id", default: "", optional: true },
+  year: { type: "any", default: null, optional: true },
+  quarter: { type: "any", default: null, optional: true },
+  cases: { type: "array", default: [] },
+  total: { type: "number", default: null, optional: true, nullable: true },
+};
+
+export function normalizeTopCases(data) {
+  const warnings = [];
+  const page = normalizeFields(data, CASES_PAGE_FIELDS, "top-cases", warnings);
+
+  // cases are shown field-by-field in the drill-down, so keep extras
+  const cases = normalizeList(
+    page.cases,
+    CASE_FIELDS,
+    "top-cases.cases",
+    warnings,
+    { passthrough: true, expected: CASE_EXTRA_FIELDS }
+  ).filter((c, i) => {
+    if (c.prescription_id === "") {
+      warnings.push(`top-cases.cases[${i}]: dropped, no prescription_id`);
+      return false;
+    }
+    return true;
+  });
+
+  return { value: { cases, total: page.total }, warnings };
+}
@@ -0,0 +1,35 @@
+// src/test/fetchMock.js
+//
+// Replaces global fetch with a fake backend for one test. `routes` maps
+// an API path ("/api/fraud-report") to the JSON body to answer with, a
+// Response, or a function (url, init) returning either; unknown paths
+// get a 404. Returns the vi.fn so tests can inspect the requests.
+
+import { vi } from "vitest";
+
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export function stubFetch(routes) {
+  const fetch = vi.fn(async (input, init = {}) => {
+    const url = new URL(String(input));
+    const route = routes[url.pathname];
+    if (route === undefined) return jsonResponse({ detail: "Not found" }, 404);
+    const result = typeof route === "function" ? await route(url, init) : route;
+    // a Response body can only be read once; hand out copies
+    return result instanceof Response ? result.clone() : jsonResponse(result);
+  });
+  vi.stubGlobal("fetch", fetch);
+  return fetch;
+}
+
+// The URLs fetch was called with for one path, in call order.
+export function requestsTo(fetch, pathname) {
+  return fetch.mock.calls
+    .map(([input]) => new URL(String(input)))
+    .filter((url) => url.pathname === pathname);
+}
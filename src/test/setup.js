@@ -0,0 +1,29 @@
+// src/test/setup.js
+//
+// Shared setup for the vitest suite (jsdom). Each test starts with empty
+// storage, no response cache, the filter route and real globals.
+
+import "fake-indexeddb/auto";
+import "@testing-library/jest-dom/vitest";
+import { afterEach, vi } from "vitest";
+import { cleanup } from "@testing-library/react";
+import { clearResponseCache } from "../responseCache";
+
+// jsdom has no layout: recharts' ResponsiveContainer observes its size
+// and the hospital picker scrolls the active option into view.
+globalThis.ResizeObserver = class ResizeObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+Element.prototype.scrollIntoView = () => {};
+
+afterEach(async () => {
+  cleanup();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+  await clearResponseCache();
+  localStorage.clear();
+  sessionStorage.clear();
+  window.history.replaceState(null, "", "/");
+});
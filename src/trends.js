@@ -0,0 +1,59 @@
+// src/trends.js
+import { quarterLabel } from "./periods";
+
+// Report metrics charted over time, labelled as `metrics.<key>`.
+export const TREND_METRICS = [
+  { key: "highRiskCases", color: "#FF4D4F" },
+  { key: "activeAlerts", color: "#9254DE" },
+  { key: "controlledDrugUse", color: "#2563EB" },
+];
+
+// Quarter-over-quarter changes at or beyond this fraction are marked.
+export const NOTABLE_CHANGE = 0.25;
+
+// Relative change from previous to current, or null when it can't be
+// computed (missing values or a zero baseline).
+export function percentChange(current, previous) {
+  if (typeof current !== "number" || typeof previous !== "number") return null;
+  if (previous === 0) return null;
+  return (current - previous) / previous;
+}
+
+export function formatChange(change) {
+  if (change === null) return "–";
+  const pct = Math.round(change * 100);
+  return `${pct > 0 ? "+" : ""}${pct}%`;
+}
+
+// Turns getQuarterlyHistory() output into chart points with the
+// quarter-over-quarter change of each metric. Quarters that failed to
+// load or have no prescriptions are skipped.
+export function buildTrendSeries(history) {
+  const points = [];
+
+  for (const entry of history) {
+    const report = entry.report;
+    if (!report || !report.totalPrescriptions) continue;
+
+    const prev = points[points.length - 1];
+    const point = {
+      period: quarterLabel(entry),
+      year: entry.year,
+      quarter: entry.quarter,
+      changes: {},
+    };
+    for (const m of TREND_METRICS) {
+      point[m.key] = report[m.key];
+      point.changes[m.key] = prev
+        ? percentChange(report[m.key], prev[m.key])
+        : null;
+    }
+    points.push(point);
+  }
+
+  return points;
+}
+
+export function isNotableChange(change) {
+  return change !== null && Math.abs(change) >= NOTABLE_CHANGE;
+}
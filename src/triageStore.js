@@ -0,0 +1,77 @@
+// src/triageStore.js
+import { saveCaseTriage } from "./fraudApi";
+import { getStore, promisify } from "./db";
+
+// Labels live in the catalogs under `triage.<status>`.
+export const TRIAGE_STATUSES = [
+  "new",
+  "under_review",
+  "confirmed_fraud",
+  "false_positive",
+  "escalated",
+];
+
+// Statuses that close a case; these are hidden by the "hide resolved" filter.
+export const RESOLVED_STATUSES = ["confirmed_fraud", "false_positive"];
+
+export function isResolved(record) {
+  return !!record && RESOLVED_STATUSES.includes(record.status);
+}
+
+// Syncing to the backend is opt-in until every deployment has the endpoint.
+const SYNC_ENABLED = import.meta.env.VITE_TRIAGE_SYNC === "true";
+
+const STORE = "caseTriage";
+
+// Loads the saved triage records for the given prescription ids,
+// returned as { [prescription_id]: record }.
+export async function loadTriage(prescriptionIds) {
+  const store = await getStore(STORE);
+  const records = await Promise.all(
+    prescriptionIds.map((id) => promisify(store.get(id)))
+  );
+
+  const byId = {};
+  for (const record of records) {
+    if (record) byId[record.prescription_id] = record;
+  }
+  return byId;
+}
+
+// Saves a triage record locally, then pushes it to the backend when sync
+// is enabled. The local copy is written first (unsynced) so a slow sync
+// or a closed tab never loses the decision; a successful sync then marks
+// it synced.
+export async function saveTriage({ prescriptionId, status, note, reviewer }) {
+  const record = {
+    prescription_id: prescriptionId,
+    status,
+    note: note || "",
+    reviewer: reviewer || "",
+    updated_at: new Date().toISOString(),
+    synced: false,
+  };
+
+  const store = await getStore(STORE, "readwrite");
+  await promisify(store.put(record));
+  if (!SYNC_ENABLED) return record;
+
+  try {
+    await saveCaseTriage(record);
+  } catch (err) {
+    console.error("Failed to sync case triage, kept locally", err);
+    return record;
+  }
+  return markSynced(record);
+}
+
+// Flags the saved record synced, unless a newer decision replaced it
+// while the sync was in flight.
+async function markSynced(record) {
+  const synced = { ...record, synced: true };
+  const store = await getStore(STORE, "readwrite");
+  const current = await promisify(store.get(record.prescription_id));
+  if (current && current.updated_at !== record.updated_at) return record;
+  await promisify(store.put(synced));
+  return synced;
+}
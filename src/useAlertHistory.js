@@ -0,0 +1,64 @@
+// src/useAlertHistory.js
+import { useRef, useState } from "react";
+import { periodLabel } from "./pdfReport";
+import { buildHash } from "./routing";
+import { isAbortError } from "./apiClient";
+import { apiParams } from "./useFraudReport";
+import { useDashboard } from "./dashboardStore";
+import {
+  loadAlertHistory,
+  loadRuleCases,
+  loadRules,
+  runAlertRules,
+  saveAlertHistory,
+} from "./alertRules";
+
+// Notifications fired by the user's alert rules. check(report, params)
+// runs the rules against a report loaded with `params`, fetching the
+// period's cases first when a case score rule needs them (reviewers
+// only). A newer check supersedes one still fetching; `refresh` skips
+// the response cache, e.g. for live updates.
+export default function useAlertHistory() {
+  const { canSeeCases } = useDashboard();
+  const [history, setHistory] = useState(loadAlertHistory);
+  const abortRef = useRef(null);
+
+  async function check(report, params, { refresh = false } = {}) {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+
+    let cases = [];
+    if (canSeeCases) {
+      try {
+        cases = await loadRuleCases(loadRules(), {
+          ...apiParams(params),
+          refresh,
+          signal,
+        });
+      } catch (err) {
+        if (isAbortError(err)) return;
+        // the other rules can still be checked
+        console.error("Failed to load cases for alert rules", err);
+      }
+    }
+    if (signal.aborted) return;
+
+    setHistory(
+      runAlertRules({
+        report,
+        cases,
+        reportKey: buildHash({ name: "report", ...params }),
+        periodLabel: periodLabel(report),
+      })
+    );
+  }
+
+  function change(next) {
+    setHistory(next);
+    saveAlertHistory(next);
+  }
+
+  return { history, check, change };
+}
@@ -0,0 +1,104 @@
+// src/useCaseExplorer.js
+import { useRef, useState } from "react";
+import { getCasesPage } from "./fraudApi";
+import { readCaseQueryFromUrl, writeCaseQueryToUrl } from "./caseQuery";
+import { loadTriage, saveTriage } from "./triageStore";
+import { describeApiError, isAbortError } from "./apiClient";
+import { apiParams } from "./useFraudReport";
+import { useI18n } from "./i18n";
+
+// The case explorer's page of cases, its paging / sort / filter query
+// (mirrored in the URL, with the doctor as an alias in privacy mode) and
+// the reviewer triage for the cases on the page.
+//
+// applyPage(page, query, signal) shows a page loaded elsewhere, e.g. with
+// the report; load(params, query) fetches one for the report params.
+export default function useCaseExplorer({ privacy = false } = {}) {
+  const { t } = useI18n();
+  const [cases, setCases] = useState([]);
+  const [query, setQuery] = useState(readCaseQueryFromUrl);
+  const [total, setTotal] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [warnings, setWarnings] = useState([]);
+  // reviewer triage, keyed by prescription_id
+  const [triage, setTriage] = useState({});
+  const abortRef = useRef(null);
+
+  async function applyPage(page, pageQuery, signal) {
+    setCases(page.cases);
+    setTotal(page.total);
+    setWarnings(page.warnings);
+    setQuery(pageQuery);
+    writeCaseQueryToUrl(pageQuery, { privacy });
+
+    // saved triage is a nice-to-have; don't fail the report over it
+    try {
+      const saved = await loadTriage(page.cases.map((c) => c.prescription_id));
+      if (!signal?.aborted) setTriage(saved);
+    } catch (err) {
+      console.error("Failed to load saved triage", err);
+      setTriage({});
+    }
+  }
+
+  async function load(params, nextQuery) {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+
+    try {
+      setLoading(true);
+      const page = await getCasesPage({
+        ...apiParams(params),
+        ...nextQuery,
+        signal,
+        onRevalidate: (fresh) => {
+          if (!signal.aborted) applyPage(fresh, nextQuery, signal);
+        },
+      });
+      await applyPage(page, nextQuery, signal);
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error(err);
+      alert(describeApiError(err, t("errors.casesFailed")));
+    } finally {
+      if (abortRef.current === controller) setLoading(false);
+    }
+  }
+
+  // Abandons a page in flight, e.g. when a new report replaces it.
+  function cancel() {
+    abortRef.current?.abort();
+  }
+
+  function clear() {
+    setCases([]);
+  }
+
+  // Rewrites the URL after privacy mode changes.
+  function writeUrl(urlPrivacy) {
+    writeCaseQueryToUrl(query, { privacy: urlPrivacy });
+  }
+
+  async function saveDecision(prescriptionId, decision) {
+    const record = await saveTriage({ prescriptionId, ...decision });
+    setTriage((prev) => ({ ...prev, [prescriptionId]: record }));
+  }
+
+  return {
+    cases,
+    query,
+    setQuery,
+    total,
+    loading,
+    warnings,
+    triage,
+    applyPage,
+    load,
+    cancel,
+    clear,
+    writeUrl,
+    saveDecision,
+  };
+}
@@ -0,0 +1,57 @@
+// src/useComparison.js
+import { useRef, useState } from "react";
+import { compareHospitals } from "./fraudApi";
+import { isAbortError } from "./apiClient";
+import { useI18n } from "./i18n";
+
+// Comparison mode: several hospitals' reports for the same period.
+//
+// run({ hospitalIds, year, quarter }) resolves with the comparison, or
+// null when a newer run or cancel() superseded it, and rejects when no
+// hospital could be loaded.
+export default function useComparison() {
+  const { t } = useI18n();
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const abortRef = useRef(null);
+
+  async function run({ hospitalIds, year, quarter }) {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      setLoading(true);
+      const result = await compareHospitals({
+        hospitalIds,
+        year: Number(year),
+        quarter: quarter === "" ? undefined : Number(quarter),
+        signal: controller.signal,
+      });
+
+      if (result.reports.length === 0) {
+        throw new Error(t("errors.noHospitalsLoaded"));
+      }
+
+      const loaded = { ...result, year, quarter };
+      setComparison(loaded);
+      return loaded;
+    } catch (err) {
+      if (isAbortError(err)) return null;
+      console.error(err);
+      setComparison(null);
+      throw err;
+    } finally {
+      if (abortRef.current === controller) setLoading(false);
+    }
+  }
+
+  // Abandons a comparison in flight, e.g. when a single report replaces it.
+  function cancel() {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setLoading(false);
+  }
+
+  return { comparison, loading, run, cancel };
+}
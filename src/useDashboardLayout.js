@@ -0,0 +1,87 @@
+// src/useDashboardLayout.js
+import { useState } from "react";
+import {
+  defaultWidgets,
+  loadLayoutState,
+  newView,
+  saveLayoutState,
+} from "./widgetLayout";
+
+// The summary tab's layout and the user's saved views, persisted on every
+// change. Editing the layout while a view is selected edits that view.
+export default function useDashboardLayout() {
+  const [state, setState] = useState(loadLayoutState);
+  const { widgets, views, activeViewId } = state;
+
+  function update(next) {
+    setState(next);
+    saveLayoutState(next);
+  }
+
+  function setWidgets(next) {
+    update({
+      ...state,
+      widgets: next,
+      views: views.map((v) =>
+        v.id === activeViewId ? { ...v, widgets: next } : v
+      ),
+    });
+  }
+
+  // null keeps the current layout but stops editing the selected view
+  function selectView(id) {
+    const view = views.find((v) => v.id === id);
+    update({
+      ...state,
+      widgets: view ? view.widgets : widgets,
+      activeViewId: view ? view.id : null,
+    });
+  }
+
+  function resetWidgets() {
+    setWidgets(defaultWidgets());
+  }
+
+  // Saves the current layout under `name`, replacing a view of that name.
+  function saveView(name) {
+    const view = newView(name, widgets);
+    update({
+      ...state,
+      views: [...views.filter((v) => v.name !== view.name), view],
+      activeViewId: view.id,
+    });
+  }
+
+  function deleteView(id) {
+    update({
+      ...state,
+      views: views.filter((v) => v.id !== id),
+      activeViewId: activeViewId === id ? null : activeViewId,
+    });
+  }
+
+  // Adds imported views, replacing saved ones with the same name.
+  function importViews(imported) {
+    const names = new Set(imported.map((v) => v.name));
+    const kept = views.filter((v) => !names.has(v.name));
+    update({
+      ...state,
+      views: [...kept, ...imported],
+      activeViewId: kept.some((v) => v.id === activeViewId)
+        ? activeViewId
+        : null,
+    });
+  }
+
+  return {
+    widgets,
+    views,
+    activeViewId,
+    setWidgets,
+    selectView,
+    saveView,
+    deleteView,
+    importViews,
+    resetWidgets,
+  };
+}
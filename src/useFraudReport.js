@@ -0,0 +1,132 @@
+// src/useFraudReport.js
+import { useRef, useState } from "react";
+import { getCasesPage, runFraudCheck } from "./fraudApi";
+import { describeApiError, isAbortError } from "./apiClient";
+import { shiftPeriod } from "./periods";
+import { useI18n } from "./i18n";
+
+const NO_CASES = { cases: [], total: 0, warnings: [], cachedAt: null };
+
+// Report parameters as kept in state and routes -> fraudApi parameters.
+// quarter is "" for the full year in state/routes, undefined for the API.
+export function apiParams({
+  hospitalId,
+  year,
+  quarter,
+  periodStart,
+  periodEnd,
+}) {
+  return {
+    hospitalId,
+    year: Number(year),
+    quarter: quarter === "" ? undefined : Number(quarter),
+    periodStart: periodStart || undefined,
+    periodEnd: periodEnd || undefined,
+  };
+}
+
+// The report shown on the dashboard, with its loading and error state and
+// the same period a year earlier for year-over-year deltas.
+//
+// load(params, { cases, onCasesRevalidate }) fetches the report for
+// { hospitalId, year, quarter, periodStart, periodEnd } and, when `cases`
+// (a case query) is given, the first page of cases alongside it. It
+// resolves with { report, casesPage, signal }, or null when a newer load
+// or cancel() superseded it, and rejects once `error` is set when the
+// report could not be loaded.
+export default function useFraudReport() {
+  const { t } = useI18n();
+  const [report, setReport] = useState(null);
+  // the params the current report was loaded with
+  const [loadedParams, setLoadedParams] = useState(null);
+  const [previousReport, setPreviousReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const abortRef = useRef(null);
+
+  // Year-over-year comparison is optional: the previous year may simply
+  // not exist, so failures are only logged.
+  async function loadPreviousReport(params, signal) {
+    setPreviousReport(null);
+    try {
+      const previous = await runFraudCheck({
+        ...apiParams(shiftPeriod(params, -1)),
+        signal,
+      });
+      if (!signal.aborted && previous.totalPrescriptions > 0) {
+        setPreviousReport(previous);
+      }
+    } catch (err) {
+      if (!isAbortError(err)) {
+        console.warn("No previous-year report for comparison", err);
+      }
+    }
+  }
+
+  async function load(params, { cases, onCasesRevalidate } = {}) {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+
+    try {
+      setLoading(true);
+      setError("");
+
+      const [reportData, casesPage] = await Promise.all([
+        runFraudCheck({
+          ...apiParams(params),
+          signal,
+          onRevalidate: (fresh) => {
+            if (!signal.aborted) setReport(fresh);
+          },
+        }),
+        cases
+          ? getCasesPage({
+              ...apiParams(params),
+              ...cases,
+              signal,
+              onRevalidate:
+                onCasesRevalidate &&
+                ((fresh) => {
+                  if (!signal.aborted) onCasesRevalidate(fresh, signal);
+                }),
+            })
+          : NO_CASES,
+      ]);
+
+      setReport(reportData);
+      setLoadedParams(params);
+      loadPreviousReport(params, signal);
+      return { report: reportData, casesPage, signal };
+    } catch (err) {
+      if (isAbortError(err)) return null;
+      console.error(err);
+      setReport(null);
+      setLoadedParams(null);
+      setError(describeApiError(err, t("errors.runFailed")));
+      throw err;
+    } finally {
+      if (abortRef.current === controller) setLoading(false);
+    }
+  }
+
+  // Abandons a load in flight, e.g. when a comparison replaces it.
+  function cancel() {
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setLoading(false);
+    setError("");
+  }
+
+  return {
+    report,
+    setReport,
+    loadedParams,
+    previousReport,
+    loading,
+    error,
+    load,
+    cancel,
+  };
+}
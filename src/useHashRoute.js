@@ -0,0 +1,22 @@
+// src/useHashRoute.js
+import { useEffect, useEffectEvent, useRef } from "react";
+import { parseRoute } from "./routing";
+
+// Calls onRoute(route) with the URL's route once `ready` (e.g. when the
+// hospitals have loaded), then again on every back/forward navigation.
+export default function useHashRoute({ ready, onRoute }) {
+  const openedRef = useRef(false);
+  const handleRoute = useEffectEvent((route) => onRoute(route));
+
+  useEffect(() => {
+    if (!ready || openedRef.current) return;
+    openedRef.current = true;
+    handleRoute(parseRoute());
+  }, [ready]);
+
+  useEffect(() => {
+    const onPopState = () => handleRoute(parseRoute());
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+}
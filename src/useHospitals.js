@@ -0,0 +1,60 @@
+// src/useHospitals.js
+import { useEffect, useEffectEvent, useState } from "react";
+import { getHospitals, getYears } from "./fraudApi";
+import { describeApiError, isAbortError } from "./apiClient";
+import { useI18n } from "./i18n";
+
+// used when the backend can't list its years
+const FALLBACK_YEARS = [2021, 2022, 2023];
+
+// Hospitals and report years for the filter screen, loaded once on mount.
+// onLoaded(hospitals, years) runs after a successful load, before loading
+// turns false, so callers can pick defaults in the same render.
+export default function useHospitals({ onLoaded } = {}) {
+  const { t } = useI18n();
+  const [hospitals, setHospitals] = useState([]);
+  const [years, setYears] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const handleLoaded = useEffectEvent((hospitalList, yearList) =>
+    onLoaded?.(hospitalList, yearList)
+  );
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+
+    async function load() {
+      try {
+        setLoading(true);
+        setError("");
+
+        const hospitalList = await getHospitals({ signal });
+        setHospitals(hospitalList);
+
+        let yearList;
+        try {
+          yearList = await getYears({ signal });
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          console.error("Failed to load years, using fallback", err);
+          yearList = FALLBACK_YEARS;
+        }
+        setYears(yearList);
+        handleLoaded(hospitalList, yearList);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error(err);
+        setError(t("filters.loadFailed", { reason: describeApiError(err) }));
+      } finally {
+        if (!signal.aborted) setLoading(false);
+      }
+    }
+
+    load();
+    return () => controller.abort();
+  }, [t]);
+
+  return { hospitals, years, loading, error };
+}
@@ -0,0 +1,131 @@
+// src/useLiveUpdates.js
+import { useEffect, useEffectEvent, useRef, useState } from "react";
+import { getCasesPage, runFraudCheck } from "./fraudApi";
+import { describeApiError, isAbortError } from "./apiClient";
+import { apiParams } from "./useFraudReport";
+import { useDashboard } from "./dashboardStore";
+import {
+  hasLiveStream,
+  liveStreamUrl,
+  loadLiveSettings,
+  newCaseIds,
+  reportDeltas,
+  saveLiveSettings,
+  startLiveUpdates,
+} from "./liveUpdates";
+
+// Live mode: while `active` and switched on, the loaded report and the
+// explorer's case page are refreshed in the background, and what changed
+// at the last refresh is kept for highlighting. Refreshes are skipped
+// while `busy`, since the user's own load is about to replace the data.
+// onChange(report) runs after a refresh in which something moved.
+export default function useLiveUpdates({ active, busy, explorer, onChange }) {
+  const { canSeeCases, report, setReport, loadedParams } = useDashboard();
+  const [settings, setSettings] = useState(loadLiveSettings);
+  const [deltas, setDeltas] = useState({});
+  const [newCases, setNewCases] = useState(() => new Set());
+  const [refreshedAt, setRefreshedAt] = useState(null);
+  const [error, setError] = useState("");
+  const abortRef = useRef(null);
+
+  // `stopped` aborts when live mode is switched off or the report changes
+  const refresh = useEffectEvent(async (stopped) => {
+    if (busy) return;
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+    stopped.addEventListener("abort", () => controller.abort(), {
+      once: true,
+    });
+
+    try {
+      const [reportData, casesPage] = await Promise.all([
+        runFraudCheck({ ...apiParams(loadedParams), refresh: true, signal }),
+        canSeeCases
+          ? getCasesPage({
+              ...apiParams(loadedParams),
+              ...explorer.query,
+              refresh: true,
+              signal,
+            })
+          : null,
+      ]);
+      if (signal.aborted) return;
+
+      const changes = reportDeltas(report, reportData);
+      const added = casesPage
+        ? newCaseIds(explorer.cases, casesPage.cases)
+        : new Set();
+      setReport(reportData);
+      setDeltas(changes);
+      setNewCases(added);
+      setRefreshedAt(new Date());
+      setError("");
+      if (casesPage) {
+        await explorer.applyPage(casesPage, explorer.query, signal);
+      }
+
+      if (Object.keys(changes).length > 0 || added.size > 0) {
+        onChange?.(reportData);
+      }
+    } catch (err) {
+      if (isAbortError(err)) return;
+      console.error("Live refresh failed", err);
+      setError(describeApiError(err));
+    }
+  });
+
+  useEffect(() => {
+    if (!active || !settings.enabled || !loadedParams) return;
+    const controller = new AbortController();
+    const stop = startLiveUpdates({
+      intervalSeconds: settings.intervalSeconds,
+      streamUrl: hasLiveStream ? liveStreamUrl(loadedParams) : "",
+      onRefresh: () => refresh(controller.signal),
+    });
+    return () => {
+      stop();
+      controller.abort();
+    };
+  }, [active, settings, loadedParams]);
+
+  function changeSettings(changes) {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    saveLiveSettings(next);
+    if (!next.enabled) {
+      setDeltas({});
+      setNewCases(new Set());
+    }
+  }
+
+  // Abandons a refresh in flight, e.g. when the user loads other data.
+  function cancel() {
+    abortRef.current?.abort();
+  }
+
+  function clearNewCases() {
+    setNewCases(new Set());
+  }
+
+  // Forgets the previous refresh once a new report is loaded.
+  function reset() {
+    setDeltas({});
+    setNewCases(new Set());
+    setRefreshedAt(null);
+    setError("");
+  }
+
+  return {
+    settings,
+    changeSettings,
+    deltas,
+    newCases,
+    refreshedAt,
+    error,
+    cancel,
+    clearNewCases,
+    reset,
+  };
+}
@@ -0,0 +1,153 @@
+// src/widgetLayout.js
+//
+// Which widgets the summary tab shows, in what order and at what size,
+// plus the user's named views ("Executive", "Pharmacy review"). The
+// working layout and the saved views are kept in localStorage and can
+// be exported to / imported from JSON. The PDF export follows the same
+// layout.
+
+import { hasRole } from "./auth";
+import { t } from "./i18n";
+
+const LAYOUT_KEY = "fraud-dashboard:layout";
+
+// share of the dashboard width; see .layout-size-* in index.css
+export const WIDGET_SIZES = ["small", "medium", "large", "full"];
+
+// Every widget the summary tab can show, in default order.
+//   kind – "metric" and "chart" widgets are labelled from the "metrics"
+//          and "charts" catalog sections, the rest from "layout.widgets"
+//   role – lowest role that may see it (default "viewer")
+export const WIDGETS = [
+  { id: "riskBanner", size: "full" },
+  { id: "totalPrescriptions", kind: "metric", size: "small" },
+  { id: "highRiskCases", kind: "metric", size: "small" },
+  { id: "mediumRiskCases", kind: "metric", size: "small" },
+  { id: "lowRiskCases", kind: "metric", size: "small" },
+  { id: "controlledDrugUse", kind: "metric", size: "small" },
+  { id: "activeAlerts", kind: "metric", size: "small" },
+  { id: "topDrugs", kind: "chart", size: "small" },
+  { id: "fraudTrend", kind: "chart", size: "small" },
+  { id: "riskDistribution", kind: "chart", size: "small" },
+  { id: "topCases", role: "reviewer", size: "full" },
+];
+
+export function widgetInfo(id) {
+  return WIDGETS.find((w) => w.id === id);
+}
+
+// ---------------- Layouts ----------------
+
+// A layout is [{ id, visible, size }] in display order.
+export function defaultWidgets() {
+  return WIDGETS.map((w) => ({ id: w.id, visible: true, size: w.size }));
+}
+
+// Known widgets only, once each, with valid fields. Widgets the layout
+// doesn't mention (e.g. added since it was saved) are appended.
+export function normalizeWidgets(widgets) {
+  const seen = new Set();
+  const result = [];
+  for (const w of Array.isArray(widgets) ? widgets : []) {
+    const info = widgetInfo(w?.id);
+    if (!info || seen.has(info.id)) continue;
+    seen.add(info.id);
+    result.push({
+      id: info.id,
+      visible: w.visible !== false,
+      size: WIDGET_SIZES.includes(w.size) ? w.size : info.size,
+    });
+  }
+  for (const w of defaultWidgets()) {
+    if (!seen.has(w.id)) result.push(w);
+  }
+  return result;
+}
+
+export function canSeeWidget(user, id) {
+  return hasRole(user, widgetInfo(id)?.role || "viewer");
+}
+
+// Widget ids to render for this user, in order.
+export function shownWidgets(widgets, user) {
+  return widgets
+    .filter((w) => w.visible && canSeeWidget(user, w.id))
+    .map((w) => w.id);
+}
+
+export function updateWidget(widgets, id, changes) {
+  return widgets.map((w) => (w.id === id ? { ...w, ...changes } : w));
+}
+
+// Moves widget `id` to where widget `targetId` is.
+export function moveWidget(widgets, id, targetId) {
+  const from = widgets.findIndex((w) => w.id === id);
+  const to = widgets.findIndex((w) => w.id === targetId);
+  if (from === -1 || to === -1 || from === to) return widgets;
+  const next = [...widgets];
+  next.splice(to, 0, ...next.splice(from, 1));
+  return next;
+}
+
+export function newView(name, widgets) {
+  return {
+    id: `view-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name: name.trim(),
+    widgets,
+  };
+}
+
+// ---------------- Storage ----------------
+
+// { widgets, views: [{ id, name, widgets }], activeViewId }; edits to the
+// working layout are also written to the active view, if any.
+export function loadLayoutState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LAYOUT_KEY));
+    const views = (Array.isArray(saved?.views) ? saved.views : [])
+      .filter((v) => v?.id && typeof v.name === "string")
+      .map((v) => ({ ...v, widgets: normalizeWidgets(v.widgets) }));
+    return {
+      widgets: normalizeWidgets(saved?.widgets),
+      views,
+      activeViewId: views.some((v) => v.id === saved?.activeViewId)
+        ? saved.activeViewId
+        : null,
+    };
+  } catch {
+    return { widgets: defaultWidgets(), views: [], activeViewId: null };
+  }
+}
+
+export function saveLayoutState(state) {
+  localStorage.setItem(LAYOUT_KEY, JSON.stringify(state));
+}
+
+// ---------------- Import / export ----------------
+
+export function layoutsToJson(views) {
+  return JSON.stringify(
+    { layouts: views.map(({ name, widgets }) => ({ name, widgets })) },
+    null,
+    2
+  );
+}
+
+// Validates views read from an imported JSON file; throws on bad input.
+// Imported views get fresh ids.
+export function parseLayoutsJson(text) {
+  const data = JSON.parse(text);
+  const layouts = Array.isArray(data) ? data : data?.layouts;
+  if (!Array.isArray(layouts)) {
+    throw new Error(t("layout.errors.notLayoutList"));
+  }
+  return layouts.map((l) => {
+    if (typeof l?.name !== "string" || !l.name.trim()) {
+      throw new Error(t("layout.errors.missingName"));
+    }
+    if (!Array.isArray(l.widgets)) {
+      throw new Error(t("layout.errors.noWidgets", { name: l.name }));
+    }
+    return newView(l.name, normalizeWidgets(l.widgets));
+  });
+}